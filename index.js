@@ -1,7 +1,26 @@
 import EETProductFilter from './module/csvParseAndFilter.js';
 import logger from './module/logger.js';
 import ShopifyClient from './module/shopify.js';
+import SyncPlan from './module/syncPlan.js';
+import CatalogSnapshot from './module/catalogSnapshot.js';
+import RunJournal from './module/runJournal.js';
+import DuplicateDetector from './module/duplicateDetector.js';
+import CircuitBreaker from './module/circuitBreaker.js';
+import ChangeLog from './module/changeLog.js';
+import RunRollback from './module/runRollback.js';
+import CommandLine from './module/commandLine.js';
+import RunReport from './module/runReport.js';
+import Notifier from './module/notifier.js';
+import RunLock from './module/runLock.js';
+import Scheduler from './module/scheduler.js';
+import ControlServer from './module/controlServer.js';
+import metrics from './module/metrics.js';
+import StoreRegistry from './module/storeRegistry.js';
+import ProductTranslations from './module/productTranslations.js';
+import MarketPricing from './module/marketPricing.js';
+import CompareAtPolicy from './module/compareAtPolicy.js';
 import fs from 'fs';
+import path from 'path';
 import dotenv from 'dotenv';
 
 // Load environment variables
@@ -10,91 +29,434 @@ dotenv.config();
 // Check if logging is disabled
 const isLoggingEnabled = process.env.LOGGING !== 'false';
 
+// Command, steps and options from the command line (see `node index.js help`)
+let cli;
+try {
+  cli = CommandLine.parse();
+} catch (error) {
+  console.error(`❌ ${error.message}`);
+  process.exit(1);
+}
+const cliOptions = cli.options;
+
+// Dry-run mode computes a sync plan without sending any Shopify mutation
+const isDryRun = process.env.DRY_RUN === 'true' || cliOptions.dryRun || cli.command === 'plan';
+
+// Adopt existing Shopify products whose SKU is in the EET list into the managed set
+const adoptExisting = process.env.ADOPT_EXISTING === 'true' || cliOptions.adopt;
+
+// Ignore the catalog snapshot and push every value again
+const fullResync = process.env.FULL_RESYNC === 'true' || cliOptions.fullResync;
+
+// Continue the last interrupted run from its checkpoint journal
+const isResume = process.env.RESUME === 'true' || cliOptions.resume;
+
+// Continue past tripped circuit breakers
+const forceRun = process.env.FORCE === 'true' || cliOptions.force;
+
+// Archive the products created in the rolled back run
+const archiveCreated = cliOptions.archiveCreated;
+
+// Send price, stock object and inventory changes as bulk operations instead of per SKU
+const useBulkMutations = process.env.BULK_MUTATIONS === 'true' || cliOptions.bulk;
+
+// EET prices file from --file, EET_PRICE or the default
+const eetPriceFile = cliOptions.file || process.env.EET_PRICE || 'eet_prices.txt';
+
+// Shopify stores fed from the EET file (config/stores.json, or the single store from .env)
+const storeRegistry = new StoreRegistry();
+
+// Reports of the active run (one per store), the store being synced and summaries of the
+// last finished store runs, served by the control server
+const runState = { current: null, reports: [], last: null, lastByStore: {} };
+
 /**
- * Load Shopify configuration from environment variables
- * @returns {Object} Shopify configuration
+ * Find a product left half-created by the interrupted run
+ * Uses the product ID recorded in the journal first, then falls back to managed
+ * products with the same title and no SKU on their variant
+ * @param {ShopifyClient} shopifyClient - Shopify client
+ * @param {RunJournal|null} journal - Checkpoint journal
+ * @param {Object} productData - Mapped Shopify product data
+ * @param {Array} shopifyProducts - Array of all Shopify products
+ * @returns {Promise<Object|null>} Half-created product or null
  */
-function loadShopifyConfig() {
-  try {
-    const production = process.env.PRODUCTION || 'development';
-    
-    let shopDomain, accessToken;
-    
-    if (production === 'development') {
-      shopDomain = process.env.SHOPIFY_TEST_STORE_ADMIN_URL;
-      accessToken = process.env.SHOPIFY_TEST_STORE_ADMIN_API;
-    } else {
-      // For production, you can add production environment variables here
-      shopDomain = process.env.SHOPIFY_PRODUCTION_STORE_ADMIN_URL;
-      accessToken = process.env.SHOPIFY_PRODUCTION_STORE_ADMIN_API;
+async function findIncompleteProduct(shopifyClient, journal, productData, shopifyProducts) {
+  const sku = productData.variants[0].sku;
+  const productId = journal?.getStep(sku, 'create')?.data?.productId;
+
+  if (productId) {
+    const product = shopifyClient.catalog.findById(productId) || await shopifyClient.getProductById(productId);
+    if (product) {
+      return product;
+    }
+  }
+
+  return shopifyClient.findIncompleteProduct(productData, shopifyProducts);
+}
+
+/**
+ * Check whether a scope narrows the run to part of the EET list
+ * @param {Object} scope - { skus, brands, limit } from --sku, --brand and --limit
+ * @returns {boolean} True if only part of the products is selected
+ */
+function isNarrowedScope(scope) {
+  return scope.skus.length > 0 || scope.brands.length > 0 || scope.limit !== null;
+}
+
+/**
+ * Narrow the EET product list to a scope
+ * @param {Array} products - Filtered EET products
+ * @param {Object} scope - { skus, brands, limit } from --sku, --brand and --limit
+ * @returns {Array} Products to work on
+ */
+function selectProducts(products, scope) {
+  let selected = products;
+
+  if (scope.skus.length > 0) {
+    const skus = new Set(scope.skus.map(sku => sku.toLowerCase()));
+    selected = selected.filter(product => skus.has(product.varenr.toLowerCase()));
+  }
+
+  if (scope.brands.length > 0) {
+    const brands = new Set(scope.brands.map(brand => brand.toLowerCase()));
+    selected = selected.filter(product => brands.has(product.maerke_navn.toLowerCase()));
+  }
+
+  if (scope.limit !== null) {
+    selected = selected.slice(0, scope.limit);
+  }
+
+  return selected;
+}
+
+/**
+ * Record the outcome of a run in the metrics
+ * Also writes the metrics to METRICS_FILE for the node_exporter textfile collector when set
+ * @param {RunReport} report - Finished run report
+ */
+function recordRunMetrics(report) {
+  const labels = { command: report.command, store: report.store };
+  const data = report.toJSON();
+
+  metrics.inc('sync_runs_total', { ...labels, status: report.status });
+  metrics.set('sync_run_duration_seconds', labels, data.durationMs / 1000);
+  if (report.status === 'finished' && !report.dryRun) {
+    metrics.set('sync_last_success_timestamp_seconds', labels, Math.floor(Date.parse(report.finishedAt) / 1000));
+  }
+  Object.entries(data.counts).forEach(([action, count]) => {
+    metrics.inc('sync_products_total', { ...labels, action }, count);
+  });
+
+  if (process.env.METRICS_FILE) {
+    metrics.writeToFile(process.env.METRICS_FILE);
+  }
+}
+
+/**
+ * Compute the sale price of an EET price and stock item with the store's pricing rules
+ * @param {ShopifyClient} shopifyClient - Client holding the store's pricing rules and tax settings
+ * @param {Object} eetItem - EET price and stock item
+ * @param {Object} eetProduct - EET product row (brand and category), if known
+ * @param {Object} product - Shopify product holding the current price, if any
+ * @returns {Object|null} { price, rule, explanation, cost } or null when EET returned no price
+ */
+function quoteEETPrice(shopifyClient, eetItem, eetProduct, product) {
+  const { price, cost } = shopifyClient.tax.getEETPrice(eetItem);
+  if (price === null) {
+    return null;
+  }
+
+  const quote = shopifyClient.pricing.getPrice({
+    sku: eetItem.ItemId,
+    brand: eetProduct?.maerke_navn,
+    categoryId: eetProduct?.web_category_id,
+    price,
+    cost,
+    currentPrice: product?.variants?.nodes?.[0]?.price ?? null
+  });
+  return { ...quote, cost };
+}
+
+/**
+ * Prepare the run of one store: its checkpoint journal and its report
+ * Runs before the first await of main(), so the control server knows the run IDs right away
+ * @param {Object} store - Store from the store registry
+ * @param {string} command - Sync command
+ * @returns {Object} { store, report, journal, resumed }
+ */
+function prepareStoreRun(store, command) {
+  // Stores from config/stores.json get their name in the run ID
+  const runIdSuffix = store.registered ? store.name : null;
+
+  // Checkpoint journal so an interrupted run can be resumed
+  let journal = null;
+  let resumed = false;
+  if (!isDryRun) {
+    const journalDir = path.join(store.dataDir, 'journal');
+    const lastRun = isResume ? RunJournal.latest(journalDir) : null;
+    resumed = !!lastRun && !lastRun.finished;
+    if (isResume && !resumed) {
+      console.log(`ℹ️  Nothing to resume for store ${store.name}, the last run finished. Starting a new run.`);
+      if (isLoggingEnabled) {
+        logger.info('JOURNAL', 'Nothing to resume, starting a new run', {
+          store: store.name,
+          lastRunId: lastRun?.runId
+        });
+      }
     }
+    journal = resumed ? lastRun : new RunJournal(RunJournal.createRunId(runIdSuffix), journalDir);
+    journal.start({ resumed });
+  }
+
+  // Per-SKU outcomes and phase timings, written next to the log file
+  const report = new RunReport({
+    runId: journal?.runId || RunJournal.createRunId(runIdSuffix),
+    command,
+    dryRun: isDryRun,
+    store: store.name
+  });
+
+  return { store, report, journal, resumed };
+}
+
+/**
+ * Load the EET data shared by the stores of a run
+ * The EET file is parsed and EET is called once; every store then takes the products
+ * its own filter selects, and the EET prices and stock of those products
+ * @param {Array<Object>} runs - Store runs from prepareStoreRun
+ * @param {Object} steps - Steps of the command (see CommandLine)
+ * @param {Object} scope - { skus, brands, limit } narrowing the run
+ * @returns {Promise<Object>} { productsByStore, translations, loginResult, eetItems }; a store whose
+ *   products could not be loaded gets { error } in productsByStore
+ */
+async function loadSharedInput(runs, steps, scope) {
+  runs.forEach(({ report }) => report.startPhase('filter'));
+
+  // STEP 2: Parse the EET prices file once and apply the filter of every store
+  // Stock and price refreshes skip the EET file and reuse the product list of each store's last full sync
+  const filters = runs.map(({ store }) => new EETProductFilter(store.filterFile));
+  const rows = steps.catalog ? await filters[0].parseCSV(eetPriceFile) : null;
+
+  const productsByStore = new Map();
+  runs.forEach(({ store }, index) => {
+    try {
+      const outputFile = path.join(store.dataDir, 'filtered-products.json');
+      const jsonData = steps.catalog
+        ? filters[index].apply(rows, eetPriceFile, true, true, outputFile)
+        : filters[index].loadSavedProducts(outputFile);
 
-    if (!shopDomain || !accessToken) {
-      throw new Error(`Missing Shopify configuration for ${production} environment`);
+      // Log filter results
+      if (isLoggingEnabled && steps.catalog) {
+        logger.logFilterProcess({
+          totalProducts: jsonData.metadata.totalProducts,
+          originalCount: jsonData.metadata.originalCount,
+          filterDate: jsonData.metadata.filterDate,
+          limit: jsonData.metadata.filterConfig.include_products_limit
+        });
+
+        // Log all filtered products (real data)
+        logger.info('FILTER', 'All filtered products', {
+          store: store.name,
+          totalCount: jsonData.products.length
+        });
+      }
+
+      // Narrow the run to the products selected on the command line
+      if (isNarrowedScope(scope)) {
+        jsonData.products = selectProducts(jsonData.products, scope);
+        console.log(`🎯 ${store.name}: working on ${jsonData.products.length} selected products`);
+      }
+
+      productsByStore.set(store.name, jsonData);
+    } catch (error) {
+      // Only this store fails, e.g. when a refresh finds no saved product list
+      productsByStore.set(store.name, { error });
+    }
+  });
+
+  // Parse the second-language EET files for translated titles and descriptions, once for all stores
+  let translations = null;
+  if (steps.create) {
+    translations = new ProductTranslations();
+    if (translations.isEnabled()) {
+      await translations.loadFiles();
+    } else {
+      translations = null;
     }
+  }
+
+  runs.forEach(({ report }) => report.startPhase('fetch_eet'));
 
-    const config = {
-      shopDomain,
-      accessToken,
-      apiVersion: '2024-01'
-    };
+  // STEP 2.2: Get EET price and stock up front so the safety checks can see the new prices
+  // One request list for all stores; refreshes ask for every saved product and each store
+  // later drops the products it does not manage
+  const productsBySku = new Map();
+  productsByStore.forEach(jsonData => {
+    jsonData.products?.forEach(product => productsBySku.set(product.varenr, product));
+  });
 
+  const EETClient = (await import('./module/eet.js')).default;
+  const eetClient = new EETClient();
+
+  const loginResult = steps.fields.length > 0 ? await eetClient.login() : null;
+  const eetItems = loginResult?.success
+    ? await eetClient.getAllProductsPriceAndStock([...productsBySku.values()])
+    : null;
+
+  return { productsByStore, translations, loginResult, eetItems };
+}
+
+/**
+ * Register translated content of the managed products for every other published shop language
+ * Translations that did not change since the last run are skipped using the catalog snapshot
+ * @param {ShopifyClient} shopifyClient - Shopify client of the store
+ * @param {ProductTranslations} translations - Translation sources
+ * @param {string} primaryLocale - Language of the primary content (from LANGUAGE)
+ * @param {Array} eetProducts - EET products from the feed
+ * @param {CatalogSnapshot} snapshot - Catalog snapshot of the store
+ * @param {RunReport} report - Report of the store run
+ */
+async function syncTranslations(shopifyClient, translations, primaryLocale, eetProducts, snapshot, report) {
+  const shopLocales = await shopifyClient.getShopLocales();
+
+  const shopPrimaryLocale = shopLocales.find(shopLocale => shopLocale.primary)?.locale;
+  if (shopPrimaryLocale && shopPrimaryLocale !== primaryLocale) {
+    console.log(`⚠️  LANGUAGE is ${primaryLocale}, but the primary language of the shop is ${shopPrimaryLocale}`);
     if (isLoggingEnabled) {
-      logger.info('CONFIG', 'Shopify configuration loaded', {
-        environment: production,
-        shopDomain: shopDomain.replace(/\.myshopify\.com$/, ''),
-        hasAccessToken: !!accessToken
-      });
+      logger.warn('TRANSLATE', 'LANGUAGE differs from the primary shop language', { primaryLocale, shopPrimaryLocale });
     }
+  }
 
-    return config;
-  } catch (error) {
-    if (isLoggingEnabled) {
-      logger.error('CONFIG', 'Failed to load Shopify config', {
-        error: error.message,
-        production: process.env.PRODUCTION
-      });
+  const locales = shopLocales
+    .filter(shopLocale => shopLocale.published && !shopLocale.primary && shopLocale.locale !== primaryLocale)
+    .map(shopLocale => shopLocale.locale);
+  if (locales.length === 0) {
+    return;
+  }
+
+  let registeredCount = 0;
+  let unchangedCount = 0;
+  let errorCount = 0;
+
+  await shopifyClient.runConcurrently(eetProducts, async (eetProduct) => {
+    const sku = eetProduct.varenr;
+    const product = shopifyClient.findProductBySKU(sku);
+    if (!product || !shopifyClient.isManagedProduct(product)) {
+      return;
     }
-    throw new Error(`Shopify configuration error: ${error.message}`);
+
+    for (const locale of locales) {
+      const content = await translations.getContent(locale, eetProduct, shopifyClient);
+      const field = `translation_${locale}`;
+      if (!content) {
+        continue;
+      }
+      if (!fullResync && !snapshot.hasChanged(sku, field, content)) {
+        unchangedCount++;
+        continue;
+      }
+
+      const result = await shopifyClient.registerTranslations(sku, product, locale, content);
+      if (result.success) {
+        registeredCount++;
+        snapshot.set(sku, { [field]: content });
+        report.addAction(sku, 'translated', { fields: [locale] });
+      } else {
+        errorCount++;
+        report.addError(sku, `translate_${locale}`, result.error);
+        console.log(`❌ Failed ${locale} translation for ${sku}: ${result.error}`);
+      }
+    }
+  });
+
+  translations.saveCache();
+  if (!isDryRun) {
+    snapshot.save();
+  }
+
+  if (isLoggingEnabled) {
+    logger.info('TRANSLATE', 'Translations registered', {
+      locales,
+      registeredCount,
+      unchangedCount,
+      errorCount
+    });
   }
 }
 
 /**
- * Main application entry point
- * First gets all Shopify products, then runs CSV parsing and filtering for EET products
+ * Finish the run of one store: record its metrics, write its report and keep its summary for /status
+ * @param {RunReport} report - Report of the store run
+ * @param {string} status - finished or failed
+ * @param {Error|null} error - Why the run failed
+ * @returns {Object} Summary of the store run with the report files
+ */
+function finishStoreRun(report, status, error = null) {
+  report.finish(status, error);
+  recordRunMetrics(report);
+  const reportFiles = report.save(logger.getCurrentLogFile());
+
+  const summary = {
+    ...report.toStatus(),
+    status: report.status,
+    error: report.error,
+    finishedAt: report.finishedAt,
+    ...reportFiles
+  };
+  runState.last = summary;
+  runState.lastByStore[report.store] = summary;
+
+  return summary;
+}
+
+/**
+ * Sync one store from the shared EET data
+ * Never throws: a failing store is reported and notified on its own and the other stores go on
+ * @param {Object} run - Store run from prepareStoreRun
+ * @param {Object|null} shared - Shared EET data from loadSharedInput (null when loading it failed)
+ * @param {Error|null} sharedError - Why loading the shared EET data failed
+ * @param {Object} steps - Steps of the command (see CommandLine)
+ * @param {Object} scope - { skus, brands, limit } narrowing the run
+ * @param {Notifier} notifier - Notifier for the run events
+ * @returns {Promise<Object>} Summary of the store run, see finishStoreRun
  */
-async function main() {
+async function syncStore(run, shared, sharedError, steps, scope, notifier) {
+  const { store, report, journal, resumed } = run;
+
   try {
-    // Log application start
-    if (isLoggingEnabled) {
-      logger.logAppStart();
+    if (sharedError) {
+      throw sharedError;
     }
-    
-    // Log environment configuration
-    const production = process.env.PRODUCTION || 'development';
-    const language = process.env.LANGUAGE || 'EN';
-    const eetPriceFile = process.env.EET_PRICE || 'eet_prices.txt';
-    const priceStock = parseFloat(process.env.PRICE_STOCK) || 0;
-    
-    if (isLoggingEnabled) {
-      logger.info('CONFIG', 'Environment configuration loaded', {
-        production,
-        language,
-        eetPriceFile
-      });
-      
-      logger.info('APP', 'Application UI started');
+
+    const storeInput = shared.productsByStore.get(store.name);
+    if (storeInput.error) {
+      throw storeInput.error;
     }
-    
+
+    console.log(`\n🏪 Store ${store.name}`);
+
     // STEP 1: Get all Shopify products first
     if (isLoggingEnabled) {
-      logger.info('SHOPIFY', 'Starting to fetch all Shopify products');
+      logger.info('SHOPIFY', 'Starting to fetch all Shopify products', { store: store.name });
     }
     
     // Load Shopify configuration
-    const shopifyConfig = loadShopifyConfig();
-    const shopifyClient = new ShopifyClient(shopifyConfig);
+    const shopifyConfig = StoreRegistry.getShopifyConfig(store);
+    const plan = isDryRun ? new SyncPlan() : null;
+
+    // Before/after values of every mutation, stored under the journal's run ID for rollback
+    const changeLog = journal ? new ChangeLog(journal.runId, path.join(store.dataDir, 'changes')) : null;
+
+    const shopifyClient = new ShopifyClient({ ...shopifyConfig, dryRun: isDryRun, plan, journal, changeLog });
+
+    // Last values pushed per SKU, used to skip unchanged SKUs
+    const snapshot = new CatalogSnapshot(
+      shopifyConfig.shopDomain,
+      path.join(store.dataDir, 'catalog-snapshot.json')
+    ).load();
     
+    report.startPhase('fetch_shopify');
+
     // STEP 0: Get online channel ID
     if (isLoggingEnabled) {
       logger.info('SHOPIFY', 'Getting online channel ID');
@@ -120,28 +482,106 @@ async function main() {
       });
     }
     
-    // Create filter instance
-    const filter = new EETProductFilter();
-    if (isLoggingEnabled) {
-      logger.info('FILTER', 'Filter instance created');
-    }
-    
-    // STEP 2: Run the filter with the EET prices file and get JSON data
-    const jsonData = await filter.run(eetPriceFile);
-    
-    // Log filter results
-    if (isLoggingEnabled) {
-      logger.logFilterProcess({
-        totalProducts: jsonData.metadata.totalProducts,
-        originalCount: jsonData.metadata.originalCount,
-        filterDate: jsonData.metadata.filterDate,
-        limit: jsonData.metadata.filterConfig.include_products_limit
-      });
-      
-      // Log all filtered products (real data)
-      logger.info('FILTER', 'All filtered products', {
-        totalCount: jsonData.products.length
+    // Stock and price refreshes only work on the products the sync manages in Shopify
+    const jsonData = { ...storeInput };
+    if (!steps.catalog) {
+      jsonData.products = storeInput.products.filter(eetProduct => {
+        const product = shopifyClient.findProductBySKU(eetProduct.varenr);
+        return product && shopifyClient.isManagedProduct(product);
       });
+      console.log(`⚡ Refreshing ${jsonData.products.length} managed products`);
+    }
+
+    // Drafting relies on the complete EET list; a narrowed list would draft everything else
+    const isNarrowed = isNarrowedScope(scope);
+    const runDrafts = steps.drafts && !isNarrowed;
+    if (steps.drafts && isNarrowed) {
+      console.log('⚠️  Skipping drafts because --sku, --brand or --limit narrow the product list');
+    }
+
+    // Value fields the update step may change
+    const updateFields = new Set(steps.fields);
+
+    // Prices are sent with or without VAT by the tax mode, which should match the shop's setting
+    if (updateFields.has('price') || steps.create) {
+      shopifyClient.tax.checkShop(await shopifyClient.getTaxesIncluded(), store.name);
+    }
+
+    // STEP 2.1: Detect duplicate SKUs and EANs in the EET file
+    const duplicates = new DuplicateDetector();
+    jsonData.products = duplicates.resolveEET(jsonData.products);
+
+    // The primary content follows LANGUAGE: a second-language EET file in that language
+    // replaces the titles and descriptions of the feed for new products
+    const primaryLocale = ProductTranslations.localeFromLanguage(store.language);
+    const feedProducts = jsonData.products;
+    if (shared.translations) {
+      jsonData.products = feedProducts.map(eetProduct => shared.translations.localize(eetProduct, primaryLocale));
+    }
+
+    // EET price and stock of this store's products
+    const storeSkus = new Set(jsonData.products.map(product => product.varenr));
+    const loginResult = shared.loginResult;
+    const eetPriceAndStock = shared.eetItems
+      ? shared.eetItems.filter(eetItem => storeSkus.has(eetItem.ItemId))
+      : null;
+
+    report.startPhase('safety_checks');
+
+    // STEP 2.3: Check the planned changes against the safety thresholds before any mutation
+    const breaker = new CircuitBreaker({
+      force: forceRun,
+      notifier,
+      store: store.name,
+      statePath: path.join(store.dataDir, 'safety-state.json')
+    });
+    if (steps.catalog) {
+      breaker.checkCsvRowCount(jsonData.metadata.originalCount);
+    }
+
+    // Products are drafted for leaving the EET file and, in the update step, for having no EET stock
+    const checkStockDrafts = updateFields.has('status') && eetPriceAndStock;
+    if (runDrafts || checkStockDrafts) {
+      const managedCount = shopifyProducts.filter(product => shopifyClient.isManagedProduct(product)).length;
+      const draftIds = new Set();
+      if (runDrafts) {
+        shopifyClient.findOrphanedProducts(shopifyProducts, jsonData.products).orphanedProducts
+          .forEach(product => draftIds.add(product.id));
+      }
+      if (checkStockDrafts) {
+        shopifyClient.findOutOfStockProducts(eetPriceAndStock).forEach(product => draftIds.add(product.id));
+      }
+      breaker.checkDraftRatio(draftIds.size, managedCount);
+    }
+
+    const eetProductsBySku = new Map(jsonData.products.map(p => [p.varenr, p]));
+
+    if (updateFields.has('price') && eetPriceAndStock && eetPriceAndStock.length > 0) {
+      const priceChanges = [];
+      for (const eetItem of eetPriceAndStock) {
+        const product = shopifyClient.findProductBySKU(eetItem.ItemId);
+        const variant = product?.variants?.nodes?.[0];
+        const quote = quoteEETPrice(shopifyClient, eetItem, eetProductsBySku.get(eetItem.ItemId), product);
+
+        if (variant && quote && shopifyClient.isManagedProduct(product)) {
+          priceChanges.push({
+            sku: eetItem.ItemId,
+            oldPrice: parseFloat(variant.price),
+            newPrice: quote.price.amount
+          });
+        }
+      }
+      breaker.checkPriceChanges(priceChanges);
+    }
+
+    await breaker.enforce();
+
+    // STEP 2.4: Resolve SKUs and barcodes shared by several Shopify products
+    await duplicates.resolveShopify(shopifyClient);
+
+    if (duplicates.hasConflicts()) {
+      const reportFile = duplicates.saveReport(store.dataDir);
+      console.log(`⚠️  Duplicate SKUs or EANs found (policy: ${duplicates.policy}), see ${reportFile}`);
     }
     
     // // STEP 3: Test the EET to Shopify mapping with first product
@@ -172,13 +612,21 @@ async function main() {
     //   }
     // }
     
+    report.startPhase('compare');
+
     // STEP 4: Extract the list of products not registered in Shopify from eetData
     const unregisteredProducts = [];
     const registeredProducts = [];
     
     for (const eetProduct of jsonData.products) {
+      // Leave SKUs flagged by the duplicate skip policy alone
+      if (duplicates.isSkipped(eetProduct.varenr)) {
+        report.addSkip(eetProduct.varenr, 'duplicate');
+        continue;
+      }
+
       const mappedProduct = await shopifyClient.mapEETToShopifyProduct(eetProduct);
-      const existingProduct = shopifyClient.findProductBySKU(mappedProduct.variants[0].sku, shopifyProducts);
+      const existingProduct = shopifyClient.findProductBySKU(mappedProduct.variants[0].sku);
       
       if (existingProduct) {
         registeredProducts.push({
@@ -195,6 +643,7 @@ async function main() {
         totalEETProducts: jsonData.products.length,
         registeredInShopify: registeredProducts.length,
         notRegisteredInShopify: unregisteredProducts.length,
+        skippedDuplicates: duplicates.skippedSkus.size,
         shopifyProductsTotal: shopifyProducts.length
       });
       
@@ -229,8 +678,36 @@ async function main() {
       }
     }
     
+    // STEP 4.1: Adopt existing products so the sync may manage them
+    if (adoptExisting) {
+      const unmanagedProducts = registeredProducts
+        .map(rp => rp.shopifyProduct)
+        .filter(product => !shopifyClient.isManagedProduct(product));
+
+      let adoptedCount = 0;
+      for (const product of unmanagedProducts) {
+        const result = await shopifyClient.adoptProduct(product);
+        if (result.success) {
+          adoptedCount++;
+          report.addAction(result.sku, 'adopted');
+        } else {
+          report.addError(result.sku, 'adopt', result.error);
+          console.log(`❌ Failed to adopt ${result.sku}: ${result.error}`);
+        }
+      }
+
+      if (isLoggingEnabled) {
+        logger.info('SHOPIFY_ADOPT', 'Product adoption completed', {
+          candidates: unmanagedProducts.length,
+          adoptedCount
+        });
+      }
+    }
+    
     // STEP 5: Register unregistered products in Shopify
-    if (unregisteredProducts.length > 0) {
+    if (steps.create && unregisteredProducts.length > 0) {
+      report.startPhase('create');
+
       if (isLoggingEnabled) {
         logger.info('SHOPIFY_REGISTER', 'Starting to register unregistered products', {
           count: unregisteredProducts.length
@@ -239,12 +716,25 @@ async function main() {
       
       let successCount = 0;
       let errorCount = 0;
+      let completedCount = 0;
       const errors = [];
       
-      for (const product of unregisteredProducts) {
+      await shopifyClient.runConcurrently(unregisteredProducts, async (product) => {
         try {
+          // Finish products the interrupted run left half-created instead of creating duplicates
+          const incompleteProduct = resumed
+            ? await findIncompleteProduct(shopifyClient, journal, product, shopifyProducts)
+            : null;
+          if (incompleteProduct) {
+            await shopifyClient.completeProductCreation(incompleteProduct, product);
+            completedCount++;
+            report.addAction(product.variants[0].sku, 'completed', { productId: incompleteProduct.id });
+            return;
+          }
+
           const createdProduct = await shopifyClient.createProduct(product);
           successCount++;
+          report.addAction(product.variants[0].sku, 'created', { productId: createdProduct.id });
           
           if (isLoggingEnabled) {
             logger.info('SHOPIFY_REGISTER', 'Product registered successfully', {
@@ -255,12 +745,10 @@ async function main() {
               price: product.variants[0].price
             });
           }
-          
-          await new Promise(resolve => setTimeout(resolve, 200));
-          
         } catch (error) {
           console.log("Error creating product:", product.variants[0].sku, error.message);
           errorCount++;
+          report.addError(product.variants[0].sku, 'create', error.message);
           errors.push({
             sku: product.variants[0].sku,
             title: product.title,
@@ -277,12 +765,13 @@ async function main() {
             });
           }
         }
-      }
+      });
       
       if (isLoggingEnabled) {
         logger.info('SHOPIFY_REGISTER', 'Product registration completed', {
           totalProducts: unregisteredProducts.length,
           successCount,
+          completedHalfCreated: completedCount,
           errorCount,
           errors: errors.length > 0 ? errors : undefined
         });
@@ -290,56 +779,204 @@ async function main() {
     }
 
     // STEP 6: Make Shopify products that are not on the EET list into drafts
-    const draftResults = await shopifyClient.makeOrphanedProductsDraft(shopifyProducts, jsonData.products);
+    if (runDrafts) {
+      report.startPhase('drafts');
+      const draftResults = await shopifyClient.makeOrphanedProductsDraft(shopifyProducts, jsonData.products);
+      draftResults.draftedSkus?.forEach(sku => report.addAction(sku, 'drafted'));
+      draftResults.errors?.forEach(error => report.addError(error.sku, 'draft', error.error));
+      if (!isDryRun && draftResults.draftedSkus?.length > 0) {
+        draftResults.draftedSkus.forEach(sku => snapshot.set(sku, { status: 'DRAFT' }));
+        snapshot.save();
+      }
+    }
 
     // STEP 7: Update price with EET data
-    const EETClient = (await import('./module/eet.js')).default;
-    const eetClient = new EETClient();
-    
-    const loginResult = await eetClient.login();
-
-    if (loginResult.success) {
-      const eetPriceAndStock = await eetClient.getAllProductsPriceAndStock(jsonData.products);
-      
+    if (loginResult?.success) {
       if (eetPriceAndStock && eetPriceAndStock.length > 0) {
+        report.startPhase('update');
+
         let successCount = 0;
         let errorCount = 0;
+        let unmanagedCount = 0;
+        let unchangedCount = 0;
+        let resumedCount = 0;
+        let duplicateCount = 0;
+
+        // Prices per Shopify market, sent as fixed prices on the markets' price lists
+        let marketPricing = null;
+        if (updateFields.has('marketPrices')) {
+          marketPricing = new MarketPricing(store.marketsFile, shopifyClient.tax);
+          if (marketPricing.isEnabled()) {
+            marketPricing.limitTo(await shopifyClient.loadMarketPriceLists(marketPricing.markets));
+          }
+          if (!marketPricing.isEnabled()) {
+            marketPricing = null;
+          }
+        }
 
-        const shopifyProducts = await shopifyClient.getAllProducts();
+        // Strike-through prices while a product is on sale
+        let compareAtPolicy = null;
+        if (updateFields.has('compareAtPrice')) {
+          compareAtPolicy = new CompareAtPolicy();
+          if (!compareAtPolicy.isEnabled()) {
+            compareAtPolicy = null;
+          }
+        }
+
+        // Changes collected per SKU when sending them in bulk; market prices are always sent together
+        const bulkPrices = [];
+        const bulkQuantities = [];
+        const bulkStockObjects = [];
+        const marketPriceChanges = [];
+        const skuStates = new Map();
+
+        // Record what reached Shopify for a SKU once all its mutations are done
+        const finalizeSku = (sku, state) => {
+          if (Object.keys(state.pushed).length > 0) {
+            snapshot.set(sku, state.pushed);
+          }
+
+          // Failed SKUs stay open so a resumed run retries them
+          if (!state.failed) {
+            journal?.record(sku, 'update', 'completed');
+          }
+
+          if (state.mutationCount === 0) {
+            unchangedCount++;
+            report.addSkip(sku, 'unchanged');
+          }
+
+          const updatedFields = Object.keys(state.pushed).filter(field => field !== 'status');
+          if (updatedFields.length > 0) {
+            report.addAction(sku, 'updated', { fields: updatedFields });
+          }
+          if (state.pushed.status === 'ACTIVE') {
+            report.addAction(sku, 'activated');
+          } else if (state.pushed.status === 'DRAFT') {
+            report.addAction(sku, 'drafted');
+          }
+        };
         
-        for (const eetItem of eetPriceAndStock) {
+        await shopifyClient.runConcurrently(eetPriceAndStock, async (eetItem) => {
           try {
             const sku = eetItem.ItemId;
-            const product = shopifyClient.findProductBySKU(sku, shopifyProducts);
+
+            // Already handled before the previous run was interrupted
+            if (journal?.isCompleted(sku, 'update')) {
+              resumedCount++;
+              report.addSkip(sku, 'resumed');
+              return;
+            }
+
+            if (duplicates.isSkipped(sku)) {
+              duplicateCount++;
+              report.addSkip(sku, 'duplicate');
+              return;
+            }
+
+            const product = shopifyClient.findProductBySKU(sku);
+
+            // Only reprice and restock products owned by the sync
+            if (product && !shopifyClient.isManagedProduct(product)) {
+              unmanagedCount++;
+              report.addSkip(sku, 'unmanaged');
+              return;
+            }
 
             // Find the EET product to get brand name
-            const eetProduct = jsonData.products.find(p => p.varenr === sku);
+            const eetProduct = eetProductsBySku.get(sku);
             const brandName = eetProduct?.maerke_navn || '';
 
-            // if eetItem.Price is not empty
-            // price = eetItem.Price.Price + eetItem.Price.VatAmount
-            let price = null;
-            if (eetItem.Price) {
-              price = parseFloat(eetItem.Price.Price) + parseFloat(eetItem.Price.VatAmount);
+            // price = eetItem.Price.Price (+ VAT in gross mode) with the pricing rules applied
+            const quote = quoteEETPrice(shopifyClient, eetItem, eetProduct, product);
+            const price = quote?.price ?? null;
+            const cost = quote?.cost ?? null;
+
+            // Only send mutations for fields selected by the command whose values differ from the last push
+            const needsUpdate = (field, value) =>
+              updateFields.has(field) && (fullResync || snapshot.hasChanged(sku, field, value));
+            const state = { pushed: {}, mutationCount: 0, failed: false };
+
+            // Registered before any change is queued, so every bulk result finds its SKU
+            if (useBulkMutations) {
+              skuStates.set(sku, state);
             }
-            const cost = parseFloat(eetItem.Price.Price);
 
-            if (price !== null) {
-              const result = await shopifyClient.updateProductPrice(sku, price, product, cost);
+            // The sale state is saved in the snapshot, so a sale can end and expire across runs
+            let compareAt = null;
+            if (compareAtPolicy && price !== null) {
+              const recommendedPrice = compareAtPolicy.getRecommendedPrice(eetItem);
+              const decision = compareAtPolicy.evaluate({
+                price,
+                currentPrice: product?.variants?.nodes?.[0]?.price ?? null,
+                recommendedPrice: recommendedPrice ? shopifyClient.tax.getBasePrice(recommendedPrice) : null,
+                sale: snapshot.get(sku)?.compareAtPrice ?? null
+              });
+              if (decision && needsUpdate('compareAtPrice', decision.sale)) {
+                compareAt = decision;
+              }
+            }
+            // undefined leaves the compare-at price alone, null clears it
+            const compareAtPrice = compareAt ? compareAt.sale?.price ?? null : undefined;
+
+            if (compareAt) {
+              const oldCompareAt = product?.variants?.nodes?.[0]?.compareAtPrice ?? null;
+              console.log(`🏷️  ${sku}: compare-at price ${oldCompareAt ?? 'none'} → ${compareAtPrice ?? 'none'} (${compareAt.reason})`);
+              if (isLoggingEnabled) {
+                logger.info('COMPARE_AT', 'Compare-at price changed', {
+                  sku,
+                  price,
+                  oldCompareAt,
+                  newCompareAt: compareAtPrice,
+                  reason: compareAt.reason,
+                  saleSince: compareAt.sale?.since ?? null
+                });
+              }
+            }
 
-              if (result.success) {
-                successCount++;
+            if (price !== null && (needsUpdate('price', price) || needsUpdate('cost', cost) || compareAt)) {
+              state.mutationCount++;
+              if (isLoggingEnabled) {
+                logger.info('PRICING', 'Price computed', {
+                  sku,
+                  price,
+                  rule: quote.rule,
+                  explanation: quote.explanation
+                });
+              }
+
+              if (useBulkMutations) {
+                bulkPrices.push({ sku, product, price, cost, rule: quote.rule, compareAtPrice, sale: compareAt?.sale });
               } else {
-                errorCount++;
-                console.log(`❌ Failed ${sku}: ${result.error}`);
+                const result = await shopifyClient.updateProductPrice(sku, price, product, cost, quote.rule, compareAtPrice);
+
+                if (result.success) {
+                  successCount++;
+                  state.pushed.price = price;
+                  state.pushed.cost = cost;
+                  if (compareAt) {
+                    state.pushed.compareAtPrice = compareAt.sale;
+                  }
+                } else {
+                  errorCount++;
+                  state.failed = true;
+                  report.addError(sku, 'price', result.error);
+                  console.log(`❌ Failed ${sku}: ${result.error}`);
+                }
               }
             }
 
-            // update quantity
-            let stockObject = null;
-            if (eetItem.Stock) {
-              stockObject = eetItem.Stock;
+            // Market prices follow the EET cost like the base price above
+            const marketPrices = marketPricing ? marketPricing.getPrices(cost) : [];
+            const hasMarketChange = marketPrices.length > 0 && needsUpdate('marketPrices', marketPrices);
+            if (hasMarketChange) {
+              state.mutationCount++;
+              skuStates.set(sku, state);
+              marketPriceChanges.push({ sku, product, prices: marketPrices });
             }
+
+            // update quantity
+            const stockObject = eetItem.Stock || [];
             if (stockObject.length > 0) {
               let localStock = 0;
               let remoteStock = 0;
@@ -353,20 +990,71 @@ async function main() {
                   incomingStock = stock.Quantity;
                 }
               });
-              const quantityResult = await shopifyClient.updateProductQuantity(sku, parseInt(localStock) + parseInt(remoteStock), product);
-              const saveStockObject = await shopifyClient.updateStockObject(sku, eetItem.Stock, product);
-              await shopifyClient.makeProductActive(product);
+              const quantity = parseInt(localStock) + parseInt(remoteStock);
+
+              if (needsUpdate('quantity', quantity)) {
+                state.mutationCount++;
+                if (useBulkMutations) {
+                  bulkQuantities.push({ sku, product, quantity });
+                } else {
+                  const quantityResult = await shopifyClient.updateProductQuantity(sku, quantity, product);
+                  if (quantityResult.success) {
+                    state.pushed.quantity = quantity;
+                  } else {
+                    state.failed = true;
+                    report.addError(sku, 'quantity', quantityResult.error);
+                  }
+                }
+              }
+              if (needsUpdate('stockObject', stockObject)) {
+                state.mutationCount++;
+                if (useBulkMutations) {
+                  bulkStockObjects.push({ sku, product, stockObject });
+                } else {
+                  const stockObjectResult = await shopifyClient.updateStockObject(sku, stockObject, product);
+                  if (stockObjectResult.success) {
+                    state.pushed.stockObject = stockObject;
+                  } else {
+                    state.failed = true;
+                    report.addError(sku, 'stockObject', stockObjectResult.error);
+                  }
+                }
+              }
+              if (needsUpdate('status', 'ACTIVE')) {
+                state.mutationCount++;
+                const activeResult = await shopifyClient.makeProductActive(product);
+                if (activeResult.success) {
+                  state.pushed.status = 'ACTIVE';
+                } else {
+                  state.failed = true;
+                  report.addError(sku, 'activate', activeResult.error);
+                }
+              }
             } else {
               // make product draft
-              if (product) {
-                await shopifyClient.makeProductDraft(product);
+              if (product && needsUpdate('status', 'DRAFT')) {
+                state.mutationCount++;
+                const draftResult = await shopifyClient.makeProductDraft(product);
+                if (draftResult.success) {
+                  state.pushed.status = 'DRAFT';
+                } else {
+                  state.failed = true;
+                  report.addError(sku, 'draft', draftResult.error);
+                }
               }
             }
 
             // Add brand tag to the product
-            if (product && brandName) {
+            if (product && brandName && needsUpdate('tags', [brandName])) {
+              state.mutationCount++;
               try {
-                await shopifyClient.addProductTags(product.id, [brandName]);
+                const tagResult = await shopifyClient.addProductTags(product.id, [brandName]);
+                if (tagResult.success) {
+                  state.pushed.tags = [brandName];
+                } else {
+                  state.failed = true;
+                  report.addError(sku, 'tags', tagResult.error);
+                }
               } catch (tagError) {
                 // Log but don't fail update if tag addition fails
                 if (isLoggingEnabled) {
@@ -379,98 +1067,598 @@ async function main() {
               }
             }
 
-            await new Promise(resolve => setTimeout(resolve, 200));
+            // Bulk and market price SKUs are finalized once those results are in
+            if (!useBulkMutations && !hasMarketChange) {
+              finalizeSku(sku, state);
+            }
 
           } catch (error) {
             errorCount++;
+            report.addError(eetItem.ItemId, 'update', error.message);
             console.log(`❌ Error updating ${eetItem.ItemId}: ${error.message}`);
+
+            // Keep the SKU open so a resumed run retries it
+            const failedState = skuStates.get(eetItem.ItemId);
+            if (failedState) {
+              failedState.failed = true;
+            }
+          }
+        });
+
+        // Map the results of collected changes back to their SKUs
+        const bulkErrors = [];
+        const applyResults = (changes, results, field, onSuccess) => {
+          const changesBySku = new Map(changes.map(change => [change.sku, change]));
+          results.forEach(result => {
+            const state = skuStates.get(result.sku);
+            if (result.success) {
+              onSuccess(state, changesBySku.get(result.sku));
+            } else {
+              state.failed = true;
+              report.addError(result.sku, field, result.error);
+              bulkErrors.push({ sku: result.sku, field, error: result.error });
+              console.log(`❌ Failed ${field} for ${result.sku}: ${result.error}`);
+            }
+          });
+        };
+
+        // Send the collected changes in bulk
+        if (useBulkMutations) {
+          const priceResults = await shopifyClient.bulkUpdateVariantPrices(bulkPrices);
+          applyResults(bulkPrices, priceResults, 'price', (state, change) => {
+            successCount++;
+            state.pushed.price = change.price;
+            state.pushed.cost = change.cost;
+            if (change.compareAtPrice !== undefined) {
+              state.pushed.compareAtPrice = change.sale ?? null;
+            }
+          });
+          errorCount += priceResults.filter(result => !result.success).length;
+
+          const stockObjectResults = await shopifyClient.bulkUpdateStockObjects(bulkStockObjects);
+          applyResults(bulkStockObjects, stockObjectResults, 'stockObject', (state, change) => {
+            state.pushed.stockObject = change.stockObject;
+          });
+
+          const quantityResults = await shopifyClient.setInventoryQuantities(bulkQuantities);
+          applyResults(bulkQuantities, quantityResults, 'quantity', (state, change) => {
+            state.pushed.quantity = change.quantity;
+          });
+
+          if (isLoggingEnabled) {
+            logger.info('EET_UPDATE', 'Bulk update results', {
+              priceChanges: bulkPrices.length,
+              stockObjectChanges: bulkStockObjects.length,
+              quantityChanges: bulkQuantities.length,
+              failed: bulkErrors.length,
+              errors: bulkErrors
+            });
           }
         }
+
+        if (marketPriceChanges.length > 0) {
+          const marketPriceResults = await shopifyClient.updateMarketPrices(marketPriceChanges);
+          applyResults(marketPriceChanges, marketPriceResults, 'marketPrices', (state, change) => {
+            state.pushed.marketPrices = change.prices;
+          });
+          errorCount += marketPriceResults.filter(result => !result.success).length;
+        }
+
+        skuStates.forEach((state, sku) => finalizeSku(sku, state));
+
+        // The snapshot must only reflect values that really reached Shopify
+        if (!isDryRun) {
+          snapshot.save();
+        }
         
         if (isLoggingEnabled) {
           logger.info('EET_UPDATE', 'Price update process completed', {
             processedCount: eetPriceAndStock.length,
             successCount,
-            errorCount
+            errorCount,
+            skippedUnmanaged: unmanagedCount,
+            skippedUnchanged: unchangedCount,
+            skippedResumed: resumedCount,
+            skippedDuplicates: duplicateCount
           });
         }
       }
-    } else {
-      console.log('❌ EET login failed:', loginResult.error);
     }
-    
-    // Log application completion
+
+    // STEP 8: Register translated titles, descriptions and categories for the other shop languages
+    if (shared.translations) {
+      report.startPhase('translations');
+      await syncTranslations(shopifyClient, shared.translations, primaryLocale, feedProducts, snapshot, report);
+    }
+
+    // Write the sync plan when running in dry-run mode
+    if (isDryRun) {
+      const planFiles = plan.saveToFile(store.dataDir);
+      console.log(plan.toTable());
+
+      if (isLoggingEnabled) {
+        logger.info('PLAN', 'Dry-run sync plan written', {
+          summary: plan.getSummary(),
+          ...planFiles
+        });
+      }
+    }
+
+    // Remember this run's EET file size for the next run's row count check
+    if (!isDryRun && steps.catalog) {
+      breaker.saveState({ csvRowCount: jsonData.metadata.originalCount });
+    }
+
+    journal?.finish();
+
+    const summary = finishStoreRun(report, 'finished');
+    console.log(`📊 Run report (${store.name}): ${summary.htmlFile}`);
+
+    await notifier.notify('run_completed', {
+      message: report.getCounts().failed > 0 ? 'The run finished with errors.' : 'The run finished without errors.',
+      report: report.toJSON(),
+      reportFile: summary.htmlFile
+    });
+
     if (isLoggingEnabled) {
-      logger.logAppEnd({
+      logger.info('APP', 'Store sync completed', {
+        store: store.name,
         totalProducts: jsonData.metadata.totalProducts,
         originalCount: jsonData.metadata.originalCount,
         shopifyProductsCount: shopifyProducts.length,
-        logFile: logger.getCurrentLogFile()
+        counts: report.getCounts(),
+        reportFile: summary.jsonFile,
+        reportHtmlFile: summary.htmlFile
       });
     }
 
-    // Return the JSON data for further processing
-    return {
-      shopifyProducts,
-      eetData: jsonData,
-      unregisteredProducts,
-      registeredProducts
-    };
+    return summary;
     
   } catch (error) {
+    const summary = finishStoreRun(report, 'failed', error);
+
+    await notifier.notify('run_failed', {
+      message: error.message,
+      report: report.toJSON(),
+      reportFile: summary.htmlFile
+    });
+
     if (isLoggingEnabled) {
-      logger.error('APP', 'Application failed', {
+      logger.error('APP', 'Store sync failed', {
+        store: store.name,
         error: error.message,
-        stack: error.stack
+        stack: error.stack,
+        reportFile: summary.jsonFile,
+        reportHtmlFile: summary.htmlFile
       });
     }
-    console.error('❌ Application failed:', error.message);
-    process.exit(1);
+    console.error(`❌ Sync of store ${store.name} failed:`, error.message);
+    return summary;
   }
 }
 
 /**
- * Schedule the main process to run every 12 hours
+ * Main application entry point
+ * Parses the EET file and gets EET prices and stock once, then syncs every store in turn;
+ * a failing store does not stop the others
+ * @param {string} command - Sync command to run: sync, plan, prices, stock, drafts or create
+ * @param {Object} scope - { skus, brands, limit, stores } narrowing the run (defaults to the command-line options)
+ * @returns {Promise<Array<Object>>} Summary per store, see finishStoreRun
+ * @throws {Error} When another run holds the lock or the run of any store failed
  */
-function scheduleProcess() {
-  const runProcess = async () => {
-    const startTime = new Date();
-    console.log(`\n🕐 Starting scheduled process at ${startTime.toISOString()}`);
-    console.log('═'.repeat(80));
+async function main(command = cli.command, scope = cliOptions) {
+  // Steps of the command: { catalog, create, drafts, fields } (see CommandLine)
+  const steps = CommandLine.getSteps(command);
+  if (!steps) {
+    throw new Error(`Unknown sync command "${command}"`);
+  }
+
+  // Stores from config/stores.json (all unless --store names some), or the single store from .env
+  let stores;
+  try {
+    stores = storeRegistry.getStores(scope.stores || []);
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    throw error;
+  }
+
+  // Never let two runs work on the stores at the same time
+  const lock = new RunLock();
+  if (!lock.acquire()) {
+    const holder = lock.read();
+    const message = `Another run is in progress (process ${holder?.pid} since ${holder?.startedAt})`;
+    console.error(`❌ ${message}`);
+    const error = new Error(message);
+    error.code = 'RUN_LOCKED';
+    throw error;
+  }
+
+  const notifier = new Notifier();
+
+  try {
+    // Log application start
+    if (isLoggingEnabled) {
+      logger.logAppStart();
+    }
     
+    // Log environment configuration
+    if (isLoggingEnabled) {
+      logger.info('CONFIG', 'Environment configuration loaded', {
+        stores: stores.map(store => store.name),
+        eetPriceFile,
+        dryRun: isDryRun,
+        fullResync,
+        resume: isResume,
+        bulkMutations: useBulkMutations,
+        force: forceRun,
+        command,
+        skus: scope.skus,
+        brands: scope.brands,
+        limit: scope.limit
+      });
+      
+      logger.info('APP', 'Application UI started');
+    }
+
+    const runs = stores.map(store => prepareStoreRun(store, command));
+    runState.reports = runs.map(run => run.report);
+    runState.current = runs[0].report;
+
+    // A failure here fails every store, since none of them has its EET data
+    let shared = null;
+    let sharedError = null;
     try {
-      await main();
-      const endTime = new Date();
-      const duration = Math.round((endTime - startTime) / 1000);
-      console.log(`\n✅ Process completed successfully at ${endTime.toISOString()}`);
-      console.log(`⏱️  Duration: ${duration} seconds`);
+      shared = await loadSharedInput(runs, steps, scope);
     } catch (error) {
-      const endTime = new Date();
-      console.error(`\n❌ Process failed at ${endTime.toISOString()}:`, error.message);
+      sharedError = error;
     }
-    
-    // Schedule next run in 12 hours
-    const nextRun = new Date(Date.now() + 12 * 60 * 60 * 1000);
-    console.log(`\n⏰ Next scheduled run: ${nextRun.toISOString()}`);
-    console.log('═'.repeat(80));
-    
-    setTimeout(runProcess, 12 * 60 * 60 * 1000); // 12 hours = 12 * 60 * 60 * 1000 ms
+
+    if (shared?.loginResult && !shared.loginResult.success) {
+      console.log('❌ EET login failed:', shared.loginResult.error);
+      await notifier.notify('eet_login_failed', {
+        message: `EET login failed: ${shared.loginResult.error}. Prices and stock were not updated.`,
+        details: { stores: stores.map(store => store.name) }
+      });
+    }
+
+    const summaries = [];
+    for (const run of runs) {
+      runState.current = run.report;
+      summaries.push(await syncStore(run, shared, sharedError, steps, scope, notifier));
+    }
+
+    // Log application completion
+    if (isLoggingEnabled) {
+      logger.logAppEnd({
+        command,
+        stores: summaries.map(summary => ({
+          store: summary.store,
+          runId: summary.runId,
+          status: summary.status,
+          counts: summary.counts,
+          reportFile: summary.jsonFile
+        })),
+        logFile: logger.getCurrentLogFile()
+      });
+    }
+
+    const failed = summaries.filter(summary => summary.status === 'failed');
+    if (failed.length > 0) {
+      throw new Error(failed.length === 1
+        ? `${failed[0].store}: ${failed[0].error}`
+        : `${failed.length} of ${summaries.length} stores failed: ${failed.map(summary => summary.store).join(', ')}`);
+    }
+
+    return summaries;
+  } finally {
+    runState.current = null;
+    runState.reports = [];
+    lock.release();
+  }
+}
+
+/**
+ * Start a run requested over the control server
+ * The run continues in the background; its outcome is in /status and /runs/:id
+ * @param {Object} request - { command, skus, brands, stores }
+ * @returns {Object} { accepted, runId, runIds, reason, statusCode }
+ */
+function triggerRun(request = {}) {
+  const command = request.command || 'sync';
+  if (!CommandLine.isSyncCommand(command) || command === 'plan') {
+    return { accepted: false, statusCode: 400, reason: `Unknown command "${command}"` };
+  }
+
+  const toList = value => CommandLine.splitList(Array.isArray(value) ? value : (value ? [String(value)] : []));
+  const scope = {
+    skus: toList(request.skus ?? request.sku),
+    brands: toList(request.brands ?? request.brand),
+    stores: toList(request.stores ?? request.store),
+    limit: null
   };
-  
-  // Start the first run immediately
-  runProcess();
+
+  let stores;
+  try {
+    stores = storeRegistry.getStores(scope.stores).map(store => store.name);
+  } catch (error) {
+    return { accepted: false, statusCode: 400, reason: error.message };
+  }
+
+  const lockHolder = new RunLock().read();
+  if (runState.current || RunLock.isHolderAlive(lockHolder)) {
+    return { accepted: false, statusCode: 409, reason: 'Another run is in progress', runId: runState.current?.runId };
+  }
+
+  // main() creates the reports before its first await, so the run IDs are known here
+  main(command, scope).catch(() => {
+    // Already logged, reported and notified per store by main()
+  });
+
+  return {
+    accepted: true,
+    command,
+    runId: runState.current?.runId,
+    runIds: runState.reports.map(report => report.runId),
+    stores,
+    skus: scope.skus,
+    brands: scope.brands
+  };
+}
+
+/**
+ * Start the control server when CONTROL_PORT is set
+ * @param {Scheduler} scheduler - Scheduler whose next runs are shown in /status
+ */
+async function startControlServer(scheduler) {
+  if (!process.env.CONTROL_PORT) {
+    return;
+  }
+
+  const server = new ControlServer({
+    port: parseInt(process.env.CONTROL_PORT),
+    host: process.env.CONTROL_HOST || '127.0.0.1',
+    token: process.env.CONTROL_TOKEN,
+    getStatus: () => ({
+      running: !!runState.current,
+      current: runState.current?.toStatus() || null,
+      lastRun: runState.last,
+      stores: runState.lastByStore,
+      nextRuns: scheduler.getNextRuns(5)
+    }),
+    getRun: (runId) => runState.reports.find(report => report.runId === runId)?.toJSON()
+      || RunReport.load(runId, path.dirname(logger.getCurrentLogFile())),
+    getMetrics: () => metrics.render(),
+    trigger: triggerRun
+  });
+
+  try {
+    await server.start();
+  } catch (error) {
+    console.error(`❌ Control server not started: ${error.message}`);
+    if (isLoggingEnabled) {
+      logger.error('CONTROL', 'Control server not started', { error: error.message });
+    }
+  }
+}
+
+/**
+ * Roll back a sync run from its change log
+ * Lists the runs that can be rolled back when no run ID is given
+ * @param {string} runId - Run ID (file name in the store's changes directory without .jsonl)
+ * @returns {Promise<Object|null>} Rollback results
+ */
+async function rollback(runId) {
+  const stores = storeRegistry.getStores(cliOptions.stores);
+
+  if (!runId) {
+    stores.forEach(store => {
+      const runs = ChangeLog.listRuns(path.join(store.dataDir, 'changes'));
+      console.log(runs.length > 0
+        ? `📋 Runs that can be rolled back (${store.name}):`
+        : `📋 No recorded runs found (${store.name})`);
+      runs.forEach(run => console.log(`   ${run}`));
+    });
+    return null;
+  }
+
+  // The run belongs to the store whose changes directory holds its change log
+  const store = stores.find(candidate => new ChangeLog(runId, path.join(candidate.dataDir, 'changes')).exists());
+  if (!store) {
+    throw new Error(`No change log found for run ${runId}`);
+  }
+  const changeLog = new ChangeLog(runId, path.join(store.dataDir, 'changes'));
+
+  console.log(`↩️  Rolling back ${runId} in ${store.name}${isDryRun ? ' (dry run)' : ''}`);
+  const shopifyClient = new ShopifyClient(StoreRegistry.getShopifyConfig(store));
+  const results = await new RunRollback(shopifyClient, changeLog, { archiveCreated, dryRun: isDryRun }).run();
+
+  console.log(`✅ Restored: ${results.restored}, archived: ${results.archived}, skipped: ${results.skipped}, failed: ${results.failed}`);
+  if (results.skipped > 0 && !archiveCreated) {
+    console.log('ℹ️  Products created in this run were left as they are; pass --archive-created to archive them');
+  }
+
+  return results;
+}
+
+/**
+ * Run the EET file filter of every store and save the filtered products to the store's data directory
+ * @returns {Promise<Array<Object>>} Filtered products and metadata per store
+ */
+async function runFilter() {
+  const stores = storeRegistry.getStores(cliOptions.stores);
+  const filters = stores.map(store => new EETProductFilter(store.filterFile));
+  const rows = await filters[0].parseCSV(eetPriceFile);
+
+  return stores.map((store, index) => {
+    console.log(`\n🏪 Store ${store.name}`);
+    return filters[index].apply(rows, eetPriceFile, true, true, path.join(store.dataDir, 'filtered-products.json'));
+  });
+}
+
+/**
+ * Print the state of the last runs per store: journal, snapshot, safety state and change logs
+ */
+function showStatus() {
+  storeRegistry.getStores(cliOptions.stores).forEach(store => {
+    console.log(`🏪 Store ${store.name}`);
+
+    const journal = RunJournal.latest(path.join(store.dataDir, 'journal'));
+    if (journal) {
+      const counts = journal.getStatusCounts();
+      console.log(`📋 Last run: ${journal.runId} (${journal.finished ? 'finished' : 'not finished'})`);
+      Object.entries(counts).forEach(([status, count]) => console.log(`   ${status}: ${count}`));
+    } else {
+      console.log('📋 No runs recorded yet');
+    }
+
+    if (store.shopDomain) {
+      const snapshot = new CatalogSnapshot(store.shopDomain, path.join(store.dataDir, 'catalog-snapshot.json')).load();
+      console.log(`📸 Catalog snapshot: ${Object.keys(snapshot.entries).length} SKUs${snapshot.updatedAt ? `, updated ${snapshot.updatedAt}` : ''}`);
+    } else {
+      console.log('📸 Catalog snapshot: unavailable (no Shopify domain configured)');
+    }
+
+    const safetyState = new CircuitBreaker({ statePath: path.join(store.dataDir, 'safety-state.json') }).state;
+    if (safetyState.csvRowCount) {
+      console.log(`🛡️  Last EET file size: ${safetyState.csvRowCount} rows (${safetyState.updatedAt})`);
+    }
+
+    const runs = ChangeLog.listRuns(path.join(store.dataDir, 'changes'));
+    console.log(`↩️  Runs that can be rolled back: ${runs.length}${runs.length > 0 ? ` (latest ${runs[0]})` : ''}`);
+  });
+
+  const lockHolder = new RunLock().read();
+  if (lockHolder) {
+    console.log(`🔒 Run in progress: process ${lockHolder.pid} since ${lockHolder.startedAt}`);
+  }
+}
+
+/**
+ * Scrape product documents for managed products and store them in the documents metafield
+ * The documents of a product are scraped once and written to every store that manages it
+ * @returns {Promise<Object>} { updated, empty, failed }
+ */
+async function scrapeDocs() {
+  const stores = storeRegistry.getStores(cliOptions.stores);
+  const filters = stores.map(store => new EETProductFilter(store.filterFile));
+  const rows = await filters[0].parseCSV(eetPriceFile);
+
+  // Managed products per store, keyed by EET product
+  const targets = new Map(); // varenr -> { eetProduct, products: [{ shopifyClient, product }] }
+  for (const [index, store] of stores.entries()) {
+    const shopifyClient = new ShopifyClient({ ...StoreRegistry.getShopifyConfig(store), dryRun: isDryRun });
+    await shopifyClient.getAllProducts();
+
+    const { products } = filters[index].apply(rows, eetPriceFile, false, false);
+    selectProducts(products, cliOptions).forEach(eetProduct => {
+      const product = shopifyClient.findProductBySKU(eetProduct.varenr);
+      if (!product || !shopifyClient.isManagedProduct(product) || !eetProduct.item_product_link) {
+        return;
+      }
+      const target = targets.get(eetProduct.varenr) || { eetProduct, products: [] };
+      target.products.push({ shopifyClient, product });
+      targets.set(eetProduct.varenr, target);
+    });
+  }
+
+  const results = { updated: 0, empty: 0, failed: 0 };
+
+  // Playwright runs one browser at a time, so products are scraped one by one
+  for (const { eetProduct, products } of targets.values()) {
+    try {
+      const documentUrls = await products[0].shopifyClient.scrapeProductDocuments(eetProduct.item_product_link);
+      if (documentUrls.length === 0) {
+        results.empty++;
+        continue;
+      }
+
+      for (const { shopifyClient, product } of products) {
+        await shopifyClient.setDocumentsMetafield(product.id, documentUrls);
+      }
+      results.updated++;
+      console.log(`📄 ${eetProduct.varenr}: ${documentUrls.length} documents${isDryRun ? ' (dry run)' : ''}`);
+    } catch (error) {
+      results.failed++;
+      console.log(`❌ Failed to scrape documents for ${eetProduct.varenr}: ${error.message}`);
+    }
+  }
+
+  console.log(`✅ Documents updated: ${results.updated}, no documents: ${results.empty}, failed: ${results.failed}`);
+  return results;
+}
+
+/**
+ * Send a test notification to every configured channel
+ * @returns {Promise<Object>} Result per channel
+ */
+async function notifyTest() {
+  const results = await new Notifier().notify('test', {
+    message: 'Notifications from the EET Shopify sync are working.'
+  });
+
+  if (Object.keys(results).length === 0) {
+    console.log('⚠️  No notification channel is set up (SMTP_HOST with email recipients, or NOTIFY_WEBHOOK_URL)');
+  }
+  Object.entries(results).forEach(([channel, result]) => {
+    console.log(result.success ? `✅ ${channel}: sent` : `❌ ${channel}: ${result.error}`);
+  });
+
+  return results;
+}
+
+/**
+ * Run a one-off command and exit with its result
+ * @param {Function} command - Command to run
+ * @param {string} name - Command name for the error message
+ */
+function runCommand(command, name) {
+  Promise.resolve().then(command).then(() => {
+    process.exit(0);
+  }).catch(error => {
+    console.error(`❌ ${name} failed:`, error.message);
+    process.exit(1);
+  });
 }
 
 // Check if we should run in scheduled mode or single run
 const isScheduledMode = process.env.SCHEDULED_MODE === 'true';
 
-if (isScheduledMode) {
-  console.log('🔄 Starting in scheduled mode - will run every 12 hours');
-  scheduleProcess();
-} else {
-  console.log('🚀 Starting in single-run mode');
-  // Run the application once
-  main().then(result => {
-    console.log("END!");
-  }).catch(console.error);
+switch (cli.command) {
+  case 'help':
+    runCommand(() => console.log(CommandLine.help()), 'Help');
+    break;
+  case 'rollback':
+    runCommand(() => rollback(cli.args[0] || ''), 'Rollback');
+    break;
+  case 'filter':
+    runCommand(runFilter, 'Filter');
+    break;
+  case 'status':
+    runCommand(showStatus, 'Status');
+    break;
+  case 'scrape-docs':
+    runCommand(scrapeDocs, 'Document scraping');
+    break;
+  case 'notify-test':
+    runCommand(notifyTest, 'Test notification');
+    break;
+  default:
+    if (isScheduledMode) {
+      // Stores with their own schedule in config/stores.json run those jobs on their own
+      const scheduledStores = storeRegistry.hasRegistry() ? storeRegistry.getStores(cliOptions.stores) : [];
+      const scheduler = new Scheduler(
+        (job, stores) => main(job, stores ? { ...cliOptions, stores } : cliOptions),
+        scheduledStores
+      );
+      scheduler.start();
+      startControlServer(scheduler);
+    } else {
+      console.log(`🚀 Starting in single-run mode (${cli.command})`);
+      // Run the application once
+      main().then(result => {
+        console.log("END!");
+      }).catch(() => {
+        process.exit(1);
+      });
+    }
 }
@@ -0,0 +1,319 @@
+import fetch, { FormData, Blob } from 'node-fetch';
+import readline from 'readline';
+import logger from './logger.js';
+
+// Check if logging is disabled
+const isLoggingEnabled = process.env.LOGGING !== 'false';
+
+/**
+ * Shopify Bulk Operation runner
+ * Starts bulk queries and bulk mutations, polls until they finish and downloads the JSONL result
+ */
+class BulkOperation {
+  /**
+   * @param {ShopifyClient} shopifyClient - Client used to send the GraphQL requests
+   * @param {Object} options - Runner options
+   * @param {number} options.pollInterval - Milliseconds between status checks
+   * @param {number} options.timeout - Milliseconds before giving up on the operation
+   */
+  constructor(shopifyClient, options = {}) {
+    this.shopifyClient = shopifyClient;
+    this.pollInterval = options.pollInterval || 3000;
+    this.timeout = options.timeout || 60 * 60 * 1000;
+  }
+
+  /**
+   * Run a bulk query and return the parsed JSONL lines
+   * @param {string} query - Bulk query (no pagination arguments)
+   * @returns {Promise<Array>} Parsed result lines
+   */
+  async runQuery(query) {
+    const mutation = `
+      mutation bulkOperationRunQuery($query: String!) {
+        bulkOperationRunQuery(query: $query) {
+          bulkOperation {
+            id
+            status
+          }
+          userErrors {
+            field
+            message
+          }
+        }
+      }
+    `;
+
+    const response = await this.shopifyClient.runGraphQL(mutation, { query });
+    const result = response.data.bulkOperationRunQuery;
+
+    if (result.userErrors.length > 0) {
+      throw new Error(`Bulk query failed to start: ${result.userErrors.map(e => e.message).join(', ')}`);
+    }
+
+    if (isLoggingEnabled) {
+      logger.info('SHOPIFY_BULK', 'Bulk query started', {
+        operationId: result.bulkOperation.id
+      });
+    }
+
+    const operation = await this.waitForCompletion(result.bulkOperation.id);
+    return this.downloadResults(operation.url);
+  }
+
+  /**
+   * Run a bulk mutation with one set of variables per JSONL line
+   * @param {string} mutation - GraphQL mutation run once per line
+   * @param {Array<Object>} variablesList - Variables for each line
+   * @returns {Promise<Array>} Response data per input line (null when a line returned nothing)
+   */
+  async runMutation(mutation, variablesList) {
+    if (variablesList.length === 0) {
+      return [];
+    }
+
+    const stagedUploadPath = await this.uploadVariables(variablesList);
+
+    const runMutation = `
+      mutation bulkOperationRunMutation($mutation: String!, $stagedUploadPath: String!) {
+        bulkOperationRunMutation(mutation: $mutation, stagedUploadPath: $stagedUploadPath) {
+          bulkOperation {
+            id
+            status
+          }
+          userErrors {
+            field
+            message
+          }
+        }
+      }
+    `;
+
+    const response = await this.shopifyClient.runGraphQL(runMutation, { mutation, stagedUploadPath });
+    const result = response.data.bulkOperationRunMutation;
+
+    if (result.userErrors.length > 0) {
+      throw new Error(`Bulk mutation failed to start: ${result.userErrors.map(e => e.message).join(', ')}`);
+    }
+
+    if (isLoggingEnabled) {
+      logger.info('SHOPIFY_BULK', 'Bulk mutation started', {
+        operationId: result.bulkOperation.id,
+        lineCount: variablesList.length
+      });
+    }
+
+    const operation = await this.waitForCompletion(result.bulkOperation.id);
+    const lines = await this.downloadResults(operation.url);
+
+    // Result lines carry the 0-based line number of the input they belong to
+    const results = new Array(variablesList.length).fill(null);
+    for (const line of lines) {
+      if (typeof line.__lineNumber === 'number') {
+        results[line.__lineNumber] = line.data || null;
+      }
+    }
+
+    return results;
+  }
+
+  /**
+   * Upload the JSONL variables file for a bulk mutation
+   * @param {Array<Object>} variablesList - Variables for each line
+   * @returns {Promise<string>} Staged upload path for bulkOperationRunMutation
+   */
+  async uploadVariables(variablesList) {
+    const filename = 'bulk_op_vars.jsonl';
+    const jsonl = variablesList.map(variables => JSON.stringify(variables)).join('\n');
+
+    const mutation = `
+      mutation stagedUploadsCreate($input: [StagedUploadInput!]!) {
+        stagedUploadsCreate(input: $input) {
+          stagedTargets {
+            url
+            resourceUrl
+            parameters {
+              name
+              value
+            }
+          }
+          userErrors {
+            field
+            message
+          }
+        }
+      }
+    `;
+
+    const response = await this.shopifyClient.runGraphQL(mutation, {
+      input: [{
+        resource: 'BULK_MUTATION_VARIABLES',
+        filename,
+        mimeType: 'text/jsonl',
+        httpMethod: 'POST'
+      }]
+    });
+    const result = response.data.stagedUploadsCreate;
+
+    if (result.userErrors.length > 0) {
+      throw new Error(`Staged upload failed: ${result.userErrors.map(e => e.message).join(', ')}`);
+    }
+
+    const target = result.stagedTargets[0];
+    const form = new FormData();
+    for (const parameter of target.parameters) {
+      form.append(parameter.name, parameter.value);
+    }
+    // The file must be the last form field
+    form.append('file', new Blob([jsonl], { type: 'text/jsonl' }), filename);
+
+    const uploadResponse = await fetch(target.url, { method: 'POST', body: form });
+    if (!uploadResponse.ok) {
+      throw new Error(`Staged upload failed with status: ${uploadResponse.status}`);
+    }
+
+    const key = target.parameters.find(parameter => parameter.name === 'key')?.value;
+    if (!key) {
+      throw new Error('Staged upload did not return a key');
+    }
+
+    if (isLoggingEnabled) {
+      logger.info('SHOPIFY_BULK', 'Bulk mutation variables uploaded', {
+        lineCount: variablesList.length,
+        bytes: Buffer.byteLength(jsonl)
+      });
+    }
+
+    return key;
+  }
+
+  /**
+   * Poll a bulk operation until it reaches a final status
+   * @param {string} operationId - Bulk operation ID
+   * @returns {Promise<Object>} Completed bulk operation
+   */
+  async waitForCompletion(operationId) {
+    const query = `
+      query bulkOperation($id: ID!) {
+        node(id: $id) {
+          ... on BulkOperation {
+            id
+            status
+            errorCode
+            objectCount
+            url
+            partialDataUrl
+          }
+        }
+      }
+    `;
+
+    const startTime = Date.now();
+
+    while (Date.now() - startTime < this.timeout) {
+      const response = await this.shopifyClient.runGraphQL(query, { id: operationId });
+      const operation = response.data.node;
+
+      if (operation.status === 'COMPLETED') {
+        if (isLoggingEnabled) {
+          logger.info('SHOPIFY_BULK', 'Bulk operation completed', {
+            operationId,
+            objectCount: operation.objectCount,
+            durationMs: Date.now() - startTime
+          });
+        }
+        return operation;
+      }
+
+      if (['FAILED', 'CANCELED', 'EXPIRED'].includes(operation.status)) {
+        throw new Error(`Bulk operation ${operation.status.toLowerCase()}: ${operation.errorCode || 'no error code'}`);
+      }
+
+      if (isLoggingEnabled) {
+        logger.info('SHOPIFY_BULK', 'Bulk operation running', {
+          operationId,
+          status: operation.status,
+          objectCount: operation.objectCount
+        });
+      }
+
+      await new Promise(resolve => setTimeout(resolve, this.pollInterval));
+    }
+
+    throw new Error(`Bulk operation ${operationId} timed out after ${this.timeout} ms`);
+  }
+
+  /**
+   * Download and parse a JSONL result file line by line
+   * @param {string|null} url - Result URL (null when the operation returned no objects)
+   * @returns {Promise<Array>} Parsed result lines
+   */
+  async downloadResults(url) {
+    if (!url) {
+      return [];
+    }
+
+    const response = await fetch(url);
+    if (!response.ok) {
+      throw new Error(`Bulk result download failed with status: ${response.status}`);
+    }
+
+    const lines = [];
+    const reader = readline.createInterface({ input: response.body, crlfDelay: Infinity });
+    for await (const line of reader) {
+      if (line.trim()) {
+        lines.push(JSON.parse(line));
+      }
+    }
+
+    if (isLoggingEnabled) {
+      logger.info('SHOPIFY_BULK', 'Bulk results downloaded', {
+        lineCount: lines.length
+      });
+    }
+
+    return lines;
+  }
+
+  /**
+   * Rebuild nested products from the flat JSONL lines of a product bulk query
+   * Produces the same shape as getProducts: product.variants.nodes[].inventoryItem.inventoryLevels.nodes[]
+   * @param {Array} lines - Parsed result lines
+   * @returns {Array} Products
+   */
+  static rebuildProducts(lines) {
+    const products = [];
+    const productsById = new Map();
+    const variantsById = new Map();
+    const variantsByInventoryItemId = new Map();
+
+    for (const line of lines) {
+      const { __parentId: parentId, ...node } = line;
+
+      if (!parentId) {
+        const product = { ...node, variants: { nodes: [] } };
+        products.push(product);
+        productsById.set(product.id, product);
+      } else if (node.id?.startsWith('gid://shopify/ProductVariant/')) {
+        const variant = {
+          ...node,
+          inventoryItem: node.inventoryItem
+            ? { ...node.inventoryItem, inventoryLevels: { nodes: [] } }
+            : null
+        };
+        productsById.get(parentId)?.variants.nodes.push(variant);
+        variantsById.set(variant.id, variant);
+        if (variant.inventoryItem) {
+          variantsByInventoryItemId.set(variant.inventoryItem.id, variant);
+        }
+      } else if (node.id?.startsWith('gid://shopify/InventoryLevel/')) {
+        // Inventory levels point at the variant or its inventory item depending on the API version
+        const variant = variantsById.get(parentId) || variantsByInventoryItemId.get(parentId);
+        variant?.inventoryItem?.inventoryLevels.nodes.push({ location: node.location });
+      }
+    }
+
+    return products;
+  }
+}
+
+export default BulkOperation;
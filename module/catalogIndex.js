@@ -0,0 +1,296 @@
+import logger from './logger.js';
+
+// Check if logging is disabled
+const isLoggingEnabled = process.env.LOGGING !== 'false';
+
+/**
+ * In-memory index of the Shopify catalog
+ * Built once from getAllProducts output and kept current while the run creates
+ * and changes products, so lookups by SKU, barcode (EAN) and MPN are constant time
+ */
+class CatalogIndex {
+  /**
+   * @param {Array} products - Products in the getProducts shape
+   */
+  constructor(products = []) {
+    this.build(products);
+  }
+
+  /**
+   * Rebuild the index from a full product list
+   * @param {Array} products - Products in the getProducts shape
+   * @returns {CatalogIndex} This index
+   */
+  build(products) {
+    this.byId = new Map();
+    this.bySku = new Map(); // sku -> [product]
+    this.byBarcode = new Map(); // barcode -> [product]
+    this.byMpn = new Map(); // mpn -> [product]
+
+    for (const product of products) {
+      this.add(product);
+    }
+
+    const duplicates = this.getDuplicateSkus();
+    if (isLoggingEnabled && products.length > 0) {
+      logger.info('CATALOG_INDEX', 'Catalog index built', {
+        productCount: this.byId.size,
+        skuCount: this.bySku.size,
+        barcodeCount: this.byBarcode.size,
+        mpnCount: this.byMpn.size,
+        duplicateSkuCount: duplicates.length
+      });
+
+      if (duplicates.length > 0) {
+        logger.warn('CATALOG_INDEX', 'Duplicate SKUs found across products', { duplicates });
+      }
+    }
+
+    return this;
+  }
+
+  /**
+   * Get the lookup keys of a product
+   * @param {Object} product - Shopify product
+   * @returns {Object} { skus, barcodes, mpn }
+   */
+  static getKeys(product) {
+    const variants = product.variants?.nodes || [];
+    return {
+      skus: variants.map(variant => variant.inventoryItem?.sku).filter(Boolean),
+      barcodes: variants.map(variant => variant.barcode).filter(Boolean),
+      mpn: product.mpn?.value || null
+    };
+  }
+
+  /**
+   * Add a product to a lookup map
+   * @param {Map} map - Lookup map
+   * @param {string} key - Lookup key
+   * @param {Object} product - Shopify product
+   */
+  static addToMap(map, key, product) {
+    const products = map.get(key);
+    if (!products) {
+      map.set(key, [product]);
+    } else if (!products.includes(product)) {
+      products.push(product);
+    }
+  }
+
+  /**
+   * Remove a product from a lookup map
+   * @param {Map} map - Lookup map
+   * @param {string} key - Lookup key
+   * @param {string} productId - Shopify product ID
+   */
+  static removeFromMap(map, key, productId) {
+    const products = (map.get(key) || []).filter(product => product.id !== productId);
+    if (products.length > 0) {
+      map.set(key, products);
+    } else {
+      map.delete(key);
+    }
+  }
+
+  /**
+   * Add a product, replacing the indexed version if it is already known
+   * @param {Object} product - Shopify product
+   */
+  add(product) {
+    if (!product?.id) {
+      return;
+    }
+
+    this.remove(product.id);
+    this.byId.set(product.id, product);
+
+    const { skus, barcodes, mpn } = CatalogIndex.getKeys(product);
+    skus.forEach(sku => CatalogIndex.addToMap(this.bySku, sku, product));
+    barcodes.forEach(barcode => CatalogIndex.addToMap(this.byBarcode, barcode, product));
+    if (mpn) {
+      CatalogIndex.addToMap(this.byMpn, mpn, product);
+    }
+  }
+
+  /**
+   * Remove a product from the index
+   * @param {string} productId - Shopify product ID
+   */
+  remove(productId) {
+    const product = this.byId.get(productId);
+    if (!product) {
+      return;
+    }
+
+    this.removeKeys(productId, CatalogIndex.getKeys(product));
+    this.byId.delete(productId);
+  }
+
+  /**
+   * Remove a product from the lookup maps
+   * @param {string} productId - Shopify product ID
+   * @param {Object} keys - { skus, barcodes, mpn } the product was indexed under
+   */
+  removeKeys(productId, { skus, barcodes, mpn }) {
+    skus.forEach(sku => CatalogIndex.removeFromMap(this.bySku, sku, productId));
+    barcodes.forEach(barcode => CatalogIndex.removeFromMap(this.byBarcode, barcode, productId));
+    if (mpn) {
+      CatalogIndex.removeFromMap(this.byMpn, mpn, productId);
+    }
+  }
+
+  /**
+   * Apply a change to an indexed product, re-indexing it only when its lookup keys change
+   * Keeps the lookup order of duplicate SKUs stable for status, tag, price and quantity changes
+   * @param {Object} product - Indexed product
+   * @param {Function} applyChange - Function that mutates the product
+   */
+  reindex(product, applyChange) {
+    const keysBefore = CatalogIndex.getKeys(product);
+    applyChange();
+
+    if (JSON.stringify(CatalogIndex.getKeys(product)) !== JSON.stringify(keysBefore)) {
+      this.removeKeys(product.id, keysBefore);
+      this.add(product);
+    }
+  }
+
+  /**
+   * Apply changed product fields in place and re-index the product
+   * @param {string} productId - Shopify product ID
+   * @param {Object} changes - Product fields to merge (status, tags, ...)
+   */
+  update(productId, changes) {
+    const product = this.byId.get(productId);
+    if (!product) {
+      return;
+    }
+
+    this.reindex(product, () => Object.assign(product, changes));
+  }
+
+  /**
+   * Apply changed variant fields in place and re-index the product
+   * @param {string} productId - Shopify product ID
+   * @param {string} variantId - Shopify variant ID
+   * @param {Object} changes - Variant fields to merge (price, inventoryQuantity, barcode, ...)
+   */
+  updateVariant(productId, variantId, changes) {
+    const product = this.byId.get(productId);
+    const variant = product?.variants?.nodes?.find(node => node.id === variantId);
+    if (!variant) {
+      return;
+    }
+
+    this.reindex(product, () => Object.assign(variant, changes));
+  }
+
+  /**
+   * Find a product by ID
+   * @param {string} productId - Shopify product ID
+   * @returns {Object|null} Product or null
+   */
+  findById(productId) {
+    return this.byId.get(productId) || null;
+  }
+
+  /**
+   * Find a product by variant SKU
+   * With duplicate SKUs the product indexed first wins
+   * @param {string} sku - Variant SKU
+   * @returns {Object|null} Product or null
+   */
+  findBySku(sku) {
+    return this.bySku.get(sku)?.[0] || null;
+  }
+
+  /**
+   * Find a product by variant barcode (EAN/UPC)
+   * @param {string} barcode - Variant barcode
+   * @returns {Object|null} Product or null
+   */
+  findByBarcode(barcode) {
+    return this.byBarcode.get(barcode)?.[0] || null;
+  }
+
+  /**
+   * Find a product by manufacturer part number (streamsupply.mpn metafield)
+   * @param {string} mpn - Manufacturer part number
+   * @returns {Object|null} Product or null
+   */
+  findByMpn(mpn) {
+    return this.byMpn.get(mpn)?.[0] || null;
+  }
+
+  /**
+   * Get all indexed products
+   * @returns {Array} Products
+   */
+  getProducts() {
+    return [...this.byId.values()];
+  }
+
+  /**
+   * Make a product the one returned for a SKU that several products share
+   * @param {string} sku - Variant SKU
+   * @param {string} productId - Shopify product ID to return first
+   */
+  setPrimary(sku, productId) {
+    const products = this.bySku.get(sku);
+    const index = products?.findIndex(product => product.id === productId) ?? -1;
+    if (index > 0) {
+      products.unshift(...products.splice(index, 1));
+    }
+  }
+
+  /**
+   * Get all products sharing a SKU
+   * @param {string} sku - Variant SKU
+   * @returns {Array} Products
+   */
+  findAllBySku(sku) {
+    return this.bySku.get(sku) || [];
+  }
+
+  /**
+   * Get the keys of a lookup map that point at more than one product
+   * @param {Map} map - Lookup map
+   * @returns {Array} [{ key, productIds }]
+   */
+  static getDuplicates(map) {
+    const duplicates = [];
+    map.forEach((products, key) => {
+      if (products.length > 1) {
+        duplicates.push({ key, productIds: products.map(product => product.id) });
+      }
+    });
+    return duplicates;
+  }
+
+  /**
+   * Get SKUs that are used by more than one product
+   * @returns {Array} [{ sku, productIds }]
+   */
+  getDuplicateSkus() {
+    return CatalogIndex.getDuplicates(this.bySku).map(({ key, productIds }) => ({ sku: key, productIds }));
+  }
+
+  /**
+   * Get barcodes that are used by more than one product
+   * @returns {Array} [{ barcode, productIds }]
+   */
+  getDuplicateBarcodes() {
+    return CatalogIndex.getDuplicates(this.byBarcode).map(({ key, productIds }) => ({ barcode: key, productIds }));
+  }
+
+  /**
+   * Number of indexed products
+   * @returns {number} Product count
+   */
+  get size() {
+    return this.byId.size;
+  }
+}
+
+export default CatalogIndex;
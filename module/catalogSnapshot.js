@@ -0,0 +1,155 @@
+import fs from 'fs';
+import path from 'path';
+import logger from './logger.js';
+
+// Check if logging is disabled
+const isLoggingEnabled = process.env.LOGGING !== 'false';
+
+/**
+ * Catalog snapshot for incremental sync
+ * Persists the last values pushed to Shopify per SKU (price, cost, quantity,
+ * stock object, status and tags) so unchanged SKUs can be skipped on the next run
+ */
+class CatalogSnapshot {
+  /**
+   * @param {string} shopDomain - Store the snapshot belongs to
+   * @param {string} filePath - Snapshot file location
+   */
+  constructor(shopDomain, filePath = 'tmp_data/catalog-snapshot.json') {
+    this.shopDomain = shopDomain;
+    this.filePath = filePath;
+    this.entries = {};
+    this.updatedAt = null;
+  }
+
+  /**
+   * Load the snapshot from disk
+   * A missing file, unreadable file or snapshot of another store starts empty
+   * @returns {CatalogSnapshot} This snapshot
+   */
+  load() {
+    try {
+      if (!fs.existsSync(this.filePath)) {
+        return this;
+      }
+
+      const data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+
+      if (data.shopDomain !== this.shopDomain) {
+        if (isLoggingEnabled) {
+          logger.warn('SNAPSHOT', 'Snapshot belongs to another store, ignoring it', {
+            snapshotStore: data.shopDomain,
+            currentStore: this.shopDomain
+          });
+        }
+        return this;
+      }
+
+      this.entries = data.entries || {};
+      this.updatedAt = data.updatedAt || null;
+
+      if (isLoggingEnabled) {
+        logger.info('SNAPSHOT', 'Catalog snapshot loaded', {
+          filePath: this.filePath,
+          skuCount: Object.keys(this.entries).length,
+          updatedAt: this.updatedAt
+        });
+      }
+    } catch (error) {
+      if (isLoggingEnabled) {
+        logger.warn('SNAPSHOT', 'Failed to load catalog snapshot, starting empty', {
+          filePath: this.filePath,
+          error: error.message
+        });
+      }
+      this.entries = {};
+    }
+
+    return this;
+  }
+
+  /**
+   * Write the snapshot to disk
+   */
+  save() {
+    try {
+      const dir = path.dirname(this.filePath);
+      if (!fs.existsSync(dir)) {
+        fs.mkdirSync(dir, { recursive: true });
+      }
+
+      this.updatedAt = new Date().toISOString();
+      const data = {
+        shopDomain: this.shopDomain,
+        updatedAt: this.updatedAt,
+        entries: this.entries
+      };
+
+      // Write to a temp file first so a crash never leaves a half-written snapshot
+      const tmpFile = `${this.filePath}.tmp`;
+      fs.writeFileSync(tmpFile, JSON.stringify(data));
+      fs.renameSync(tmpFile, this.filePath);
+
+      if (isLoggingEnabled) {
+        logger.info('SNAPSHOT', 'Catalog snapshot saved', {
+          filePath: this.filePath,
+          skuCount: Object.keys(this.entries).length
+        });
+      }
+    } catch (error) {
+      if (isLoggingEnabled) {
+        logger.error('SNAPSHOT', 'Failed to save catalog snapshot', {
+          filePath: this.filePath,
+          error: error.message
+        });
+      }
+    }
+  }
+
+  /**
+   * Get the last pushed values for a SKU
+   * @param {string} sku - Product SKU
+   * @returns {Object|null} Snapshot entry or null
+   */
+  get(sku) {
+    return this.entries[sku] || null;
+  }
+
+  /**
+   * Check whether a field differs from the last pushed value
+   * @param {string} sku - Product SKU
+   * @param {string} field - price, cost, compareAtPrice, marketPrices, quantity, stockObject, status or tags
+   * @param {*} value - Value about to be pushed
+   * @returns {boolean} True if the value changed or was never pushed
+   */
+  hasChanged(sku, field, value) {
+    const entry = this.entries[sku];
+    if (!entry || !(field in entry)) {
+      return true;
+    }
+    return JSON.stringify(entry[field]) !== JSON.stringify(value);
+  }
+
+  /**
+   * Record values that were pushed for a SKU
+   * @param {string} sku - Product SKU
+   * @param {Object} values - Field values to merge into the entry
+   */
+  set(sku, values) {
+    this.entries[sku] = {
+      ...this.entries[sku],
+      ...values,
+      syncedAt: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Forget a SKU so its next sync is a full update
+   * @param {string} sku - Product SKU
+   */
+  remove(sku) {
+    delete this.entries[sku];
+  }
+}
+
+export default CatalogSnapshot;
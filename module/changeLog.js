@@ -0,0 +1,93 @@
+import fs from 'fs';
+import path from 'path';
+import logger from './logger.js';
+
+// Check if logging is disabled
+const isLoggingEnabled = process.env.LOGGING !== 'false';
+
+/**
+ * Change log of a sync run
+ * Appends one JSON line per Shopify mutation with its before and after values,
+ * so the run can be rolled back later
+ */
+class ChangeLog {
+  /**
+   * @param {string} runId - Run the changes belong to (same ID as the run journal)
+   * @param {string} dir - Directory holding the change log files
+   */
+  constructor(runId, dir = 'tmp_data/changes') {
+    this.runId = runId;
+    this.dir = dir;
+    this.filePath = path.join(dir, `${runId}.jsonl`);
+  }
+
+  /**
+   * List the runs that have a change log, newest first
+   * @param {string} dir - Directory holding the change log files
+   * @returns {Array<string>} Run IDs
+   */
+  static listRuns(dir = 'tmp_data/changes') {
+    if (!fs.existsSync(dir)) {
+      return [];
+    }
+
+    return fs.readdirSync(dir)
+      .filter(file => file.endsWith('.jsonl'))
+      .map(file => path.basename(file, '.jsonl'))
+      .sort()
+      .reverse();
+  }
+
+  /**
+   * Check whether the change log file exists
+   * @returns {boolean} True if the run recorded changes
+   */
+  exists() {
+    return fs.existsSync(this.filePath);
+  }
+
+  /**
+   * Read all recorded changes in the order they were made
+   * @returns {Array} Change entries
+   */
+  load() {
+    if (!this.exists()) {
+      return [];
+    }
+
+    const entries = [];
+    const lines = fs.readFileSync(this.filePath, 'utf8').split('\n').filter(Boolean);
+    for (const line of lines) {
+      try {
+        entries.push(JSON.parse(line));
+      } catch (error) {
+        // A crash can leave a truncated last line; everything before it is still valid
+        if (isLoggingEnabled) {
+          logger.warn('CHANGE_LOG', 'Skipping unreadable change log line', {
+            runId: this.runId,
+            error: error.message
+          });
+        }
+      }
+    }
+
+    return entries;
+  }
+
+  /**
+   * Record a mutation
+   * @param {Object} change - { type, sku, productId, before, after, ... }
+   */
+  record(change) {
+    try {
+      if (!fs.existsSync(this.dir)) {
+        fs.mkdirSync(this.dir, { recursive: true });
+      }
+      fs.appendFileSync(this.filePath, JSON.stringify({ time: new Date().toISOString(), ...change }) + '\n');
+    } catch (error) {
+      console.error('Failed to write to change log:', error.message);
+    }
+  }
+}
+
+export default ChangeLog;
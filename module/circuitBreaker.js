@@ -0,0 +1,215 @@
+import fs from 'fs';
+import path from 'path';
+import logger from './logger.js';
+
+// Check if logging is disabled
+const isLoggingEnabled = process.env.LOGGING !== 'false';
+
+/**
+ * Safety circuit breakers
+ * Checks the planned changes against the thresholds in config/safety.json before
+ * any mutation is sent and aborts the run when they look catastrophic
+ * (truncated EET file, misconfigured filter, bad EET price response)
+ */
+class CircuitBreaker {
+  /**
+   * @param {Object} options - Breaker options
+   * @param {boolean} options.force - Continue past tripped breakers
+   * @param {string} options.statePath - File holding values from the last successful run
+   * @param {Notifier} options.notifier - Notifier sending the breaker_tripped event
+   * @param {string} options.store - Store the checks run for, named in the alert
+   */
+  constructor(options = {}) {
+    this.config = this.loadConfig();
+    this.force = !!options.force;
+    this.statePath = options.statePath || 'tmp_data/safety-state.json';
+    this.notifier = options.notifier || null;
+    this.store = options.store || null;
+    this.state = this.loadState();
+    this.trips = [];
+  }
+
+  /**
+   * Load safety thresholds from config/safety.json
+   * A threshold set to 0 or left out disables that breaker
+   * @returns {Object} Safety configuration
+   */
+  loadConfig() {
+    try {
+      const configData = fs.readFileSync('config/safety.json', 'utf8');
+      return JSON.parse(configData);
+    } catch (error) {
+      console.error('Error loading safety config:', error.message);
+      return {};
+    }
+  }
+
+  /**
+   * Load values recorded by the last successful run
+   * @returns {Object} Saved state
+   */
+  loadState() {
+    try {
+      if (fs.existsSync(this.statePath)) {
+        return JSON.parse(fs.readFileSync(this.statePath, 'utf8'));
+      }
+    } catch (error) {
+      if (isLoggingEnabled) {
+        logger.warn('SAFETY', 'Failed to load safety state', {
+          statePath: this.statePath,
+          error: error.message
+        });
+      }
+    }
+    return {};
+  }
+
+  /**
+   * Record values of a successful run for the next run's checks
+   * @param {Object} values - Values such as csvRowCount
+   */
+  saveState(values) {
+    try {
+      const dir = path.dirname(this.statePath);
+      if (!fs.existsSync(dir)) {
+        fs.mkdirSync(dir, { recursive: true });
+      }
+      this.state = { ...this.state, ...values, updatedAt: new Date().toISOString() };
+      fs.writeFileSync(this.statePath, JSON.stringify(this.state, null, 2));
+    } catch (error) {
+      if (isLoggingEnabled) {
+        logger.error('SAFETY', 'Failed to save safety state', {
+          statePath: this.statePath,
+          error: error.message
+        });
+      }
+    }
+  }
+
+  /**
+   * Record a tripped breaker
+   * @param {string} breaker - Breaker name
+   * @param {string} message - Human readable reason
+   * @param {Object} details - Values that tripped the breaker
+   */
+  trip(breaker, message, details = {}) {
+    this.trips.push({ breaker, message, ...details });
+
+    if (isLoggingEnabled) {
+      logger.error('SAFETY', `Circuit breaker tripped: ${breaker}`, { message, ...details });
+    }
+  }
+
+  /**
+   * Check the number of parsed CSV rows against the last successful run
+   * @param {number} rowCount - Rows parsed from the EET file
+   */
+  checkCsvRowCount(rowCount) {
+    const minPercent = this.config.min_csv_rows_percent;
+    const lastRowCount = this.state.csvRowCount;
+
+    if (!minPercent || !lastRowCount) {
+      return;
+    }
+
+    const percent = rowCount / lastRowCount * 100;
+    if (percent < minPercent) {
+      this.trip('min_csv_rows_percent',
+        `EET file has ${rowCount} rows, ${percent.toFixed(1)}% of the ${lastRowCount} rows of the last run (minimum ${minPercent}%)`,
+        { rowCount, lastRowCount, percent: Number(percent.toFixed(1)), threshold: minPercent });
+    }
+  }
+
+  /**
+   * Check the share of managed products that would be drafted
+   * @param {number} draftCount - Products about to be drafted
+   * @param {number} managedCount - Products managed by the sync
+   */
+  checkDraftRatio(draftCount, managedCount) {
+    const maxPercent = this.config.max_draft_percent;
+
+    if (!maxPercent || managedCount === 0) {
+      return;
+    }
+
+    const percent = draftCount / managedCount * 100;
+    if (percent > maxPercent) {
+      this.trip('max_draft_percent',
+        `${draftCount} of ${managedCount} managed products (${percent.toFixed(1)}%) would be drafted (maximum ${maxPercent}%)`,
+        { draftCount, managedCount, percent: Number(percent.toFixed(1)), threshold: maxPercent });
+    }
+  }
+
+  /**
+   * Check per-SKU price changes
+   * @param {Array} changes - [{ sku, oldPrice, newPrice }] in the same unit
+   */
+  checkPriceChanges(changes) {
+    const maxPercent = this.config.max_price_change_percent;
+
+    if (!maxPercent) {
+      return;
+    }
+
+    const violations = changes
+      .filter(change => change.oldPrice > 0 && change.newPrice !== null && !Number.isNaN(change.newPrice))
+      .map(change => ({
+        ...change,
+        percent: Number((Math.abs(change.newPrice - change.oldPrice) / change.oldPrice * 100).toFixed(1))
+      }))
+      .filter(change => change.percent > maxPercent);
+
+    if (violations.length > 0) {
+      this.trip('max_price_change_percent',
+        `${violations.length} SKUs would change price by more than ${maxPercent}%`,
+        { threshold: maxPercent, skus: violations.slice(0, 50) });
+    }
+  }
+
+  /**
+   * Abort the run if a breaker tripped, unless forced
+   * Sends an alert either way
+   * @throws {Error} When a breaker tripped and the run is not forced
+   */
+  async enforce() {
+    if (this.trips.length === 0) {
+      return;
+    }
+
+    await this.sendAlert();
+
+    this.trips.forEach(trip => console.log(`🛑 Circuit breaker ${trip.breaker}: ${trip.message}`));
+
+    if (this.force) {
+      console.log('⚠️  Continuing because --force was given');
+      if (isLoggingEnabled) {
+        logger.warn('SAFETY', 'Tripped circuit breakers overridden with --force', {
+          breakers: this.trips.map(trip => trip.breaker)
+        });
+      }
+      return;
+    }
+
+    throw new Error(`Run aborted by circuit breaker: ${this.trips.map(trip => trip.breaker).join(', ')}. Use --force to override.`);
+  }
+
+  /**
+   * Send the tripped breakers through the notifier (breaker_tripped event)
+   */
+  async sendAlert() {
+    if (!this.notifier) {
+      return;
+    }
+
+    const message = (this.store ? `Store ${this.store}\n` : '') +
+      this.trips.map(trip => `${trip.breaker}: ${trip.message}`).join('\n') +
+      (this.force ? '\nThe run continues because --force was given.' : '\nThe run was stopped before any change was made.');
+
+    await this.notifier.notify('breaker_tripped', {
+      message,
+      details: { store: this.store, forced: this.force, trips: this.trips }
+    });
+  }
+}
+
+export default CircuitBreaker;
@@ -0,0 +1,163 @@
+import { parseArgs } from 'util';
+
+// Steps run by each sync command
+// catalog: read the EET file; prices and stock only refresh the SKUs already managed in Shopify
+const commandSteps = {
+  sync: { catalog: true, create: true, drafts: true, fields: ['price', 'cost', 'compareAtPrice', 'marketPrices', 'quantity', 'stockObject', 'status', 'tags'] },
+  plan: { catalog: true, create: true, drafts: true, fields: ['price', 'cost', 'compareAtPrice', 'marketPrices', 'quantity', 'stockObject', 'status', 'tags'] },
+  prices: { catalog: false, create: false, drafts: false, fields: ['price', 'cost', 'compareAtPrice', 'marketPrices'] },
+  stock: { catalog: false, create: false, drafts: false, fields: ['quantity', 'stockObject', 'status'] },
+  drafts: { catalog: true, create: false, drafts: true, fields: [] },
+  create: { catalog: true, create: true, drafts: false, fields: [] }
+};
+
+const otherCommands = ['scrape-docs', 'filter', 'rollback', 'status', 'notify-test', 'help'];
+
+const optionDefinitions = {
+  sku: { type: 'string', multiple: true },
+  brand: { type: 'string', multiple: true },
+  file: { type: 'string' },
+  store: { type: 'string', multiple: true },
+  limit: { type: 'string' },
+  'dry-run': { type: 'boolean' },
+  adopt: { type: 'boolean' },
+  'full-resync': { type: 'boolean' },
+  resume: { type: 'boolean' },
+  bulk: { type: 'boolean' },
+  force: { type: 'boolean' },
+  'archive-created': { type: 'boolean' },
+  rollback: { type: 'string' },
+  help: { type: 'boolean', short: 'h' }
+};
+
+/**
+ * Command-line interface
+ * Parses `node index.js <command> [options]` into a command, its steps and options
+ */
+class CommandLine {
+  /**
+   * Parse command-line arguments
+   * Without a command the full sync runs, so `node index.js` keeps working
+   * @param {Array<string>} argv - Arguments after the script name
+   * @returns {Object} { command, args, steps, options }
+   */
+  static parse(argv = process.argv.slice(2)) {
+    const { values, positionals } = parseArgs({
+      args: argv,
+      options: optionDefinitions,
+      allowPositionals: true
+    });
+
+    let [command = 'sync', ...args] = positionals;
+
+    // Older form: node index.js --rollback <run-id>
+    if (values.rollback !== undefined) {
+      command = 'rollback';
+      args = [values.rollback, ...positionals];
+    }
+
+    if (values.help) {
+      command = 'help';
+    }
+
+    if (!commandSteps[command] && !otherCommands.includes(command)) {
+      throw new Error(`Unknown command "${command}". Run "node index.js help" for the list of commands.`);
+    }
+
+    if (values.limit !== undefined && (!/^\d+$/.test(values.limit) || parseInt(values.limit, 10) === 0)) {
+      throw new Error(`--limit must be a positive number, got "${values.limit}"`);
+    }
+    const limit = values.limit !== undefined ? parseInt(values.limit, 10) : null;
+
+    return {
+      command,
+      args,
+      steps: CommandLine.getSteps(command),
+      options: {
+        skus: CommandLine.splitList(values.sku),
+        brands: CommandLine.splitList(values.brand),
+        file: values.file || null,
+        stores: CommandLine.splitList(values.store),
+        limit,
+        dryRun: !!values['dry-run'],
+        adopt: !!values.adopt,
+        fullResync: !!values['full-resync'],
+        resume: !!values.resume,
+        bulk: !!values.bulk,
+        force: !!values.force,
+        archiveCreated: !!values['archive-created']
+      }
+    };
+  }
+
+  /**
+   * Split repeated and comma separated option values into one list
+   * @param {Array<string>|undefined} values - Option values
+   * @returns {Array<string>} Values
+   */
+  static splitList(values) {
+    return (values || [])
+      .flatMap(value => value.split(','))
+      .map(value => value.trim())
+      .filter(Boolean);
+  }
+
+  /**
+   * Get the steps run by a sync command
+   * @param {string} command - Command name
+   * @returns {Object|null} { catalog, create, drafts, fields } or null for other commands
+   */
+  static getSteps(command) {
+    return commandSteps[command] || null;
+  }
+
+  /**
+   * Check whether a command runs the sync pipeline
+   * @param {string} command - Command name
+   * @returns {boolean} True for sync, plan, prices, stock, drafts and create
+   */
+  static isSyncCommand(command) {
+    return !!commandSteps[command];
+  }
+
+  /**
+   * Get the usage text
+   * @returns {string} Help text
+   */
+  static help() {
+    return `
+Usage: node index.js [command] [options]
+
+Commands:
+  sync                 Run the full sync (default)
+  plan                 Show what sync would change without changing anything
+  prices               Refresh prices and costs of the managed products (no EET file needed)
+  stock                Refresh quantities, stock details and active/draft status of the managed products
+  drafts               Make products that left the EET list draft
+  create               Create products that are not in Shopify yet
+  scrape-docs          Scrape product documents and store them on the Shopify products
+  filter               Run the EET file filter and save tmp_data/filtered-products.json
+  rollback [run-id]    Undo a run (lists the runs when no ID is given)
+  status               Show the state of the last runs
+  notify-test          Send a test notification to the email and webhook channels
+  help                 Show this help
+
+Options:
+  --sku <sku>          Only these SKUs (repeat or separate with commas)
+  --brand <brand>      Only these brands (repeat or separate with commas)
+  --file <path>        EET prices file (default: EET_PRICE or eet_prices.txt)
+  --store <name>       Only these stores from config/stores.json (default: all); without
+                       config/stores.json: development or production (default: PRODUCTION)
+  --limit <n>          Only the first n products
+  --dry-run            Do not change anything in Shopify
+  --adopt              Take over existing products with a SKU from the EET list
+  --full-resync        Push every value, ignoring the catalog snapshot
+  --resume             Continue the last interrupted run
+  --bulk               Send price, stock and inventory updates in bulk
+  --force              Continue past tripped safety checks
+  --archive-created    rollback: also archive the products created in the run
+`.trim();
+  }
+}
+
+export default CommandLine;
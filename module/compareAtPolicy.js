@@ -0,0 +1,128 @@
+import fs from 'fs';
+import Money from './money.js';
+
+// Where the strike-through price comes from
+const references = ['none', 'previous', 'rrp'];
+
+/**
+ * Compare-at price policy
+ * Decides when a product shows a strike-through (compare-at) price: when its price drops
+ * below the previous price or below EET's recommended retail price, until the sale ends
+ * or has run for max_days (config/compare-at.json)
+ */
+class CompareAtPolicy {
+  constructor() {
+    this.config = this.loadConfig();
+    this.reference = process.env.COMPARE_AT_REFERENCE || this.config.reference || 'none';
+    this.minDiscount = this.config.min_discount || 0;
+    this.maxDays = this.config.max_days || 0;
+    this.rrpField = this.config.rrp_field || 'RecommendedRetailPrice';
+
+    if (!references.includes(this.reference)) {
+      throw new Error(`Unknown compare-at reference "${this.reference}", expected one of: ${references.join(', ')}`);
+    }
+  }
+
+  /**
+   * Load compare-at settings from config/compare-at.json
+   * @returns {Object} Compare-at configuration
+   */
+  loadConfig() {
+    try {
+      const configData = fs.readFileSync('config/compare-at.json', 'utf8');
+      return JSON.parse(configData);
+    } catch (error) {
+      console.error('Error loading compare-at config:', error.message);
+      return {};
+    }
+  }
+
+  /**
+   * Check whether compare-at prices are maintained
+   * @returns {boolean} True unless the reference is none
+   */
+  isEnabled() {
+    return this.reference !== 'none';
+  }
+
+  /**
+   * Get the recommended retail price (excluding VAT) from an EET price and stock item
+   * @param {Object} eetItem - EET price and stock item
+   * @returns {Money|null} Recommended retail price, null when EET has none
+   */
+  getRecommendedPrice(eetItem) {
+    const rrp = Money.parse(eetItem.Price?.[this.rrpField], { vatIncluded: false });
+    return rrp && rrp.minor > 0 ? rrp : null;
+  }
+
+  /**
+   * Decide the sale state of a product for this run
+   * A sale is { price, since }: price is the compare-at price, or null once the sale ran
+   * for max_days and its strike-through was removed while the price is still low
+   * @param {Object} item - Product to check
+   * @param {Money} item.price - New sale price
+   * @param {string|null} item.currentPrice - Current Shopify price
+   * @param {Money|null} item.recommendedPrice - Recommended retail price in the same kind as item.price
+   * @param {Object|null} item.sale - Sale state from the previous run
+   * @param {Date} now - Current time
+   * @returns {Object|null} { sale, reason } with the new sale state (null when there is no sale),
+   *   or null when nothing changes
+   */
+  evaluate(item, now = new Date()) {
+    const sale = item.sale || null;
+    const today = now.toISOString().slice(0, 10);
+
+    // An expired sale stays without strike-through until the price goes back up. The
+    // previous reference has no price from before the drop any more, so it compares with
+    // the current price; a further drop does not start a new sale
+    if (sale && !sale.price && this.reference === 'previous') {
+      const currentPrice = Money.parse(item.currentPrice, item.price);
+      if (currentPrice && item.price.compare(currentPrice) <= 0) {
+        return null;
+      }
+      return { sale: null, reason: `sale ended, price went back up to ${item.price}` };
+    }
+
+    // The previous reference keeps the price from before the drop for as long as the sale runs
+    let reference;
+    if (this.reference === 'rrp') {
+      reference = item.recommendedPrice;
+    } else {
+      reference = sale?.price ? Money.parse(sale.price, item.price) : Money.parse(item.currentPrice, item.price);
+    }
+
+    const isDiscounted = !!reference && item.price.compare(reference.multiply(1 - this.minDiscount)) < 0;
+
+    if (!isDiscounted) {
+      if (!sale) {
+        return null;
+      }
+      return {
+        sale: null,
+        reason: reference ? `sale ended, price ${item.price} is back near ${reference}` : 'sale ended, no recommended price'
+      };
+    }
+
+    if (sale && sale.price) {
+      const days = Math.floor((now - new Date(sale.since)) / 86400000);
+      if (this.maxDays > 0 && days >= this.maxDays) {
+        return { sale: { price: null, since: sale.since }, reason: `sale ran for ${days} days` };
+      }
+      // The recommended price can change during the sale; the start date stays
+      const price = reference.toString();
+      return price === sale.price ? null : { sale: { price, since: sale.since }, reason: `recommended price is now ${price}` };
+    }
+
+    // An expired sale stays without strike-through while the price is below the recommended price
+    if (sale) {
+      return null;
+    }
+
+    return {
+      sale: { price: reference.toString(), since: today },
+      reason: `price dropped from ${reference} to ${item.price}`
+    };
+  }
+}
+
+export default CompareAtPolicy;
@@ -0,0 +1,195 @@
+import http from 'http';
+import crypto from 'crypto';
+import logger from './logger.js';
+
+// Check if logging is disabled
+const isLoggingEnabled = process.env.LOGGING !== 'false';
+
+// Largest request body accepted by POST /trigger
+const maxBodySize = 64 * 1024;
+
+/**
+ * HTTP control server for scheduled mode
+ * Serves /health, /status, /runs/:id, /metrics and POST /trigger; every endpoint
+ * except /health needs the shared token (CONTROL_TOKEN)
+ */
+class ControlServer {
+  /**
+   * @param {Object} options - Server options
+   * @param {number} options.port - Port to listen on
+   * @param {string} options.host - Address to listen on
+   * @param {string} options.token - Shared token clients must send
+   * @param {Function} options.getStatus - Returns the current status object
+   * @param {Function} options.getRun - Returns the report of a run ID or null
+   * @param {Function} options.getMetrics - Returns the metrics in Prometheus text format
+   * @param {Function} options.trigger - Starts a run: ({ command, skus, brands }) => { accepted, runId, reason }
+   */
+  constructor(options = {}) {
+    this.port = options.port;
+    this.host = options.host || '127.0.0.1';
+    this.token = options.token || '';
+    this.getStatus = options.getStatus;
+    this.getRun = options.getRun;
+    this.getMetrics = options.getMetrics;
+    this.trigger = options.trigger;
+    this.server = null;
+  }
+
+  /**
+   * Start listening
+   * @returns {Promise<void>} Resolves once the server listens
+   * @throws {Error} When no token is configured
+   */
+  start() {
+    if (!this.token) {
+      throw new Error('CONTROL_TOKEN must be set to start the control server');
+    }
+
+    this.server = http.createServer((req, res) => {
+      this.handle(req, res).catch(error => {
+        if (isLoggingEnabled) {
+          logger.error('CONTROL', 'Request failed', {
+            method: req.method,
+            url: req.url,
+            error: error.message
+          });
+        }
+        this.send(res, 500, { error: 'Internal server error' });
+      });
+    });
+
+    return new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(this.port, this.host, () => {
+        console.log(`🌐 Control server listening on http://${this.host}:${this.server.address().port}`);
+        if (isLoggingEnabled) {
+          logger.info('CONTROL', 'Control server started', {
+            host: this.host,
+            port: this.server.address().port
+          });
+        }
+        resolve();
+      });
+    });
+  }
+
+  /**
+   * Stop listening
+   * @returns {Promise<void>} Resolves once the server is closed
+   */
+  stop() {
+    return new Promise(resolve => (this.server ? this.server.close(() => resolve()) : resolve()));
+  }
+
+  /**
+   * Send a JSON response
+   * @param {http.ServerResponse} res - Response
+   * @param {number} statusCode - HTTP status code
+   * @param {Object} body - Response body
+   */
+  send(res, statusCode, body) {
+    if (res.headersSent) {
+      return;
+    }
+    res.writeHead(statusCode, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body, null, 2));
+  }
+
+  /**
+   * Check the shared token from the Authorization (Bearer) or X-Control-Token header
+   * @param {http.IncomingMessage} req - Request
+   * @returns {boolean} True if the token matches
+   */
+  isAuthorized(req) {
+    const header = req.headers.authorization || '';
+    const given = header.startsWith('Bearer ') ? header.slice(7) : (req.headers['x-control-token'] || '');
+
+    const expected = Buffer.from(this.token);
+    const actual = Buffer.from(String(given));
+    return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+  }
+
+  /**
+   * Read and parse a JSON request body
+   * @param {http.IncomingMessage} req - Request
+   * @returns {Promise<Object>} Parsed body ({} when empty)
+   */
+  readBody(req) {
+    return new Promise((resolve, reject) => {
+      let body = '';
+      req.on('data', chunk => {
+        body += chunk;
+        if (body.length > maxBodySize) {
+          reject(Object.assign(new Error('Request body too large'), { statusCode: 413 }));
+          req.destroy();
+        }
+      });
+      req.on('end', () => {
+        try {
+          resolve(body ? JSON.parse(body) : {});
+        } catch (error) {
+          reject(Object.assign(new Error('Request body is not valid JSON'), { statusCode: 400 }));
+        }
+      });
+      req.on('error', reject);
+    });
+  }
+
+  /**
+   * Route a request
+   * @param {http.IncomingMessage} req - Request
+   * @param {http.ServerResponse} res - Response
+   */
+  async handle(req, res) {
+    const { pathname } = new URL(req.url, 'http://localhost');
+
+    if (pathname === '/health' && req.method === 'GET') {
+      return this.send(res, 200, { status: 'ok', uptime: Math.round(process.uptime()) });
+    }
+
+    if (!this.isAuthorized(req)) {
+      return this.send(res, 401, { error: 'Missing or invalid token' });
+    }
+
+    if (pathname === '/status' && req.method === 'GET') {
+      return this.send(res, 200, this.getStatus());
+    }
+
+    if (pathname === '/metrics' && req.method === 'GET') {
+      res.writeHead(200, { 'Content-Type': 'text/plain; version=0.0.4' });
+      return res.end(this.getMetrics());
+    }
+
+    const runMatch = pathname.match(/^\/runs\/([\w.-]+)$/);
+    if (runMatch && req.method === 'GET') {
+      const report = this.getRun(runMatch[1]);
+      return report
+        ? this.send(res, 200, report)
+        : this.send(res, 404, { error: `Run ${runMatch[1]} not found` });
+    }
+
+    if (pathname === '/trigger' && req.method === 'POST') {
+      let body;
+      try {
+        body = await this.readBody(req);
+      } catch (error) {
+        return this.send(res, error.statusCode || 400, { error: error.message });
+      }
+
+      // JSON also allows null, numbers, strings and arrays, none of which describe a run
+      if (body === null || typeof body !== 'object' || Array.isArray(body)) {
+        return this.send(res, 400, { error: 'Request body must be a JSON object' });
+      }
+
+      const result = this.trigger(body);
+      if (isLoggingEnabled) {
+        logger.info('CONTROL', 'Run triggered over HTTP', { request: body, result });
+      }
+      return this.send(res, result.accepted ? 202 : (result.statusCode || 409), result);
+    }
+
+    return this.send(res, 404, { error: 'Not found' });
+  }
+}
+
+export default ControlServer;
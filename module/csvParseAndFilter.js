@@ -1,4 +1,5 @@
 import fs from 'fs';
+import path from 'path';
 import { createReadStream } from 'fs';
 import csv from 'csv-parser';
 
@@ -7,18 +8,22 @@ import csv from 'csv-parser';
  * Reads the EET prices file and applies filtering based on product-filter.json
  */
 class EETProductFilter {
-  constructor() {
+  /**
+   * @param {string} configPath - Filter configuration file
+   */
+  constructor(configPath = 'config/product-filter.json') {
+    this.configPath = configPath;
     this.filterConfig = this.loadFilterConfig();
     this.products = [];
   }
 
   /**
-   * Load filter configuration from config/product-filter.json
+   * Load filter configuration from config/product-filter.json or the file given to the constructor
    * @returns {Object} Filter configuration
    */
   loadFilterConfig() {
     try {
-      const configData = fs.readFileSync('config/product-filter.json', 'utf8');
+      const configData = fs.readFileSync(this.configPath, 'utf8');
       return JSON.parse(configData);
     } catch (error) {
       console.error('Error loading filter config:', error.message);
@@ -248,9 +253,10 @@ class EETProductFilter {
    */
   saveToFile(products, filename = 'tmp_data/filtered-products.json') {
     try {
-      // Ensure the tmp_data directory exists
-      if (!fs.existsSync('tmp_data')) {
-        fs.mkdirSync('tmp_data', { recursive: true });
+      // Ensure the output directory exists
+      const dir = path.dirname(filename);
+      if (!fs.existsSync(dir)) {
+        fs.mkdirSync(dir, { recursive: true });
       }
 
       const output = {
@@ -269,14 +275,28 @@ class EETProductFilter {
     }
   }
 
+  /**
+   * Load the filtered products saved by the last run
+   * @param {string} filename - File written by saveToFile
+   * @returns {Object} JSON data with metadata and filtered products
+   * @throws {Error} When no filtered products were saved yet
+   */
+  loadSavedProducts(filename = 'tmp_data/filtered-products.json') {
+    if (!fs.existsSync(filename)) {
+      throw new Error(`${filename} not found, run a full sync first`);
+    }
+    return JSON.parse(fs.readFileSync(filename, 'utf8'));
+  }
+
   /**
    * Main method to parse and filter products
    * @param {string} filePath - Path to EET prices file
    * @param {boolean} displayResults - Whether to display results in console
    * @param {boolean} saveToFile - Whether to save results to JSON file
+   * @param {string} outputFile - File the filtered products are saved to
    * @returns {Object} JSON data with metadata and filtered products
    */
-  async run(filePath = 'eet_prices.txt', displayResults = true, saveToFile = true) {
+  async run(filePath = 'eet_prices.txt', displayResults = true, saveToFile = true, outputFile = 'tmp_data/filtered-products.json') {
     try {
       if (displayResults) {
         console.log('🚀 Starting EET Product Filter');
@@ -285,40 +305,53 @@ class EETProductFilter {
 
       // Parse CSV
       const products = await this.parseCSV(filePath);
-      
-      // Apply filters
-      const filteredProducts = this.filterProducts(products);
-      
-      // Create JSON response
-      const jsonData = {
-        metadata: {
-          totalProducts: filteredProducts.length,
-          originalCount: products.length,
-          filterDate: new Date().toISOString(),
-          filterConfig: this.filterConfig,
-          filePath: filePath
-        },
-        products: filteredProducts
-      };
 
-      if (displayResults) {
-        // Display results
-        this.displayProducts(filteredProducts);
-        console.log('\n✅ Filtering completed successfully!');
-      }
-      
-      if (saveToFile) {
-        // Save to file
-        this.saveToFile(filteredProducts);
-      }
-      
-      return jsonData;
+      return this.apply(products, filePath, displayResults, saveToFile, outputFile);
     } catch (error) {
       console.error('❌ Error:', error.message);
       throw error;
     }
   }
 
+  /**
+   * Filter products that were already parsed, so one EET file can be filtered for several stores
+   * @param {Array} products - Products from parseCSV
+   * @param {string} filePath - Path of the parsed EET prices file
+   * @param {boolean} displayResults - Whether to display results in console
+   * @param {boolean} saveToFile - Whether to save results to JSON file
+   * @param {string} outputFile - File the filtered products are saved to
+   * @returns {Object} JSON data with metadata and filtered products
+   */
+  apply(products, filePath, displayResults = true, saveToFile = true, outputFile = 'tmp_data/filtered-products.json') {
+    // Apply filters
+    const filteredProducts = this.filterProducts(products);
+
+    // Create JSON response
+    const jsonData = {
+      metadata: {
+        totalProducts: filteredProducts.length,
+        originalCount: products.length,
+        filterDate: new Date().toISOString(),
+        filterConfig: this.filterConfig,
+        filePath: filePath
+      },
+      products: filteredProducts
+    };
+
+    if (displayResults) {
+      // Display results
+      this.displayProducts(filteredProducts);
+      console.log('\n✅ Filtering completed successfully!');
+    }
+
+    if (saveToFile) {
+      // Save to file
+      this.saveToFile(filteredProducts, outputFile);
+    }
+
+    return jsonData;
+  }
+
   /**
    * Get filtered products as JSON without console output
    * @param {string} filePath - Path to EET prices file
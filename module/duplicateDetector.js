@@ -0,0 +1,253 @@
+import fs from 'fs';
+import path from 'path';
+import logger from './logger.js';
+
+// Check if logging is disabled
+const isLoggingEnabled = process.env.LOGGING !== 'false';
+
+// Resolution policies for SKUs shared by several Shopify products
+const policies = ['newest', 'draft', 'skip'];
+
+/**
+ * Duplicate SKU and EAN detection
+ * Finds duplicate varenr/ean_upc rows in the EET file and SKUs/barcodes shared by
+ * several Shopify products, resolves them with the configured policy and writes
+ * a reconciliation report
+ */
+class DuplicateDetector {
+  /**
+   * @param {string} policy - newest, draft or skip (read from config/duplicates.json if omitted)
+   */
+  constructor(policy = null) {
+    this.config = this.loadConfig();
+    this.policy = policy || process.env.DUPLICATE_POLICY || this.config.policy || 'newest';
+
+    if (!policies.includes(this.policy)) {
+      throw new Error(`Unknown duplicate policy "${this.policy}", expected one of: ${policies.join(', ')}`);
+    }
+
+    this.createdAt = new Date().toISOString();
+    this.eetConflicts = [];
+    this.shopifyConflicts = [];
+    this.skippedSkus = new Set();
+  }
+
+  /**
+   * Load duplicate handling configuration from config/duplicates.json
+   * @returns {Object} Duplicate configuration
+   */
+  loadConfig() {
+    try {
+      const configData = fs.readFileSync('config/duplicates.json', 'utf8');
+      return JSON.parse(configData);
+    } catch (error) {
+      console.error('Error loading duplicates config:', error.message);
+      return {};
+    }
+  }
+
+  /**
+   * Detect duplicate varenr and ean_upc rows in the EET product list
+   * Keeps the first row of a duplicated varenr; with the skip policy the SKU is flagged instead
+   * @param {Array} products - Filtered EET products
+   * @returns {Array} Products with one row per varenr
+   */
+  resolveEET(products) {
+    const rowsBySku = new Map();
+    const skusByEan = new Map();
+
+    for (const product of products) {
+      const rows = rowsBySku.get(product.varenr);
+      if (rows) {
+        rows.push(product);
+      } else {
+        rowsBySku.set(product.varenr, [product]);
+      }
+
+      if (product.ean_upc) {
+        const skus = skusByEan.get(product.ean_upc) || new Set();
+        skus.add(product.varenr);
+        skusByEan.set(product.ean_upc, skus);
+      }
+    }
+
+    rowsBySku.forEach((rows, sku) => {
+      if (rows.length > 1) {
+        this.addEETConflict({ type: 'duplicate_sku', sku, rowCount: rows.length }, [sku]);
+      }
+    });
+
+    skusByEan.forEach((skus, ean) => {
+      if (skus.size > 1) {
+        this.addEETConflict({ type: 'duplicate_ean', ean, skus: [...skus] }, [...skus]);
+      }
+    });
+
+    const uniqueProducts = [...rowsBySku.values()].map(rows => rows[0]);
+
+    if (isLoggingEnabled && this.eetConflicts.length > 0) {
+      logger.warn('DUPLICATES', 'Duplicates found in EET file', {
+        policy: this.policy,
+        conflictCount: this.eetConflicts.length,
+        removedRows: products.length - uniqueProducts.length
+      });
+    }
+
+    return uniqueProducts;
+  }
+
+  /**
+   * Record an EET conflict and apply the policy to the SKUs involved
+   * @param {Object} conflict - Conflict details
+   * @param {Array<string>} skus - SKUs involved
+   */
+  addEETConflict(conflict, skus) {
+    if (this.policy === 'skip') {
+      skus.forEach(sku => this.skippedSkus.add(sku));
+      this.eetConflicts.push({ ...conflict, resolution: 'skipped' });
+    } else {
+      const resolution = conflict.type === 'duplicate_sku' ? 'kept_first_row' : 'flagged';
+      this.eetConflicts.push({ ...conflict, resolution });
+    }
+  }
+
+  /**
+   * Pick the most recently created product
+   * @param {Array} products - Shopify products
+   * @returns {Object} Newest product
+   */
+  static pickNewest(products) {
+    return products.reduce((newest, product) =>
+      new Date(product.createdAt || 0) > new Date(newest.createdAt || 0) ? product : newest
+    );
+  }
+
+  /**
+   * Pick the product that keeps a shared SKU
+   * Products owned by the sync come first, so the managed copy is never the one drafted
+   * @param {Array} products - Shopify products sharing the SKU
+   * @param {ShopifyClient} shopifyClient - Client deciding which products are managed
+   * @returns {Object} Product to keep
+   */
+  static pickKept(products, shopifyClient) {
+    const managed = products.filter(product => shopifyClient.isManagedProduct(product));
+    return DuplicateDetector.pickNewest(managed.length > 0 ? managed : products);
+  }
+
+  /**
+   * Detect SKUs and barcodes shared by several Shopify products and resolve them
+   * newest: the newest product (managed products first) receives the updates, the others are left alone
+   * draft: as newest, and the other products owned by the sync are made draft
+   * skip: the SKU is not synced at all until the duplicates are cleaned up
+   * @param {ShopifyClient} shopifyClient - Client holding the catalog index
+   * @returns {Promise<Object>} { conflicts, drafted, skipped }
+   */
+  async resolveShopify(shopifyClient) {
+    const catalog = shopifyClient.catalog;
+    let drafted = 0;
+
+    for (const { sku, productIds } of catalog.getDuplicateSkus()) {
+      const products = catalog.findAllBySku(sku);
+      const newest = DuplicateDetector.pickKept(products, shopifyClient);
+      const others = products.filter(product => product.id !== newest.id);
+      const conflict = { type: 'duplicate_sku', sku, productIds, keptProductId: newest.id };
+
+      if (this.policy === 'skip') {
+        this.skippedSkus.add(sku);
+        this.shopifyConflicts.push({ ...conflict, keptProductId: null, resolution: 'skipped' });
+        continue;
+      }
+
+      catalog.setPrimary(sku, newest.id);
+
+      if (this.policy === 'draft') {
+        const draftedIds = [];
+        for (const product of others) {
+          // Never touch products the sync does not own
+          if (product.status === 'DRAFT' || !shopifyClient.isManagedProduct(product)) {
+            continue;
+          }
+          const result = await shopifyClient.makeProductDraft(product);
+          if (result.success) {
+            draftedIds.push(product.id);
+            drafted++;
+          }
+        }
+        this.shopifyConflicts.push({ ...conflict, resolution: 'drafted_duplicates', draftedProductIds: draftedIds });
+      } else {
+        this.shopifyConflicts.push({ ...conflict, resolution: 'kept_newest' });
+      }
+    }
+
+    // A shared barcode does not break SKU matching, so it is only reported
+    for (const { barcode, productIds } of catalog.getDuplicateBarcodes()) {
+      this.shopifyConflicts.push({ type: 'duplicate_barcode', barcode, productIds, resolution: 'flagged' });
+    }
+
+    if (isLoggingEnabled && this.shopifyConflicts.length > 0) {
+      logger.warn('DUPLICATES', 'Duplicates found in Shopify catalog', {
+        policy: this.policy,
+        conflictCount: this.shopifyConflicts.length,
+        drafted,
+        skipped: this.skippedSkus.size
+      });
+    }
+
+    return { conflicts: this.shopifyConflicts, drafted, skipped: this.skippedSkus.size };
+  }
+
+  /**
+   * Check whether a SKU is excluded from the sync by the skip policy
+   * @param {string} sku - Product SKU
+   * @returns {boolean} True if the SKU must not be synced
+   */
+  isSkipped(sku) {
+    return this.skippedSkus.has(sku);
+  }
+
+  /**
+   * Check whether any conflict was found
+   * @returns {boolean} True if there are conflicts
+   */
+  hasConflicts() {
+    return this.eetConflicts.length > 0 || this.shopifyConflicts.length > 0;
+  }
+
+  /**
+   * Get the reconciliation report
+   * @returns {Object} Report data
+   */
+  toJSON() {
+    return {
+      createdAt: this.createdAt,
+      policy: this.policy,
+      summary: {
+        eetConflicts: this.eetConflicts.length,
+        shopifyConflicts: this.shopifyConflicts.length,
+        skippedSkus: this.skippedSkus.size
+      },
+      eet: this.eetConflicts,
+      shopify: this.shopifyConflicts,
+      skippedSkus: [...this.skippedSkus]
+    };
+  }
+
+  /**
+   * Write the reconciliation report to a JSON file
+   * @param {string} dir - Output directory
+   * @returns {string} Report file path
+   */
+  saveReport(dir = 'tmp_data') {
+    if (!fs.existsSync(dir)) {
+      fs.mkdirSync(dir, { recursive: true });
+    }
+
+    const stamp = this.createdAt.replace(/[:.]/g, '-');
+    const reportFile = path.join(dir, `duplicates-report-${stamp}.json`);
+    fs.writeFileSync(reportFile, JSON.stringify(this.toJSON(), null, 2));
+
+    return reportFile;
+  }
+}
+
+export default DuplicateDetector;
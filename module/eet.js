@@ -1,5 +1,6 @@
 import fetch from 'node-fetch';
 import logger from './logger.js';
+import metrics from './metrics.js';
 import dotenv from 'dotenv';
 
 // Load environment variables
@@ -187,6 +188,7 @@ class EETClient {
           });
         }
 
+        const stopTimer = metrics.startTimer('eet_batch_duration_seconds');
         try {
           const requestBody = { Items: batch };
 
@@ -206,6 +208,7 @@ class EETClient {
           const productsArray = Array.isArray(result) ? result : (result.Items || []);
 
           allProducts.push(...productsArray);
+          stopTimer({ result: 'success' });
 
           if (isLoggingEnabled) {
             logger.info('EET_PRODUCTS', `Batch ${batchNumber} completed successfully`, {
@@ -221,6 +224,9 @@ class EETClient {
           }
 
         } catch (batchError) {
+          stopTimer({ result: 'failure' });
+          metrics.inc('eet_batch_failures_total');
+
           if (isLoggingEnabled) {
             logger.error('EET_PRODUCTS', `Failed to process batch ${batchNumber}`, {
               error: batchError.message,
@@ -50,13 +50,14 @@ class Logger {
     
     const msUntilMidnight = tomorrow.getTime() - now.getTime();
     
+    // Rotation alone must not keep a finished process alive
     setTimeout(() => {
       this.rotateLogFile();
       // Set up interval for every 24 hours
       setInterval(() => {
         this.rotateLogFile();
-      }, 24 * 60 * 60 * 1000);
-    }, msUntilMidnight);
+      }, 24 * 60 * 60 * 1000).unref();
+    }, msUntilMidnight).unref();
   }
 
   /**
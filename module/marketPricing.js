@@ -0,0 +1,96 @@
+import fs from 'fs';
+import PricingRules from './pricingRules.js';
+import logger from './logger.js';
+
+// Check if logging is disabled
+const isLoggingEnabled = process.env.LOGGING !== 'false';
+
+/**
+ * Market pricing
+ * Computes a price in local currency for every Shopify market in config/markets.json
+ * from the EET cost, with the market's own exchange rate, markup, VAT and rounding rule.
+ * The prices are sent as fixed prices on each market's price list
+ */
+class MarketPricing {
+  /**
+   * @param {string} configPath - Markets file
+   * @param {TaxSettings} tax - Tax settings of the store; net stores get market prices without VAT
+   */
+  constructor(configPath = 'config/markets.json', tax = null) {
+    this.configPath = configPath;
+    this.tax = tax;
+    this.config = this.loadConfig();
+    this.markets = this.config.markets || {};
+  }
+
+  /**
+   * Load market pricing settings from config/markets.json
+   * @returns {Object} Markets configuration ({} when there is no markets file)
+   */
+  loadConfig() {
+    // Market prices are optional; without the file only the base variant price is synced
+    if (!fs.existsSync(this.configPath)) {
+      return {};
+    }
+
+    try {
+      const configData = fs.readFileSync(this.configPath, 'utf8');
+      return JSON.parse(configData);
+    } catch (error) {
+      console.error('Error loading markets config:', error.message);
+      return {};
+    }
+  }
+
+  /**
+   * Check whether any market is configured
+   * @returns {boolean} True if market prices should be synced
+   */
+  isEnabled() {
+    return Object.keys(this.markets).length > 0;
+  }
+
+  /**
+   * Keep only the markets whose price list was found in Shopify
+   * @param {Array<string>} handles - Market handles to keep
+   */
+  limitTo(handles) {
+    const dropped = Object.keys(this.markets).filter(handle => !handles.includes(handle));
+    if (dropped.length > 0 && isLoggingEnabled) {
+      logger.warn('MARKET_PRICE', 'Markets left out of the price sync', { markets: dropped });
+    }
+
+    this.markets = Object.fromEntries(Object.entries(this.markets).filter(([handle]) => handles.includes(handle)));
+  }
+
+  /**
+   * Compute the price of a product in every market
+   * price = cost * exchange_rate * (1 + markup) * (1 + vat_rate), then rounded
+   * The VAT rate is the market's vat_rate or the rate of its country in config/tax.json
+   * @param {Money|null} cost - EET cost (excluding VAT) in the EET currency
+   * @returns {Array<Object>} [{ market, amount, currencyCode }] with the amount as a decimal string
+   */
+  getPrices(cost) {
+    if (!cost) {
+      return [];
+    }
+
+    return Object.entries(this.markets).map(([market, settings]) => {
+      let price = cost
+        .convert(settings.exchange_rate ?? 1, settings.currency)
+        .multiply(1 + (settings.markup ?? 0));
+      const vatRate = settings.vat_rate ?? (settings.country ? this.tax?.getVatRate(settings.country) : null);
+      if (vatRate !== null && vatRate !== undefined && this.tax?.isGross() !== false) {
+        price = price.withVat(vatRate);
+      }
+
+      return {
+        market,
+        amount: PricingRules.roundPrice(price, settings.rounding).toString(),
+        currencyCode: settings.currency
+      };
+    });
+  }
+}
+
+export default MarketPricing;
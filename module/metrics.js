@@ -0,0 +1,185 @@
+import fs from 'fs';
+import path from 'path';
+
+// Default histogram buckets in seconds
+const defaultBuckets = [0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60, 120];
+
+/**
+ * Metrics registry
+ * Keeps counters, gauges and histograms in memory and renders them in the
+ * Prometheus text exposition format for the control server or a textfile collector
+ */
+class Metrics {
+  constructor() {
+    this.metrics = new Map(); // name -> { type, help, buckets, series }
+    this.registerDefaults();
+  }
+
+  /**
+   * Register the metrics the sync reports
+   */
+  registerDefaults() {
+    this.register('eet_batch_duration_seconds', 'histogram', 'Duration of EET price and stock batch requests');
+    this.register('eet_batch_failures_total', 'counter', 'EET price and stock batch requests that failed');
+    this.register('shopify_graphql_requests_total', 'counter', 'Shopify GraphQL requests sent');
+    this.register('shopify_graphql_cost_total', 'counter', 'Shopify GraphQL query cost consumed (actualQueryCost)');
+    this.register('shopify_throttle_waits_total', 'counter', 'Waits for the Shopify rate limit budget, including throttled retries');
+    this.register('shopify_throttle_wait_seconds_total', 'counter', 'Time spent waiting for the Shopify rate limit budget');
+    this.register('sync_products_total', 'counter', 'Products handled by sync runs per action');
+    this.register('scraper_duration_seconds', 'histogram', 'Duration of document scraping per product');
+    this.register('sync_runs_total', 'counter', 'Sync runs per command and status');
+    this.register('sync_run_duration_seconds', 'gauge', 'Duration of the last sync run per command');
+    this.register('sync_last_success_timestamp_seconds', 'gauge', 'Unix time of the last successful sync run per command');
+  }
+
+  /**
+   * Register a metric
+   * @param {string} name - Metric name
+   * @param {string} type - counter, gauge or histogram
+   * @param {string} help - Description
+   * @param {Array<number>} buckets - Histogram bucket bounds
+   */
+  register(name, type, help, buckets = defaultBuckets) {
+    this.metrics.set(name, { type, help, buckets, series: new Map() });
+  }
+
+  /**
+   * Get the series of a metric for a label set, creating it on first use
+   * @param {string} name - Metric name
+   * @param {Object} labels - Label values
+   * @returns {Object} Series
+   */
+  getSeries(name, labels = {}) {
+    const metric = this.metrics.get(name);
+    if (!metric) {
+      throw new Error(`Unknown metric: ${name}`);
+    }
+
+    const key = JSON.stringify(Object.entries(labels).sort(([a], [b]) => a.localeCompare(b)));
+    if (!metric.series.has(key)) {
+      metric.series.set(key, metric.type === 'histogram'
+        ? { labels, buckets: metric.buckets.map(() => 0), sum: 0, count: 0 }
+        : { labels, value: 0 });
+    }
+    return metric.series.get(key);
+  }
+
+  /**
+   * Increase a counter
+   * @param {string} name - Metric name
+   * @param {Object} labels - Label values
+   * @param {number} value - Amount to add
+   */
+  inc(name, labels = {}, value = 1) {
+    this.getSeries(name, labels).value += value;
+  }
+
+  /**
+   * Set a gauge
+   * @param {string} name - Metric name
+   * @param {Object} labels - Label values
+   * @param {number} value - New value
+   */
+  set(name, labels = {}, value = 0) {
+    this.getSeries(name, labels).value = value;
+  }
+
+  /**
+   * Record a histogram observation
+   * @param {string} name - Metric name
+   * @param {Object} labels - Label values
+   * @param {number} value - Observed value
+   */
+  observe(name, labels = {}, value = 0) {
+    const metric = this.metrics.get(name);
+    const series = this.getSeries(name, labels);
+    metric.buckets.forEach((bound, index) => {
+      if (value <= bound) {
+        series.buckets[index]++;
+      }
+    });
+    series.sum += value;
+    series.count++;
+  }
+
+  /**
+   * Start a timer that records the elapsed seconds into a histogram
+   * @param {string} name - Histogram name
+   * @param {Object} labels - Label values
+   * @returns {Function} Call with extra labels to stop the timer
+   */
+  startTimer(name, labels = {}) {
+    const start = process.hrtime.bigint();
+    return (extraLabels = {}) => {
+      const seconds = Number(process.hrtime.bigint() - start) / 1e9;
+      this.observe(name, { ...labels, ...extraLabels }, seconds);
+      return seconds;
+    };
+  }
+
+  /**
+   * Format a label set
+   * @param {Object} labels - Label values
+   * @returns {string} Labels in Prometheus syntax, e.g. {command="sync"}
+   */
+  static formatLabels(labels) {
+    const entries = Object.entries(labels);
+    if (entries.length === 0) {
+      return '';
+    }
+    const escape = value => String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+    return `{${entries.map(([key, value]) => `${key}="${escape(value)}"`).join(',')}}`;
+  }
+
+  /**
+   * Render all metrics in the Prometheus text format
+   * @returns {string} Metrics text
+   */
+  render() {
+    const lines = [];
+
+    this.metrics.forEach((metric, name) => {
+      lines.push(`# HELP ${name} ${metric.help}`);
+      lines.push(`# TYPE ${name} ${metric.type}`);
+
+      metric.series.forEach(series => {
+        if (metric.type !== 'histogram') {
+          lines.push(`${name}${Metrics.formatLabels(series.labels)} ${series.value}`);
+          return;
+        }
+
+        metric.buckets.forEach((bound, index) => {
+          lines.push(`${name}_bucket${Metrics.formatLabels({ ...series.labels, le: bound })} ${series.buckets[index]}`);
+        });
+        lines.push(`${name}_bucket${Metrics.formatLabels({ ...series.labels, le: '+Inf' })} ${series.count}`);
+        lines.push(`${name}_sum${Metrics.formatLabels(series.labels)} ${series.sum}`);
+        lines.push(`${name}_count${Metrics.formatLabels(series.labels)} ${series.count}`);
+      });
+    });
+
+    return lines.join('\n') + '\n';
+  }
+
+  /**
+   * Write the metrics to a file for the node_exporter textfile collector
+   * Writes to a temporary file first so the collector never reads half a file
+   * @param {string} filePath - Target .prom file
+   */
+  writeToFile(filePath) {
+    try {
+      const dir = path.dirname(filePath);
+      if (!fs.existsSync(dir)) {
+        fs.mkdirSync(dir, { recursive: true });
+      }
+      fs.writeFileSync(`${filePath}.tmp`, this.render());
+      fs.renameSync(`${filePath}.tmp`, filePath);
+    } catch (error) {
+      console.error('Failed to write metrics file:', error.message);
+    }
+  }
+}
+
+// Create singleton instance
+const metrics = new Metrics();
+
+export default metrics;
@@ -0,0 +1,205 @@
+/**
+ * Money value
+ * An amount in whole minor units (øre, cents) with its currency and whether it includes VAT,
+ * so prices are never mixed up between cents and decimals and never collect floating point
+ * errors. Every pricing path (EET file, EET API, pricing rules, markets, Shopify) uses it
+ */
+class Money {
+  /**
+   * @param {number} minor - Amount in minor units
+   * @param {string} currency - ISO currency code
+   * @param {boolean} vatIncluded - True if the amount includes VAT
+   */
+  constructor(minor, currency = Money.defaultCurrency, vatIncluded = true) {
+    if (!Number.isInteger(minor)) {
+      throw new Error(`Money needs a whole number of minor units, got ${minor}`);
+    }
+    this.minor = minor;
+    this.currency = currency;
+    this.vatIncluded = vatIncluded;
+  }
+
+  /**
+   * Get the currency of EET prices and of the shop's base prices (CURRENCY, DKK if not set)
+   * Read on use, so .env is loaded by then
+   * @returns {string} ISO currency code
+   */
+  static get defaultCurrency() {
+    return process.env.CURRENCY || 'DKK';
+  }
+
+  /**
+   * Get the VAT rate added to EET prices when the store's country has no rate of its own
+   * (VAT_RATE, 25% if not set)
+   * @returns {number} VAT rate, e.g. 0.25
+   */
+  static get defaultVatRate() {
+    return process.env.VAT_RATE !== undefined ? parseFloat(process.env.VAT_RATE) : 0.25;
+  }
+
+  /**
+   * Parse an amount in major units
+   * Strings are read digit by digit, so "1249,95" and "1249.95" become exactly 124995 minor units
+   * @param {string|number} value - Amount, with a comma or a dot as decimal separator
+   * @param {Object} options - { currency, vatIncluded }; a Money value can be passed to copy its kind
+   * @returns {Money|null} Money value, or null when the value is empty or not a number
+   */
+  static parse(value, options = {}) {
+    if (value === null || value === undefined || value === '') {
+      return null;
+    }
+
+    const text = typeof value === 'number' ? value.toFixed(6) : String(value).trim().replace(',', '.');
+    const match = text.match(/^(-?)(\d*)(?:\.(\d*))?$/);
+    if (!match || (match[2] === '' && !match[3])) {
+      return null;
+    }
+
+    // Round half away from zero on the third decimal
+    const decimals = (match[3] || '').padEnd(3, '0');
+    let minor = parseInt(match[2] || '0', 10) * 100 + parseInt(decimals.slice(0, 2), 10);
+    if (parseInt(decimals[2], 10) >= 5) {
+      minor++;
+    }
+
+    return new Money(match[1] ? -minor : minor, options.currency || Money.defaultCurrency, options.vatIncluded ?? true);
+  }
+
+  /**
+   * Get the amount in major units
+   * @returns {number} Amount, e.g. 1249.95
+   */
+  get amount() {
+    return this.minor / 100;
+  }
+
+  /**
+   * Check that another value can be combined with this one
+   * @param {Money} other - Other value
+   * @throws {Error} When the currency or the VAT treatment differs
+   */
+  assertSameKind(other) {
+    if (other.currency !== this.currency) {
+      throw new Error(`Cannot combine ${this.currency} with ${other.currency}`);
+    }
+    if (other.vatIncluded !== this.vatIncluded) {
+      throw new Error('Cannot combine an amount including VAT with one excluding VAT');
+    }
+  }
+
+  /**
+   * Add another value
+   * @param {Money} other - Value of the same currency and VAT treatment
+   * @returns {Money} Sum
+   */
+  add(other) {
+    this.assertSameKind(other);
+    return new Money(this.minor + other.minor, this.currency, this.vatIncluded);
+  }
+
+  /**
+   * Multiply by a factor, rounding to whole minor units
+   * @param {number} factor - Factor, e.g. 1.25 for a 25% markup
+   * @returns {Money} Product
+   */
+  multiply(factor) {
+    // toFixed drops floating point noise such as 1249.9999999 before rounding
+    return new Money(Math.round(Number((this.minor * factor).toFixed(6))), this.currency, this.vatIncluded);
+  }
+
+  /**
+   * Get the ratio to another value
+   * @param {Money} other - Value in the same currency
+   * @returns {number} this / other
+   */
+  ratio(other) {
+    if (other.currency !== this.currency) {
+      throw new Error(`Cannot compare ${this.currency} with ${other.currency}`);
+    }
+    return this.minor / other.minor;
+  }
+
+  /**
+   * Add VAT at a rate to an amount excluding VAT
+   * @param {number} rate - VAT rate, e.g. 0.25
+   * @returns {Money} Amount including VAT
+   */
+  withVat(rate = Money.defaultVatRate) {
+    if (this.vatIncluded) {
+      return this;
+    }
+    return new Money(this.multiply(1 + rate).minor, this.currency, true);
+  }
+
+  /**
+   * Convert to another currency
+   * @param {number} rate - Units of the target currency per unit of this currency
+   * @param {string} currency - Target currency
+   * @returns {Money} Converted value
+   */
+  convert(rate, currency) {
+    return new Money(this.multiply(rate).minor, currency, this.vatIncluded);
+  }
+
+  /**
+   * Compare with another value
+   * @param {Money} other - Value of the same currency and VAT treatment
+   * @returns {number} Negative, zero or positive
+   */
+  compare(other) {
+    this.assertSameKind(other);
+    return this.minor - other.minor;
+  }
+
+  /**
+   * Check whether another value has the same amount, currency and VAT treatment
+   * @param {Money|null} other - Other value
+   * @returns {boolean} True if equal
+   */
+  equals(other) {
+    return !!other &&
+      other.minor === this.minor &&
+      other.currency === this.currency &&
+      other.vatIncluded === this.vatIncluded;
+  }
+
+  /**
+   * Get the larger of two values
+   * @param {Money} a - First value
+   * @param {Money} b - Second value
+   * @returns {Money} Larger value
+   */
+  static max(a, b) {
+    return a.compare(b) >= 0 ? a : b;
+  }
+
+  /**
+   * Get the smaller of two values
+   * @param {Money} a - First value
+   * @param {Money} b - Second value
+   * @returns {Money} Smaller value
+   */
+  static min(a, b) {
+    return a.compare(b) <= 0 ? a : b;
+  }
+
+  /**
+   * Format as a decimal string, as Shopify expects
+   * @returns {string} Amount with two decimals, e.g. "1249.95"
+   */
+  toString() {
+    const sign = this.minor < 0 ? '-' : '';
+    const abs = Math.abs(this.minor);
+    return `${sign}${Math.floor(abs / 100)}.${String(abs % 100).padStart(2, '0')}`;
+  }
+
+  /**
+   * Serialize as the decimal string, so snapshots and plans keep plain amounts
+   * @returns {string} Amount with two decimals
+   */
+  toJSON() {
+    return this.toString();
+  }
+}
+
+export default Money;
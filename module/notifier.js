@@ -0,0 +1,241 @@
+import fs from 'fs';
+import fetch from 'node-fetch';
+import nodemailer from 'nodemailer';
+import logger from './logger.js';
+
+// Check if logging is disabled
+const isLoggingEnabled = process.env.LOGGING !== 'false';
+
+// Titles of the events a run can send
+const eventTitles = {
+  run_completed: 'Sync run completed',
+  run_failed: 'Sync run failed',
+  breaker_tripped: 'Circuit breaker tripped',
+  eet_login_failed: 'EET login failed',
+  test: 'Test notification'
+};
+
+// Channels used for an event when config/notifications.json does not route it
+const defaultRouting = {
+  run_completed: [],
+  run_failed: ['email', 'webhook'],
+  breaker_tripped: ['email', 'webhook'],
+  eet_login_failed: ['email', 'webhook'],
+  test: ['email', 'webhook']
+};
+
+/**
+ * Run notifications
+ * Sends a summary of a run by SMTP email and/or a JSON webhook (Slack, Teams or
+ * any endpoint accepting a POST), routed per event in config/notifications.json
+ */
+class Notifier {
+  constructor() {
+    this.config = this.loadConfig();
+    this.transport = null;
+  }
+
+  /**
+   * Load notification settings from config/notifications.json
+   * @returns {Object} Notification configuration
+   */
+  loadConfig() {
+    try {
+      const configData = fs.readFileSync('config/notifications.json', 'utf8');
+      return JSON.parse(configData);
+    } catch (error) {
+      console.error('Error loading notifications config:', error.message);
+      return {};
+    }
+  }
+
+  /**
+   * Get the SMTP settings from .env and the email recipients from the config
+   * @returns {Object|null} Email settings or null when email is not set up
+   */
+  getEmailSettings() {
+    const host = process.env.SMTP_HOST;
+    const to = this.config.email?.to || [];
+    if (!host || to.length === 0) {
+      return null;
+    }
+
+    return {
+      host,
+      port: parseInt(process.env.SMTP_PORT) || 587,
+      secure: process.env.SMTP_SECURE === 'true',
+      user: process.env.SMTP_USER || '',
+      pass: process.env.SMTP_PASS || '',
+      from: this.config.email?.from || process.env.SMTP_USER || 'eet-shopify@localhost',
+      to
+    };
+  }
+
+  /**
+   * Get the webhook URL (ALERT_WEBHOOK_URL is still read for older setups)
+   * @returns {string|null} Webhook URL or null when no webhook is set up
+   */
+  getWebhookUrl() {
+    return process.env.NOTIFY_WEBHOOK_URL || process.env.ALERT_WEBHOOK_URL || null;
+  }
+
+  /**
+   * Get the channels an event is sent to
+   * @param {string} event - Event name
+   * @returns {Array<string>} Channel names (email, webhook)
+   */
+  getChannels(event) {
+    return this.config.events?.[event] || defaultRouting[event] || [];
+  }
+
+  /**
+   * Build the plain text summary of an event
+   * @param {string} event - Event name
+   * @param {Object} data - { message, report, details }
+   * @returns {string} Summary text
+   */
+  static formatText(event, data = {}) {
+    const lines = [eventTitles[event] || event];
+
+    if (data.message) {
+      lines.push(data.message);
+    }
+
+    const report = data.report;
+    if (report) {
+      lines.push('');
+      lines.push(`Run: ${report.runId || '-'} (${report.command}${report.dryRun ? ', dry run' : ''})`);
+      if (report.store) {
+        lines.push(`Store: ${report.store}`);
+      }
+      if (report.durationMs !== null && report.durationMs !== undefined) {
+        lines.push(`Duration: ${Math.round(report.durationMs / 1000)} s`);
+      }
+      lines.push(Object.entries(report.counts).map(([name, count]) => `${name}: ${count}`).join(', '));
+
+      const errors = report.skus.flatMap(entry => entry.errors.map(e => `- ${entry.sku} ${e.step}: ${e.error}`));
+      if (errors.length > 0) {
+        lines.push('');
+        lines.push(`Errors (${errors.length}):`);
+        lines.push(...errors.slice(0, 20));
+        if (errors.length > 20) {
+          lines.push(`... and ${errors.length - 20} more`);
+        }
+      }
+    }
+
+    if (data.reportFile) {
+      lines.push('');
+      lines.push(`Report: ${data.reportFile}`);
+    }
+
+    return lines.join('\n');
+  }
+
+  /**
+   * Send an event to its configured channels
+   * Never throws: a failing channel is logged so it cannot break the run
+   * @param {string} event - run_completed, run_failed, breaker_tripped or eet_login_failed
+   * @param {Object} data - { message, report, reportFile, details }
+   * @returns {Promise<Object>} Result per channel: { email, webhook }
+   */
+  async notify(event, data = {}) {
+    const channels = this.getChannels(event);
+    const text = Notifier.formatText(event, data);
+    const results = {};
+
+    if (channels.includes('email') && this.getEmailSettings()) {
+      results.email = await this.sendEmail(event, text);
+    }
+
+    if (channels.includes('webhook') && this.getWebhookUrl()) {
+      results.webhook = await this.sendWebhook(event, text, data);
+    }
+
+    if (isLoggingEnabled && Object.keys(results).length > 0) {
+      logger.info('NOTIFY', 'Notification sent', { event, results });
+    }
+
+    return results;
+  }
+
+  /**
+   * Send the summary by email
+   * @param {string} event - Event name
+   * @param {string} text - Summary text
+   * @returns {Promise<Object>} { success, error }
+   */
+  async sendEmail(event, text) {
+    const settings = this.getEmailSettings();
+
+    try {
+      if (!this.transport) {
+        this.transport = nodemailer.createTransport({
+          host: settings.host,
+          port: settings.port,
+          secure: settings.secure,
+          auth: settings.user ? { user: settings.user, pass: settings.pass } : undefined
+        });
+      }
+
+      await this.transport.sendMail({
+        from: settings.from,
+        to: settings.to.join(', '),
+        subject: `[EET Shopify] ${eventTitles[event] || event}`,
+        text
+      });
+
+      return { success: true };
+    } catch (error) {
+      if (isLoggingEnabled) {
+        logger.error('NOTIFY', 'Failed to send notification email', {
+          event,
+          error: error.message
+        });
+      }
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * POST the summary as JSON to the webhook
+   * `text` holds the readable summary so Slack and Teams incoming webhooks can show it as is
+   * @param {string} event - Event name
+   * @param {string} text - Summary text
+   * @param {Object} data - { report, details }
+   * @returns {Promise<Object>} { success, error }
+   */
+  async sendWebhook(event, text, data) {
+    try {
+      const response = await fetch(this.getWebhookUrl(), {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          event,
+          title: eventTitles[event] || event,
+          text,
+          counts: data.report?.counts,
+          runId: data.report?.runId,
+          details: data.details,
+          time: new Date().toISOString()
+        })
+      });
+
+      if (!response.ok) {
+        throw new Error(`Webhook responded with status: ${response.status}`);
+      }
+
+      return { success: true };
+    } catch (error) {
+      if (isLoggingEnabled) {
+        logger.error('NOTIFY', 'Failed to send notification webhook', {
+          event,
+          error: error.message
+        });
+      }
+      return { success: false, error: error.message };
+    }
+  }
+}
+
+export default Notifier;
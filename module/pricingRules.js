@@ -0,0 +1,167 @@
+import fs from 'fs';
+import Money from './money.js';
+
+/**
+ * Pricing rules
+ * Turns an EET price into the sale price with the rules in config/pricing-rules.json:
+ * fixed prices, markups per SKU, category, brand or price band, a minimum margin over
+ * the EET cost, rounding and a cap on the change from the current price.
+ * Every price comes with the rules that made it, so it can be logged
+ */
+class PricingRules {
+  /**
+   * @param {string} configPath - Pricing rules file
+   * @param {number} defaultMarkup - Markup when the file sets none (the store's price_markup or PRICE_STOCK)
+   */
+  constructor(configPath = 'config/pricing-rules.json', defaultMarkup = 0) {
+    this.configPath = configPath;
+    this.config = this.loadConfig();
+    this.markup = this.config.markup ?? defaultMarkup;
+    this.markups = this.config.markups || {};
+    this.fixedPrices = this.config.fixed_prices || {};
+    this.minMargin = this.config.min_margin || 0;
+    this.rounding = this.config.rounding || null;
+    this.maxChange = this.config.max_change || 0;
+  }
+
+  /**
+   * Load pricing rules from config/pricing-rules.json
+   * @returns {Object} Pricing configuration ({} when there is no rules file)
+   */
+  loadConfig() {
+    // The rules are optional; without the file every product gets the default markup
+    if (!fs.existsSync(this.configPath)) {
+      return {};
+    }
+
+    try {
+      const configData = fs.readFileSync(this.configPath, 'utf8');
+      return JSON.parse(configData);
+    } catch (error) {
+      console.error('Error loading pricing rules config:', error.message);
+      return {};
+    }
+  }
+
+  /**
+   * Round a price up (or down) to the next price with the configured ending
+   * E.g. { "to": 1, "ending": 0.95 } turns 143.20 into 143.95 and { "to": 10, "ending": 9 } turns it into 149
+   * @param {Money} price - Unrounded price
+   * @param {Object} rounding - { to, ending }; unchanged when omitted
+   * @param {boolean} down - Round down instead, e.g. 143.20 into 142.95
+   * @returns {Money} Rounded price
+   */
+  static roundPrice(price, rounding = null, down = false) {
+    if (!rounding || !rounding.to) {
+      return price;
+    }
+
+    // Whole minor units, so the grid is exact
+    const step = Money.parse(rounding.to).minor;
+    const ending = Money.parse(rounding.ending || 0).minor;
+    const steps = (down ? Math.floor : Math.ceil)((price.minor - ending) / step);
+    return new Money(Math.max(steps * step + ending, 0), price.currency, price.vatIncluded);
+  }
+
+  /**
+   * Find the markup of a product
+   * The most specific rule wins: SKU, then category, then brand, then price band
+   * @param {Object} item - { sku, brand, categoryId, price }
+   * @returns {Object} { markup, rule }
+   */
+  getMarkup(item) {
+    const bySku = this.markups.sku || {};
+    if (bySku[item.sku] !== undefined) {
+      return { markup: bySku[item.sku], rule: `sku ${item.sku}` };
+    }
+
+    const byCategory = this.markups.category || {};
+    if (item.categoryId && byCategory[item.categoryId] !== undefined) {
+      return { markup: byCategory[item.categoryId], rule: `category ${item.categoryId}` };
+    }
+
+    const byBrand = this.markups.brand || {};
+    if (item.brand && byBrand[item.brand] !== undefined) {
+      return { markup: byBrand[item.brand], rule: `brand ${item.brand}` };
+    }
+
+    // Bands are checked in order; a band without max covers every higher price
+    const band = (this.markups.price_bands || []).find(entry => entry.max === undefined || item.price <= entry.max);
+    if (band) {
+      return { markup: band.markup, rule: band.max === undefined ? 'price band (no max)' : `price band up to ${band.max}` };
+    }
+
+    return { markup: this.markup, rule: 'default' };
+  }
+
+  /**
+   * Compute the sale price of a product
+   * @param {Object} item - Product to price
+   * @param {string} item.sku - Product SKU
+   * @param {string} item.brand - Brand name
+   * @param {string} item.categoryId - EET web_category_id
+   * @param {Money} item.price - EET price the markup applies to
+   * @param {Money|null} item.cost - EET cost excluding VAT, for the minimum margin (null when unknown)
+   * @param {string|null} item.currentPrice - Current Shopify price, for the change cap (null for new products)
+   * @returns {Object} { price, rule, explanation } with the price as Money like item.price
+   */
+  getPrice(item) {
+    if (this.fixedPrices[item.sku] !== undefined) {
+      const price = Money.parse(this.fixedPrices[item.sku], item.price);
+      return { price, rule: 'fixed', explanation: [`fixed price ${price}`] };
+    }
+
+    const { markup, rule } = this.getMarkup({ ...item, price: item.price.amount });
+    const explanation = [`markup ${Math.round(markup * 10000) / 100}% (${rule})`];
+    let price = item.price.multiply(1 + markup);
+
+    // The margin is measured without VAT: the floor is cost + margin with the VAT share of the EET price on top
+    let marginFloor = null;
+    if (this.minMargin > 0 && item.cost && item.cost.minor > 0) {
+      const margin = Money.parse(this.minMargin, item.cost);
+      marginFloor = item.price.multiply(item.cost.add(margin).ratio(item.cost));
+      if (price.compare(marginFloor) < 0) {
+        price = marginFloor;
+        explanation.push(`raised to the minimum margin of ${margin} over cost ${item.cost}`);
+      }
+    }
+
+    // The cap comes before rounding, so capped prices still get the configured ending
+    let lowest = null;
+    let highest = null;
+    const currentPrice = Money.parse(item.currentPrice, item.price);
+    if (this.maxChange > 0 && currentPrice && currentPrice.minor > 0) {
+      const floor = marginFloor || new Money(0, price.currency, price.vatIncluded);
+      lowest = Money.max(currentPrice.multiply(1 - this.maxChange), floor);
+      highest = Money.max(currentPrice.multiply(1 + this.maxChange), floor);
+      const capped = Money.min(Money.max(price, lowest), highest);
+      if (!capped.equals(price)) {
+        price = capped;
+        explanation.push(`capped at ${Math.round(this.maxChange * 100)}% change from ${currentPrice}` +
+          (marginFloor && capped.equals(marginFloor) ? ', kept at the minimum margin' : ''));
+      }
+    }
+
+    if (this.rounding) {
+      // Rounding up may not pass the cap; then the price is rounded down, and kept as is
+      // when no price with the ending lies within the cap. A minimum margin above the cap
+      // already overrides it, so that price is rounded up as usual
+      const upperLimit = highest && !(marginFloor && highest.equals(marginFloor)) ? highest : null;
+      const roundedUp = PricingRules.roundPrice(price, this.rounding);
+      const roundedDown = PricingRules.roundPrice(price, this.rounding, true);
+      if (!upperLimit || roundedUp.compare(upperLimit) <= 0) {
+        price = roundedUp;
+        explanation.push(`rounded to ${price}`);
+      } else if (roundedDown.compare(lowest) >= 0) {
+        price = roundedDown;
+        explanation.push(`rounded down to ${price} to stay within the cap`);
+      } else {
+        explanation.push('not rounded, no price with the ending lies within the cap');
+      }
+    }
+
+    return { price, rule, explanation };
+  }
+}
+
+export default PricingRules;
@@ -0,0 +1,226 @@
+import fs from 'fs';
+import path from 'path';
+import EETProductFilter from './csvParseAndFilter.js';
+import ShopifyClient from './shopify.js';
+import logger from './logger.js';
+
+// Check if logging is disabled
+const isLoggingEnabled = process.env.LOGGING !== 'false';
+
+// LANGUAGE values (country codes as used by EET) and the shop locale they stand for
+const languageLocales = {
+  DNK: 'da',
+  DAN: 'da',
+  SWE: 'sv',
+  NOR: 'nb',
+  FIN: 'fi',
+  DEU: 'de',
+  GER: 'de',
+  NLD: 'nl',
+  FRA: 'fr',
+  ESP: 'es',
+  ITA: 'it',
+  POL: 'pl',
+  ENG: 'en',
+  GBR: 'en'
+};
+
+// EET product fields holding the translatable content
+const contentFields = ['beskrivelse', 'beskrivelse_2', 'beskrivelse_3', 'web_category_name'];
+
+/**
+ * Product translations
+ * Collects titles, descriptions and category names per language from second-language
+ * EET price files or localized EET product pages (config/translations.json), so the
+ * primary content follows LANGUAGE and the other shop languages get translations
+ */
+class ProductTranslations {
+  /**
+   * @param {string} cacheFile - Content scraped from EET product pages, kept between runs
+   */
+  constructor(cacheFile = 'tmp_data/translations-cache.json') {
+    this.config = this.loadConfig();
+    this.sources = this.config.sources || {};
+    this.feedLanguage = this.config.feed_language || null;
+    this.cacheFile = cacheFile;
+    this.cache = null;
+    this.rowsByLocale = new Map(); // locale -> Map(varenr -> EET row)
+    this.scrapeQueue = Promise.resolve();
+  }
+
+  /**
+   * Load translation settings from config/translations.json
+   * @returns {Object} Translation configuration
+   */
+  loadConfig() {
+    try {
+      const configData = fs.readFileSync('config/translations.json', 'utf8');
+      return JSON.parse(configData);
+    } catch (error) {
+      console.error('Error loading translations config:', error.message);
+      return {};
+    }
+  }
+
+  /**
+   * Get the shop locale of a LANGUAGE value
+   * @param {string} language - LANGUAGE, e.g. DNK, EN or sv
+   * @returns {string} Locale, e.g. "da"
+   */
+  static localeFromLanguage(language) {
+    const code = String(language || 'EN').toUpperCase();
+    return languageLocales[code] || code.toLowerCase();
+  }
+
+  /**
+   * Check whether any translation source is configured
+   * @returns {boolean} True if translations can be registered
+   */
+  isEnabled() {
+    return !!this.feedLanguage || Object.keys(this.sources).length > 0;
+  }
+
+  /**
+   * Parse the second-language EET price files, once for all stores
+   * @returns {Promise<void>}
+   */
+  async loadFiles() {
+    for (const [locale, source] of Object.entries(this.sources)) {
+      if (!source.file) {
+        continue;
+      }
+
+      const rows = await new EETProductFilter().parseCSV(source.file);
+      this.rowsByLocale.set(locale, new Map(rows.map(row => [row.varenr, row])));
+
+      if (isLoggingEnabled) {
+        logger.info('TRANSLATE', 'Second-language EET file loaded', {
+          locale,
+          file: source.file,
+          productCount: rows.length
+        });
+      }
+    }
+  }
+
+  /**
+   * Get a product with its content in the primary language
+   * Only a second-language file can replace the primary content; the feed is used otherwise
+   * @param {Object} eetProduct - EET product from the feed
+   * @param {string} locale - Primary locale (from LANGUAGE)
+   * @returns {Object} EET product with localized title, descriptions and category
+   */
+  localize(eetProduct, locale) {
+    if (locale === this.feedLanguage) {
+      return eetProduct;
+    }
+
+    const row = this.rowsByLocale.get(locale)?.get(eetProduct.varenr);
+    if (!row) {
+      return eetProduct;
+    }
+
+    const localized = { ...eetProduct };
+    contentFields.forEach(field => {
+      if (row[field]) {
+        localized[field] = row[field];
+      }
+    });
+    return localized;
+  }
+
+  /**
+   * Turn an EET row into translatable Shopify content
+   * @param {Object} row - EET product row
+   * @returns {Object} { title, body_html, product_type } without empty values
+   */
+  static toContent(row) {
+    return Object.fromEntries(Object.entries({
+      title: row.beskrivelse,
+      body_html: ShopifyClient.formatBodyHtml(row),
+      product_type: row.web_category_name
+    }).filter(([, value]) => value));
+  }
+
+  /**
+   * Get the content of a product in a shop language
+   * Scraped content is cached, so a product page is only scraped once per language
+   * @param {string} locale - Shop locale
+   * @param {Object} eetProduct - EET product from the feed (not localized)
+   * @param {ShopifyClient} shopifyClient - Client whose scraper reads the EET product pages
+   * @returns {Promise<Object|null>} { title, body_html, product_type } or null when there is no source
+   */
+  async getContent(locale, eetProduct, shopifyClient) {
+    if (locale === this.feedLanguage) {
+      return ProductTranslations.toContent(eetProduct);
+    }
+
+    const source = this.sources[locale];
+    if (!source) {
+      return null;
+    }
+
+    if (source.file) {
+      const row = this.rowsByLocale.get(locale)?.get(eetProduct.varenr);
+      return row ? ProductTranslations.toContent(row) : null;
+    }
+
+    if (source.scrape) {
+      const cache = this.loadCache();
+      const key = `${locale}|${eetProduct.varenr}`;
+      if (cache[key]) {
+        return cache[key];
+      }
+
+      // Playwright runs one browser at a time, so scrapes wait for each other
+      const scrape = this.scrapeQueue.then(() =>
+        shopifyClient.scrapeProductContent(eetProduct.item_product_link, source.scrape));
+      this.scrapeQueue = scrape.catch(() => null);
+
+      // Pages without content are not cached, so they are tried again on the next run
+      const content = await scrape;
+      if (content) {
+        cache[key] = content;
+      }
+      return content;
+    }
+
+    return null;
+  }
+
+  /**
+   * Load the scraped content cache
+   * @returns {Object} `${locale}|${sku}` -> content
+   */
+  loadCache() {
+    if (!this.cache) {
+      try {
+        this.cache = fs.existsSync(this.cacheFile) ? JSON.parse(fs.readFileSync(this.cacheFile, 'utf8')) : {};
+      } catch (error) {
+        this.cache = {};
+      }
+    }
+    return this.cache;
+  }
+
+  /**
+   * Write the scraped content cache to disk
+   */
+  saveCache() {
+    if (!this.cache) {
+      return;
+    }
+
+    try {
+      const dir = path.dirname(this.cacheFile);
+      if (!fs.existsSync(dir)) {
+        fs.mkdirSync(dir, { recursive: true });
+      }
+      fs.writeFileSync(this.cacheFile, JSON.stringify(this.cache));
+    } catch (error) {
+      console.error('Failed to write translations cache:', error.message);
+    }
+  }
+}
+
+export default ProductTranslations;
@@ -0,0 +1,224 @@
+import logger from './logger.js';
+import metrics from './metrics.js';
+
+// Check if logging is disabled
+const isLoggingEnabled = process.env.LOGGING !== 'false';
+
+/**
+ * Cost-aware request scheduler for the Shopify GraphQL Admin API
+ * Tracks the leaky bucket reported in extensions.cost, runs several requests
+ * in parallel while the bucket has room and computes backoff for throttled calls
+ */
+class RequestScheduler {
+  /**
+   * @param {Object} options - Scheduler options
+   * @param {number} options.maxConcurrency - Maximum number of requests in flight
+   * @param {number} options.maximumAvailable - Bucket size until Shopify reports it
+   * @param {number} options.restoreRate - Points restored per second until Shopify reports it
+   * @param {number} options.defaultCost - Estimated cost for queries not seen before
+   * @param {number} options.maxRetries - Maximum retries for throttled requests
+   * @param {Object} options.labels - Labels added to the metrics, e.g. { store }
+   */
+  constructor(options = {}) {
+    this.maxConcurrency = options.maxConcurrency || 4;
+    this.maximumAvailable = options.maximumAvailable || 1000;
+    this.restoreRate = options.restoreRate || 50;
+    this.defaultCost = options.defaultCost || 10;
+    this.maxRetries = options.maxRetries ?? 5;
+    this.labels = options.labels || {};
+
+    this.available = this.maximumAvailable;
+    this.lastRefill = Date.now();
+    this.active = 0;
+    this.waiting = [];
+    this.costByQuery = new Map(); // query text -> last requested cost
+
+    this.stats = {
+      requests: 0,
+      throttleWaits: 0,
+      throttleWaitMs: 0,
+      retries: 0,
+      actualCost: 0
+    };
+  }
+
+  /**
+   * Refill the bucket for the time passed since the last refill
+   */
+  refill() {
+    const now = Date.now();
+    const restored = (now - this.lastRefill) / 1000 * this.restoreRate;
+    this.available = Math.min(this.maximumAvailable, this.available + restored);
+    this.lastRefill = now;
+  }
+
+  /**
+   * Estimate the cost of a query from the last time it ran
+   * @param {string} query - GraphQL query or mutation
+   * @returns {number} Estimated cost
+   */
+  estimateCost(query) {
+    return this.costByQuery.get(query) || this.defaultCost;
+  }
+
+  /**
+   * Update the bucket from a response's extensions.cost
+   * Accepts both the throttleStatus shape and a flat shape
+   * @param {string} query - GraphQL query the cost belongs to
+   * @param {Object} cost - extensions.cost from the response
+   */
+  updateFromCost(query, cost) {
+    if (!cost) {
+      return;
+    }
+
+    const status = cost.throttleStatus || cost;
+
+    if (cost.requestedQueryCost) {
+      this.costByQuery.set(query, cost.requestedQueryCost);
+    }
+    if (cost.actualQueryCost) {
+      this.stats.actualCost += cost.actualQueryCost;
+      metrics.inc('shopify_graphql_cost_total', this.labels, cost.actualQueryCost);
+    }
+    if (status.maximumAvailable) {
+      this.maximumAvailable = status.maximumAvailable;
+    }
+    if (status.restoreRate) {
+      this.restoreRate = status.restoreRate;
+    }
+    if (typeof status.currentlyAvailable === 'number') {
+      // Shopify's number is authoritative; it already accounts for requests still in flight
+      this.available = status.currentlyAvailable;
+      this.lastRefill = Date.now();
+    }
+  }
+
+  /**
+   * Wait until a concurrency slot is free
+   */
+  async acquireSlot() {
+    if (this.active < this.maxConcurrency) {
+      this.active++;
+      return;
+    }
+    await new Promise(resolve => this.waiting.push(resolve));
+  }
+
+  /**
+   * Release a concurrency slot and hand it to the next waiting request
+   */
+  releaseSlot() {
+    const next = this.waiting.shift();
+    if (next) {
+      next();
+    } else {
+      this.active--;
+    }
+  }
+
+  /**
+   * Wait until the bucket can pay for a request, then reserve the points
+   * @param {number} cost - Estimated cost of the request
+   */
+  async reserve(cost) {
+    const needed = Math.min(cost, this.maximumAvailable);
+    this.refill();
+
+    while (this.available < needed) {
+      const waitMs = Math.ceil((needed - this.available) / this.restoreRate * 1000);
+      this.stats.throttleWaits++;
+      this.stats.throttleWaitMs += waitMs;
+      metrics.inc('shopify_throttle_waits_total', { ...this.labels, reason: 'budget' });
+      metrics.inc('shopify_throttle_wait_seconds_total', this.labels, waitMs / 1000);
+
+      if (isLoggingEnabled) {
+        logger.info('SHOPIFY_SCHEDULER', 'Waiting for rate limit budget', {
+          needed,
+          available: Math.floor(this.available),
+          waitMs
+        });
+      }
+
+      await new Promise(resolve => setTimeout(resolve, waitMs));
+      this.refill();
+    }
+
+    this.available -= needed;
+  }
+
+  /**
+   * Run a request once a concurrency slot and enough budget are available
+   * @param {Function} task - Async function sending the request
+   * @param {number} cost - Estimated cost of the request
+   * @returns {Promise<*>} Task result
+   */
+  async schedule(task, cost = this.defaultCost) {
+    await this.acquireSlot();
+    try {
+      await this.reserve(cost);
+      this.stats.requests++;
+      metrics.inc('shopify_graphql_requests_total', this.labels);
+      return await task();
+    } finally {
+      this.releaseSlot();
+    }
+  }
+
+  /**
+   * Get the wait time before retrying a throttled request
+   * Uses the time the bucket needs to refill, with exponential backoff as the floor
+   * @param {number} attempt - Retry attempt, starting at 0
+   * @param {number} cost - Estimated cost of the request
+   * @returns {number} Wait time in milliseconds
+   */
+  getBackoffDelay(attempt, cost = this.defaultCost) {
+    this.refill();
+    const refillMs = Math.max(0, (cost - this.available) / this.restoreRate * 1000);
+    const backoffMs = 500 * Math.pow(2, attempt);
+    return Math.ceil(Math.max(refillMs, backoffMs));
+  }
+
+  /**
+   * Wait before retrying a throttled request
+   * @param {number} attempt - Retry attempt, starting at 0
+   * @param {number} cost - Estimated cost of the request
+   */
+  async backoff(attempt, cost) {
+    const waitMs = this.getBackoffDelay(attempt, cost);
+    this.stats.retries++;
+    this.stats.throttleWaits++;
+    this.stats.throttleWaitMs += waitMs;
+    metrics.inc('shopify_throttle_waits_total', { ...this.labels, reason: 'throttled' });
+    metrics.inc('shopify_throttle_wait_seconds_total', this.labels, waitMs / 1000);
+
+    if (isLoggingEnabled) {
+      logger.warn('SHOPIFY_SCHEDULER', 'Request throttled, retrying', {
+        attempt: attempt + 1,
+        maxRetries: this.maxRetries,
+        waitMs
+      });
+    }
+
+    await new Promise(resolve => setTimeout(resolve, waitMs));
+  }
+
+  /**
+   * Run a worker for every item with at most maxConcurrency workers at a time
+   * Requests made by the workers still go through schedule(), so the bucket is respected
+   * @param {Array} items - Items to process
+   * @param {Function} worker - Async function called with (item, index)
+   */
+  async forEach(items, worker) {
+    let nextIndex = 0;
+    const runners = Array.from({ length: Math.min(this.maxConcurrency, items.length) }, async () => {
+      while (nextIndex < items.length) {
+        const index = nextIndex++;
+        await worker(items[index], index);
+      }
+    });
+    await Promise.all(runners);
+  }
+}
+
+export default RequestScheduler;
@@ -0,0 +1,185 @@
+import fs from 'fs';
+import path from 'path';
+import logger from './logger.js';
+
+// Check if logging is disabled
+const isLoggingEnabled = process.env.LOGGING !== 'false';
+
+/**
+ * Run journal for resumable syncs
+ * Appends one JSON line per completed SKU step so an interrupted run can
+ * continue from its last checkpoint instead of starting from scratch
+ */
+class RunJournal {
+  /**
+   * @param {string} runId - Run identifier (a new one is generated if omitted)
+   * @param {string} dir - Directory holding the journal files
+   */
+  constructor(runId = RunJournal.createRunId(), dir = 'tmp_data/journal') {
+    this.runId = runId;
+    this.dir = dir;
+    this.filePath = path.join(dir, `${runId}.jsonl`);
+    this.steps = new Map(); // `${sku}|${step}` -> { status, data }
+    this.finished = false;
+  }
+
+  /**
+   * Create a sortable run ID from the current date and time
+   * @param {string|null} store - Store name appended to the ID, so runs of several stores never share an ID
+   * @returns {string} Run ID
+   */
+  static createRunId(store = null) {
+    return `run-${new Date().toISOString().replace(/[:.]/g, '-')}${store ? `-${store}` : ''}`;
+  }
+
+  /**
+   * Load the journal of the most recent run
+   * Only this run can be resumed; an older unfinished run was superseded by it
+   * @param {string} dir - Directory holding the journal files
+   * @returns {RunJournal|null} Journal of the latest run or null
+   */
+  static latest(dir = 'tmp_data/journal') {
+    if (!fs.existsSync(dir)) {
+      return null;
+    }
+
+    const file = fs.readdirSync(dir)
+      .filter(file => file.startsWith('run-') && file.endsWith('.jsonl'))
+      .sort()
+      .pop();
+
+    return file ? new RunJournal(path.basename(file, '.jsonl'), dir).load() : null;
+  }
+
+  /**
+   * Count the SKU steps by their last status
+   * @returns {Object} status -> count
+   */
+  getStatusCounts() {
+    const counts = {};
+    this.steps.forEach(({ status }) => {
+      counts[status] = (counts[status] || 0) + 1;
+    });
+    return counts;
+  }
+
+  /**
+   * Load the journal entries from disk
+   * @returns {RunJournal} This journal
+   */
+  load() {
+    if (!fs.existsSync(this.filePath)) {
+      return this;
+    }
+
+    const lines = fs.readFileSync(this.filePath, 'utf8').split('\n').filter(Boolean);
+    for (const line of lines) {
+      try {
+        const entry = JSON.parse(line);
+        if (entry.type === 'run') {
+          this.finished = entry.status === 'finished';
+        } else {
+          this.applyEntry(entry);
+        }
+      } catch (error) {
+        // A crash can leave a truncated last line; everything before it is still valid
+        if (isLoggingEnabled) {
+          logger.warn('JOURNAL', 'Skipping unreadable journal line', {
+            runId: this.runId,
+            error: error.message
+          });
+        }
+      }
+    }
+
+    return this;
+  }
+
+  /**
+   * Apply a step entry to the in-memory state
+   * @param {Object} entry - Journal entry
+   */
+  applyEntry(entry) {
+    const key = `${entry.sku}|${entry.step}`;
+    const previous = this.steps.get(key);
+    this.steps.set(key, {
+      status: entry.status,
+      data: { ...previous?.data, ...entry.data }
+    });
+  }
+
+  /**
+   * Append an entry to the journal file
+   * @param {Object} entry - Journal entry
+   */
+  append(entry) {
+    try {
+      if (!fs.existsSync(this.dir)) {
+        fs.mkdirSync(this.dir, { recursive: true });
+      }
+      fs.appendFileSync(this.filePath, JSON.stringify({ time: new Date().toISOString(), ...entry }) + '\n');
+    } catch (error) {
+      console.error('Failed to write to run journal:', error.message);
+    }
+  }
+
+  /**
+   * Mark the run as started
+   * @param {Object} data - Additional run data
+   */
+  start(data = {}) {
+    this.append({ type: 'run', status: 'started', ...data });
+
+    if (isLoggingEnabled) {
+      logger.info('JOURNAL', 'Run journal started', {
+        runId: this.runId,
+        filePath: this.filePath,
+        resumedSteps: this.steps.size
+      });
+    }
+  }
+
+  /**
+   * Record the progress of a SKU step
+   * @param {string} sku - Product SKU
+   * @param {string} step - Pipeline step (create, update)
+   * @param {string} status - Step status (started, product_created, variant_failed, completed)
+   * @param {Object} data - Additional data such as the created product ID
+   */
+  record(sku, step, status, data = {}) {
+    const entry = { sku, step, status, data };
+    this.applyEntry(entry);
+    this.append(entry);
+  }
+
+  /**
+   * Get the last recorded status of a SKU step
+   * @param {string} sku - Product SKU
+   * @param {string} step - Pipeline step
+   * @returns {Object|null} { status, data } or null
+   */
+  getStep(sku, step) {
+    return this.steps.get(`${sku}|${step}`) || null;
+  }
+
+  /**
+   * Check whether a SKU step was completed
+   * @param {string} sku - Product SKU
+   * @param {string} step - Pipeline step
+   * @returns {boolean} True if completed
+   */
+  isCompleted(sku, step) {
+    return this.getStep(sku, step)?.status === 'completed';
+  }
+
+  /**
+   * Mark the run as finished
+   * @param {Object} summary - Run summary
+   */
+  finish(summary = {}) {
+    this.finished = true;
+    this.append({ type: 'run', status: 'finished', ...summary });
+  }
+}
+
+export default RunJournal;
@@ -0,0 +1,130 @@
+import fs from 'fs';
+import path from 'path';
+import { randomUUID } from 'crypto';
+import logger from './logger.js';
+
+// Check if logging is disabled
+const isLoggingEnabled = process.env.LOGGING !== 'false';
+
+// Identifies this process in the lock file; a restarted container often gets the same PID
+const processToken = randomUUID();
+
+/**
+ * Run lock
+ * A lock file holding the process ID of the running sync, so two runs
+ * (scheduled or started by hand) never work on the store at the same time
+ */
+class RunLock {
+  /**
+   * @param {string} filePath - Lock file location
+   */
+  constructor(filePath = 'tmp_data/sync.lock') {
+    this.filePath = filePath;
+    this.acquired = false;
+  }
+
+  /**
+   * Read the current lock holder
+   * @returns {Object|null} { pid, token, startedAt } or null when unlocked
+   */
+  read() {
+    try {
+      return JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Check whether a process is still running
+   * @param {number} pid - Process ID
+   * @returns {boolean} True if the process exists
+   */
+  static isProcessAlive(pid) {
+    try {
+      process.kill(pid, 0);
+      return true;
+    } catch (error) {
+      // EPERM means the process exists but belongs to another user
+      return error.code === 'EPERM';
+    }
+  }
+
+  /**
+   * Check whether a lock holder is still running
+   * A lock with our own PID but another token was left by an earlier process with the same PID
+   * @param {Object|null} holder - Lock holder from read()
+   * @returns {boolean} True if the holder's run is still going
+   */
+  static isHolderAlive(holder) {
+    if (!holder) {
+      return false;
+    }
+    if (holder.pid === process.pid) {
+      return holder.token === processToken;
+    }
+    return RunLock.isProcessAlive(holder.pid);
+  }
+
+  /**
+   * Take the lock
+   * A lock left behind by a crashed process is taken over
+   * @returns {boolean} True if the lock was taken, false if another run holds it
+   */
+  acquire() {
+    const dir = path.dirname(this.filePath);
+    if (!fs.existsSync(dir)) {
+      fs.mkdirSync(dir, { recursive: true });
+    }
+
+    const content = JSON.stringify({ pid: process.pid, token: processToken, startedAt: new Date().toISOString() });
+
+    try {
+      // 'wx' fails if the file exists, so only one process can create it
+      fs.writeFileSync(this.filePath, content, { flag: 'wx' });
+      this.acquired = true;
+      return true;
+    } catch (error) {
+      if (error.code !== 'EEXIST') {
+        throw error;
+      }
+    }
+
+    const holder = this.read();
+    if (RunLock.isHolderAlive(holder)) {
+      return false;
+    }
+
+    if (isLoggingEnabled) {
+      logger.warn('LOCK', 'Taking over stale lock', {
+        filePath: this.filePath,
+        stalePid: holder?.pid,
+        staleSince: holder?.startedAt
+      });
+    }
+
+    fs.writeFileSync(this.filePath, content);
+    this.acquired = true;
+    return true;
+  }
+
+  /**
+   * Release the lock if this process holds it
+   */
+  release() {
+    if (!this.acquired) {
+      return;
+    }
+
+    try {
+      if (this.read()?.token === processToken) {
+        fs.unlinkSync(this.filePath);
+      }
+    } catch (error) {
+      console.error('Failed to release run lock:', error.message);
+    }
+    this.acquired = false;
+  }
+}
+
+export default RunLock;
@@ -0,0 +1,323 @@
+import fs from 'fs';
+import path from 'path';
+
+// Actions counted in the report summary, in display order
+const actionNames = ['created', 'completed', 'adopted', 'updated', 'activated', 'drafted', 'translated'];
+
+/**
+ * Run report
+ * Collects per-SKU outcomes, error reasons and phase timings of a sync run
+ * and writes them as JSON plus a standalone HTML summary next to the log file
+ */
+class RunReport {
+  /**
+   * @param {Object} options - Run details
+   * @param {string} options.runId - Run ID (replaced by the journal's run ID when the run has one)
+   * @param {string} options.command - Command that started the run
+   * @param {boolean} options.dryRun - Whether the run only planned changes
+   * @param {string} options.store - Store the run worked on
+   */
+  constructor(options = {}) {
+    this.runId = options.runId || `run-${new Date().toISOString().replace(/[:.]/g, '-')}`;
+    this.command = options.command || 'sync';
+    this.store = options.store || null;
+    this.dryRun = !!options.dryRun;
+    this.startedAt = new Date().toISOString();
+    this.finishedAt = null;
+    this.status = 'running';
+    this.error = null;
+    this.phases = [];
+    this.currentPhase = null;
+    this.skus = new Map(); // sku -> { sku, actions, skipped, errors }
+  }
+
+  /**
+   * Start timing a phase, ending the phase that is still running
+   * @param {string} name - Phase name
+   */
+  startPhase(name) {
+    this.endPhase();
+    this.currentPhase = { name, startedAt: Date.now() };
+  }
+
+  /**
+   * Stop timing the running phase
+   */
+  endPhase() {
+    if (!this.currentPhase) {
+      return;
+    }
+
+    this.phases.push({
+      name: this.currentPhase.name,
+      startedAt: new Date(this.currentPhase.startedAt).toISOString(),
+      durationMs: Date.now() - this.currentPhase.startedAt
+    });
+    this.currentPhase = null;
+  }
+
+  /**
+   * Get the entry of a SKU, creating it on first use
+   * @param {string} sku - Product SKU
+   * @returns {Object} SKU entry
+   */
+  getEntry(sku) {
+    if (!this.skus.has(sku)) {
+      this.skus.set(sku, { sku, actions: [], skipped: null, errors: [] });
+    }
+    return this.skus.get(sku);
+  }
+
+  /**
+   * Record an action done for a SKU
+   * @param {string} sku - Product SKU
+   * @param {string} action - created, completed, adopted, updated, activated or drafted
+   * @param {Object} details - Extra details such as the updated fields
+   */
+  addAction(sku, action, details = {}) {
+    this.getEntry(sku).actions.push({ action, ...details });
+  }
+
+  /**
+   * Record that a SKU was skipped
+   * @param {string} sku - Product SKU
+   * @param {string} reason - unchanged, unmanaged, duplicate or resumed
+   */
+  addSkip(sku, reason) {
+    this.getEntry(sku).skipped = reason;
+  }
+
+  /**
+   * Record a failed step for a SKU
+   * @param {string} sku - Product SKU
+   * @param {string} step - Step that failed (create, price, quantity, ...)
+   * @param {string} error - Error reason
+   */
+  addError(sku, step, error) {
+    this.getEntry(sku).errors.push({ step, error });
+  }
+
+  /**
+   * Mark the run as done
+   * @param {string} status - finished or failed
+   * @param {Error|null} error - Error that stopped the run
+   */
+  finish(status = 'finished', error = null) {
+    this.endPhase();
+    this.status = status;
+    this.error = error ? error.message : null;
+    this.finishedAt = new Date().toISOString();
+  }
+
+  /**
+   * Count the SKUs per outcome
+   * A SKU counts once per action; skipped only counts SKUs without any action
+   * @returns {Object} Counts per outcome
+   */
+  getCounts() {
+    const counts = Object.fromEntries(actionNames.map(name => [name, 0]));
+    counts.skipped = 0;
+    counts.failed = 0;
+
+    this.skus.forEach(entry => {
+      new Set(entry.actions.map(a => a.action)).forEach(action => {
+        counts[action] = (counts[action] || 0) + 1;
+      });
+      if (entry.skipped && entry.actions.length === 0) {
+        counts.skipped++;
+      }
+      if (entry.errors.length > 0) {
+        counts.failed++;
+      }
+    });
+
+    return counts;
+  }
+
+  /**
+   * Get the report as plain data
+   * @returns {Object} Report
+   */
+  toJSON() {
+    return {
+      runId: this.runId,
+      command: this.command,
+      store: this.store,
+      dryRun: this.dryRun,
+      status: this.status,
+      error: this.error,
+      startedAt: this.startedAt,
+      finishedAt: this.finishedAt,
+      durationMs: this.finishedAt ? new Date(this.finishedAt) - new Date(this.startedAt) : null,
+      counts: this.getCounts(),
+      phases: this.phases,
+      skus: [...this.skus.values()]
+    };
+  }
+
+  /**
+   * Get the live state of a running report
+   * @returns {Object} { runId, command, store, dryRun, startedAt, phase, phaseStartedAt, processedSkus, counts }
+   */
+  toStatus() {
+    return {
+      runId: this.runId,
+      command: this.command,
+      store: this.store,
+      dryRun: this.dryRun,
+      startedAt: this.startedAt,
+      phase: this.currentPhase?.name || null,
+      phaseStartedAt: this.currentPhase ? new Date(this.currentPhase.startedAt).toISOString() : null,
+      processedSkus: this.skus.size,
+      counts: this.getCounts()
+    };
+  }
+
+  /**
+   * Load a saved report by run ID
+   * @param {string} runId - Run ID
+   * @param {string} dir - Directory holding the reports (the log directory)
+   * @returns {Object|null} Saved report or null if not found
+   */
+  static load(runId, dir = 'logs') {
+    if (!fs.existsSync(dir)) {
+      return null;
+    }
+
+    // Newest first, since a resumed run writes a second report with the same run ID
+    const files = fs.readdirSync(dir)
+      .filter(file => file.endsWith('.report.json'))
+      .sort()
+      .reverse();
+
+    for (const file of files) {
+      try {
+        const report = JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8'));
+        if (report.runId === runId) {
+          return report;
+        }
+      } catch (error) {
+        // Skip reports that are being written or were cut off
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Escape text for HTML output
+   * @param {*} value - Value to escape
+   * @returns {string} Escaped text
+   */
+  static escapeHtml(value) {
+    return String(value ?? '')
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
+
+  /**
+   * Render the report as a standalone HTML page
+   * @returns {string} HTML document
+   */
+  toHTML() {
+    const data = this.toJSON();
+    const esc = RunReport.escapeHtml;
+    const seconds = ms => (ms / 1000).toFixed(1);
+
+    const countCells = Object.entries(data.counts)
+      .map(([name, count]) => `<div class="count"><strong>${count}</strong>${esc(name)}</div>`)
+      .join('');
+
+    const phaseRows = data.phases
+      .map(phase => `<tr><td>${esc(phase.name)}</td><td>${seconds(phase.durationMs)} s</td></tr>`)
+      .join('');
+
+    // Failed SKUs first, then SKUs that changed, then skipped ones
+    const rank = entry => entry.errors.length > 0 ? 0 : entry.actions.length > 0 ? 1 : 2;
+    const skuRows = [...data.skus]
+      .sort((a, b) => rank(a) - rank(b) || a.sku.localeCompare(b.sku))
+      .map(entry => {
+        const actions = entry.actions
+          .map(a => a.fields ? `${a.action} (${a.fields.join(', ')})` : a.action)
+          .join(', ');
+        const errors = entry.errors.map(e => esc(`${e.step}: ${e.error}`)).join('<br>');
+        return `<tr class="${entry.errors.length > 0 ? 'failed' : ''}">` +
+          `<td>${esc(entry.sku)}</td><td>${esc(actions)}</td><td>${esc(entry.skipped || '')}</td>` +
+          `<td>${errors}</td></tr>`;
+      })
+      .join('\n');
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>Sync report ${esc(data.runId || data.startedAt)}</title>
+<style>
+  body { font-family: -apple-system, Segoe UI, Helvetica, Arial, sans-serif; margin: 2rem; color: #222; }
+  h1 { font-size: 1.4rem; }
+  .meta { color: #666; }
+  .status-finished { color: #1a7f37; }
+  .status-failed, .status-running { color: #cf222e; }
+  .counts { display: flex; flex-wrap: wrap; gap: 1rem; margin: 1.5rem 0; }
+  .count { border: 1px solid #ddd; border-radius: 6px; padding: .75rem 1rem; min-width: 6rem; text-align: center; }
+  .count strong { display: block; font-size: 1.6rem; }
+  table { border-collapse: collapse; margin-bottom: 2rem; }
+  th, td { border-bottom: 1px solid #eee; padding: .35rem .75rem; text-align: left; vertical-align: top; }
+  tr.failed td { background: #fff0f0; }
+</style>
+</head>
+<body>
+<h1>Sync report${data.dryRun ? ' (dry run)' : ''}</h1>
+<p class="meta">
+  Run ${esc(data.runId || '-')} &middot; command ${esc(data.command)} &middot;
+  ${data.store ? `store ${esc(data.store)} &middot;` : ''}
+  status <span class="status-${esc(data.status)}">${esc(data.status)}</span><br>
+  Started ${esc(data.startedAt)} &middot; finished ${esc(data.finishedAt || '-')}
+  ${data.durationMs !== null ? `&middot; ${seconds(data.durationMs)} s` : ''}
+</p>
+${data.error ? `<p class="status-failed">Error: ${esc(data.error)}</p>` : ''}
+<div class="counts">${countCells}</div>
+<h2>Phases</h2>
+<table>
+<tr><th>Phase</th><th>Duration</th></tr>
+${phaseRows}
+</table>
+<h2>Products (${data.skus.length})</h2>
+<table>
+<tr><th>SKU</th><th>Actions</th><th>Skipped</th><th>Errors</th></tr>
+${skuRows}
+</table>
+</body>
+</html>
+`;
+  }
+
+  /**
+   * Write the JSON and HTML report next to the log file
+   * The run ID is part of the file name, since scheduled runs share one log file
+   * @param {string} logFile - Log file of the run
+   * @returns {Object} { jsonFile, htmlFile }
+   */
+  save(logFile) {
+    const dir = path.dirname(logFile);
+    const baseName = `${path.basename(logFile, path.extname(logFile))}.${this.runId}`;
+    const jsonFile = path.join(dir, `${baseName}.report.json`);
+    const htmlFile = path.join(dir, `${baseName}.report.html`);
+
+    try {
+      if (!fs.existsSync(dir)) {
+        fs.mkdirSync(dir, { recursive: true });
+      }
+      fs.writeFileSync(jsonFile, JSON.stringify(this.toJSON(), null, 2));
+      fs.writeFileSync(htmlFile, this.toHTML());
+    } catch (error) {
+      console.error('Failed to write run report:', error.message);
+    }
+
+    return { jsonFile, htmlFile };
+  }
+}
+
+export default RunReport;
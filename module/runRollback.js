@@ -0,0 +1,350 @@
+import logger from './logger.js';
+
+// Check if logging is disabled
+const isLoggingEnabled = process.env.LOGGING !== 'false';
+
+/**
+ * Rollback of a sync run
+ * Restores the prices, costs, market prices, quantities, statuses and tags recorded in a run's
+ * change log and optionally archives the products the run created
+ */
+class RunRollback {
+  /**
+   * @param {ShopifyClient} shopifyClient - Client used to send the restoring mutations
+   * @param {ChangeLog} changeLog - Change log of the run to roll back
+   * @param {Object} options - Rollback options
+   * @param {boolean} options.archiveCreated - Archive the products created in the run
+   * @param {boolean} options.dryRun - Only list what would be restored
+   */
+  constructor(shopifyClient, changeLog, options = {}) {
+    this.shopifyClient = shopifyClient;
+    this.changeLog = changeLog;
+    this.archiveCreated = !!options.archiveCreated;
+    this.dryRun = !!options.dryRun;
+  }
+
+  /**
+   * Reduce the change log to one restore action per field
+   * A field changed several times in the run is restored to the value it had before the first change
+   * @param {Array} entries - Change log entries in the order they were made
+   * @returns {Array} Restore actions
+   */
+  static collapse(entries) {
+    const actions = new Map();
+
+    for (const entry of entries) {
+      let key;
+      if (entry.type === 'price') {
+        key = `price|${entry.variantId}`;
+        // A compare-at price first sent by a later change is restored to its value before that change
+        const existing = actions.get(key);
+        if (existing && !('compareAtPrice' in existing.before) && 'compareAtPrice' in entry.before) {
+          actions.set(key, { ...existing, before: { ...existing.before, compareAtPrice: entry.before.compareAtPrice } });
+        }
+      } else if (entry.type === 'market_price') {
+        key = `market_price|${entry.priceListId}|${entry.variantId}`;
+      } else if (entry.type === 'quantity') {
+        key = `quantity|${entry.inventoryItemId}|${entry.locationId}`;
+      } else if (entry.type === 'status') {
+        key = `status|${entry.productId}`;
+      } else if (entry.type === 'create') {
+        key = `create|${entry.productId}`;
+      } else if (entry.type === 'tags') {
+        const existing = actions.get(`tags|${entry.productId}`);
+        const added = [...new Set([...(existing?.added || []), ...entry.added])];
+        actions.set(`tags|${entry.productId}`, { ...entry, added });
+        continue;
+      } else {
+        continue;
+      }
+
+      if (!actions.has(key)) {
+        actions.set(key, entry);
+      }
+    }
+
+    return [...actions.values()];
+  }
+
+  /**
+   * Roll back the run
+   * @returns {Promise<Object>} { restored, archived, failed, skipped, errors }
+   */
+  async run() {
+    const entries = this.changeLog.load();
+    if (entries.length === 0) {
+      throw new Error(`No changes recorded for run ${this.changeLog.runId}`);
+    }
+
+    const actions = RunRollback.collapse(entries);
+    const createdProductIds = new Set(actions.filter(a => a.type === 'create').map(a => a.productId));
+    const results = { restored: 0, archived: 0, failed: 0, skipped: 0, errors: [] };
+
+    if (isLoggingEnabled) {
+      logger.info('ROLLBACK', 'Starting rollback', {
+        runId: this.changeLog.runId,
+        changeCount: entries.length,
+        actionCount: actions.length,
+        archiveCreated: this.archiveCreated,
+        dryRun: this.dryRun
+      });
+    }
+
+    await this.shopifyClient.runConcurrently(actions, async (action) => {
+      // Products created in the run are archived as a whole or left as they are
+      if (action.type !== 'create' && createdProductIds.has(action.productId)) {
+        results.skipped++;
+        return;
+      }
+      if (action.type === 'create' && !this.archiveCreated) {
+        results.skipped++;
+        return;
+      }
+
+      if (this.dryRun) {
+        console.log(`↩️  Would restore ${RunRollback.describe(action)}`);
+        results.restored++;
+        return;
+      }
+
+      try {
+        await this.restore(action);
+        if (action.type === 'create') {
+          results.archived++;
+        } else {
+          results.restored++;
+        }
+      } catch (error) {
+        results.failed++;
+        results.errors.push({ type: action.type, sku: action.sku, productId: action.productId, error: error.message });
+        console.log(`❌ Failed to restore ${RunRollback.describe(action)}: ${error.message}`);
+      }
+    });
+
+    if (isLoggingEnabled) {
+      logger.info('ROLLBACK', 'Rollback completed', {
+        runId: this.changeLog.runId,
+        restored: results.restored,
+        archived: results.archived,
+        skipped: results.skipped,
+        failed: results.failed,
+        errors: results.errors.length > 0 ? results.errors : undefined
+      });
+    }
+
+    return results;
+  }
+
+  /**
+   * Describe a restore action for console output
+   * @param {Object} action - Restore action
+   * @returns {string} Description
+   */
+  static describe(action) {
+    const target = action.sku || action.productId;
+    switch (action.type) {
+      case 'price':
+        return `price of ${target}: ${action.after.price} -> ${action.before.price}` +
+          ('compareAtPrice' in action.before ? `, compare-at price -> ${action.before.compareAtPrice ?? 'none'}` : '');
+      case 'market_price':
+        return `${action.market} price of ${target}: ${action.after} -> ${action.before ?? 'no fixed price'}`;
+      case 'quantity':
+        return `quantity of ${target}: ${action.after} -> ${action.before}`;
+      case 'status':
+        return `status of ${target}: ${action.after} -> ${action.before}`;
+      case 'tags':
+        return `tags of ${target}: remove ${action.added.join(', ')}`;
+      case 'create':
+        return `created product ${target}: archive`;
+      default:
+        return `${action.type} of ${target}`;
+    }
+  }
+
+  /**
+   * Send the mutation restoring one action
+   * @param {Object} action - Restore action
+   */
+  async restore(action) {
+    switch (action.type) {
+      case 'price':
+        return this.restorePrice(action);
+      case 'market_price':
+        return this.restoreMarketPrice(action);
+      case 'quantity':
+        return this.restoreQuantity(action);
+      case 'status':
+        return this.setStatus(action.productId, action.before);
+      case 'tags':
+        return this.removeTags(action.productId, action.added);
+      case 'create':
+        return this.setStatus(action.productId, 'ARCHIVED');
+      default:
+        throw new Error(`Unknown change type: ${action.type}`);
+    }
+  }
+
+  /**
+   * Throw if a mutation payload has user errors
+   * @param {Object} payload - Mutation payload
+   */
+  static assertNoUserErrors(payload) {
+    if (payload.userErrors.length > 0) {
+      throw new Error(payload.userErrors.map(e => e.message).join(', '));
+    }
+  }
+
+  /**
+   * Restore a variant price, cost and compare-at price
+   * @param {Object} action - Price change
+   */
+  async restorePrice(action) {
+    const mutation = `
+      mutation productVariantsBulkUpdate($productId: ID!, $variants: [ProductVariantsBulkInput!]!) {
+        productVariantsBulkUpdate(productId: $productId, variants: $variants) {
+          userErrors {
+            field
+            message
+          }
+        }
+      }
+    `;
+
+    const variant = { id: action.variantId, price: action.before.price };
+    if (action.before.cost !== null && action.before.cost !== undefined) {
+      variant.inventoryItem = { cost: action.before.cost };
+    }
+    // Only changes that sent a compare-at price record it
+    if ('compareAtPrice' in action.before) {
+      variant.compareAtPrice = action.before.compareAtPrice;
+    }
+
+    const response = await this.shopifyClient.runGraphQL(mutation, {
+      productId: action.productId,
+      variants: [variant]
+    });
+    RunRollback.assertNoUserErrors(response.data.productVariantsBulkUpdate);
+  }
+
+  /**
+   * Restore a fixed price on a market's price list
+   * A variant that had no fixed price before the run gets its fixed price removed again
+   * @param {Object} action - Market price change
+   */
+  async restoreMarketPrice(action) {
+    if (action.before === null || action.before === undefined) {
+      const mutation = `
+        mutation priceListFixedPricesDelete($priceListId: ID!, $variantIds: [ID!]!) {
+          priceListFixedPricesDelete(priceListId: $priceListId, variantIds: $variantIds) {
+            userErrors {
+              field
+              message
+            }
+          }
+        }
+      `;
+
+      const response = await this.shopifyClient.runGraphQL(mutation, {
+        priceListId: action.priceListId,
+        variantIds: [action.variantId]
+      });
+      RunRollback.assertNoUserErrors(response.data.priceListFixedPricesDelete);
+      return;
+    }
+
+    const mutation = `
+      mutation priceListFixedPricesAdd($priceListId: ID!, $prices: [PriceListPriceInput!]!) {
+        priceListFixedPricesAdd(priceListId: $priceListId, prices: $prices) {
+          userErrors {
+            field
+            message
+          }
+        }
+      }
+    `;
+
+    const response = await this.shopifyClient.runGraphQL(mutation, {
+      priceListId: action.priceListId,
+      prices: [{
+        variantId: action.variantId,
+        price: { amount: action.before, currencyCode: action.currencyCode }
+      }]
+    });
+    RunRollback.assertNoUserErrors(response.data.priceListFixedPricesAdd);
+  }
+
+  /**
+   * Restore an available quantity
+   * @param {Object} action - Quantity change
+   */
+  async restoreQuantity(action) {
+    const mutation = `
+      mutation inventorySetQuantities($input: InventorySetQuantitiesInput!) {
+        inventorySetQuantities(input: $input) {
+          userErrors {
+            field
+            message
+          }
+        }
+      }
+    `;
+
+    const response = await this.shopifyClient.runGraphQL(mutation, {
+      input: {
+        name: 'available',
+        reason: 'correction',
+        ignoreCompareQuantity: true,
+        quantities: [{
+          inventoryItemId: action.inventoryItemId,
+          locationId: action.locationId,
+          quantity: action.before
+        }]
+      }
+    });
+    RunRollback.assertNoUserErrors(response.data.inventorySetQuantities);
+  }
+
+  /**
+   * Set a product status
+   * @param {string} productId - Shopify product ID
+   * @param {string} status - ACTIVE, DRAFT or ARCHIVED
+   */
+  async setStatus(productId, status) {
+    const mutation = `
+      mutation productUpdate($input: ProductInput!) {
+        productUpdate(input: $input) {
+          userErrors {
+            field
+            message
+          }
+        }
+      }
+    `;
+
+    const response = await this.shopifyClient.runGraphQL(mutation, { input: { id: productId, status } });
+    RunRollback.assertNoUserErrors(response.data.productUpdate);
+  }
+
+  /**
+   * Remove tags added in the run
+   * @param {string} productId - Shopify product ID
+   * @param {Array<string>} tags - Tags to remove
+   */
+  async removeTags(productId, tags) {
+    const mutation = `
+      mutation tagsRemove($id: ID!, $tags: [String!]!) {
+        tagsRemove(id: $id, tags: $tags) {
+          userErrors {
+            field
+            message
+          }
+        }
+      }
+    `;
+
+    const response = await this.shopifyClient.runGraphQL(mutation, { id: productId, tags });
+    RunRollback.assertNoUserErrors(response.data.tagsRemove);
+  }
+}
+
+export default RunRollback;
@@ -0,0 +1,216 @@
+import fs from 'fs';
+import { Cron } from 'croner';
+import logger from './logger.js';
+
+// Check if logging is disabled
+const isLoggingEnabled = process.env.LOGGING !== 'false';
+
+/**
+ * Cron scheduler for scheduled mode
+ * Starts each job (full sync, stock refresh, price refresh) at the times of its own
+ * cron expression from config/schedule.json or .env and keeps running when a run fails.
+ * A store with its own schedule in config/stores.json runs those jobs on its own
+ */
+class Scheduler {
+  /**
+   * @param {Function} task - Async function running one job, called with the job name and
+   *   the store names (null for all stores)
+   * @param {Array<Object>} stores - Stores from the store registry, with their own schedules
+   */
+  constructor(task, stores = []) {
+    const config = this.loadConfig();
+    this.task = task;
+    this.jobs = Scheduler.getJobs(Scheduler.getJobCrons(config), stores);
+    this.timezone = process.env.SCHEDULE_TIMEZONE || config.timezone || undefined;
+    this.runOnStart = process.env.SCHEDULE_RUN_ON_START !== undefined
+      ? process.env.SCHEDULE_RUN_ON_START === 'true'
+      : config.run_on_start !== false;
+    this.crons = new Map(); // job ID -> Cron
+  }
+
+  /**
+   * Load schedule settings from config/schedule.json
+   * @returns {Object} Schedule configuration
+   */
+  loadConfig() {
+    try {
+      const configData = fs.readFileSync('config/schedule.json', 'utf8');
+      return JSON.parse(configData);
+    } catch (error) {
+      console.error('Error loading schedule config:', error.message);
+      return {};
+    }
+  }
+
+  /**
+   * Get the cron expression of every job
+   * SCHEDULE_CRON, SCHEDULE_STOCK_CRON and SCHEDULE_PRICES_CRON override the config;
+   * an empty expression turns a job off
+   * @param {Object} config - Schedule configuration
+   * @returns {Object} job name -> cron expression
+   */
+  static getJobCrons(config) {
+    // A single "cron" key is the older form and schedules the full sync only
+    const jobs = { ...(config.jobs || { sync: config.cron || '0 */12 * * *' }) };
+
+    const overrides = {
+      sync: process.env.SCHEDULE_CRON,
+      stock: process.env.SCHEDULE_STOCK_CRON,
+      prices: process.env.SCHEDULE_PRICES_CRON
+    };
+    Object.entries(overrides).forEach(([job, cron]) => {
+      if (cron !== undefined) {
+        jobs[job] = cron;
+      }
+    });
+
+    return Object.fromEntries(Object.entries(jobs).filter(([, cron]) => cron));
+  }
+
+  /**
+   * Split the jobs over the stores
+   * A store that sets a job in its own schedule runs it at its own time (an empty
+   * expression turns the job off for that store); the other stores share the global job
+   * @param {Object} crons - job name -> cron expression, from getJobCrons
+   * @param {Array<Object>} stores - Stores with a schedule object
+   * @returns {Array<Object>} [{ id, job, cron, stores }], stores null meaning every store
+   */
+  static getJobs(crons, stores = []) {
+    const ownsJob = (store, job) => Object.prototype.hasOwnProperty.call(store.schedule || {}, job);
+    const jobs = [];
+
+    Object.entries(crons).forEach(([job, cron]) => {
+      const sharedStores = stores.filter(store => !ownsJob(store, job));
+      if (stores.length === 0 || sharedStores.length === stores.length) {
+        jobs.push({ id: job, job, cron, stores: null });
+      } else if (sharedStores.length > 0) {
+        jobs.push({ id: job, job, cron, stores: sharedStores.map(store => store.name) });
+      }
+    });
+
+    stores.forEach(store => {
+      Object.entries(store.schedule || {}).forEach(([job, cron]) => {
+        if (cron) {
+          jobs.push({ id: `${job}@${store.name}`, job, cron, stores: [store.name] });
+        }
+      });
+    });
+
+    return jobs;
+  }
+
+  /**
+   * Get the next planned runs of all jobs
+   * @param {number} count - Number of runs per job
+   * @returns {Array<Object>} [{ job, time }] sorted by time, job being the job ID (e.g. stock@se)
+   */
+  getNextRuns(count = 3) {
+    const now = new Date();
+    return [...this.crons.entries()]
+      .flatMap(([id, cron]) => cron.nextRuns(count, now).map(time => ({ job: id, time })))
+      .sort((a, b) => a.time - b.time)
+      .slice(0, count);
+  }
+
+  /**
+   * Print and log the next planned runs
+   */
+  logNextRuns() {
+    const nextRuns = this.getNextRuns().map(run => ({ job: run.job, time: run.time.toISOString() }));
+    console.log(`⏰ Next scheduled runs: ${nextRuns.map(run => `${run.job} ${run.time}`).join(', ')}`);
+
+    if (isLoggingEnabled) {
+      logger.info('SCHEDULER', 'Next scheduled runs', {
+        timezone: this.timezone || 'local',
+        nextRuns
+      });
+    }
+  }
+
+  /**
+   * Run a job once, containing any failure so the schedule keeps going
+   * @param {Object} entry - Job from getJobs: { id, job, stores }
+   */
+  async runTask(entry) {
+    const job = entry.id;
+    const startTime = new Date();
+    console.log(`\n🕐 Starting scheduled ${job} at ${startTime.toISOString()}`);
+    console.log('═'.repeat(80));
+
+    try {
+      await this.task(entry.job, entry.stores);
+      const endTime = new Date();
+      const duration = Math.round((endTime - startTime) / 1000);
+      console.log(`\n✅ Process completed successfully at ${endTime.toISOString()}`);
+      console.log(`⏱️  Duration: ${duration} seconds`);
+    } catch (error) {
+      const endTime = new Date();
+
+      // Another job holding the run lock is expected, e.g. the hourly stock refresh during the daily sync
+      if (error.code === 'RUN_LOCKED') {
+        console.log(`⏭️  Skipped ${job} at ${endTime.toISOString()}: ${error.message}`);
+        if (isLoggingEnabled) {
+          logger.warn('SCHEDULER', 'Scheduled run skipped', { job, error: error.message });
+        }
+      } else {
+        console.error(`\n❌ Process failed at ${endTime.toISOString()}:`, error.message);
+        if (isLoggingEnabled) {
+          logger.error('SCHEDULER', 'Scheduled run failed', { job, error: error.message });
+        }
+      }
+    }
+
+    this.logNextRuns();
+    console.log('═'.repeat(80));
+  }
+
+  /**
+   * Start the schedule of every job
+   * A job due while its previous run is still busy is skipped
+   */
+  start() {
+    this.jobs.forEach(entry => {
+      const job = entry.id;
+      this.crons.set(job, new Cron(entry.cron, {
+        name: job,
+        timezone: this.timezone,
+        protect: (busyJob) => {
+          console.log(`⏭️  Skipping ${job} at ${new Date().toISOString()}: the previous ${job} run is still busy`);
+          if (isLoggingEnabled) {
+            logger.warn('SCHEDULER', 'Skipped overlapping run', {
+              job,
+              busySince: busyJob.currentRun()?.toISOString()
+            });
+          }
+        }
+      }, () => this.runTask(entry)));
+    });
+
+    console.log(`🔄 Scheduled mode (${this.timezone || 'local time'}): ` +
+      this.jobs.map(entry => `${entry.id} "${entry.cron}"`).join(', '));
+    if (isLoggingEnabled) {
+      logger.info('SCHEDULER', 'Scheduler started', {
+        jobs: Object.fromEntries(this.jobs.map(entry => [entry.id, entry.cron])),
+        timezone: this.timezone || 'local',
+        runOnStart: this.runOnStart
+      });
+    }
+
+    // The full sync covers the other jobs, so only it runs on start, once for every store
+    const startJob = this.jobs.find(entry => entry.job === 'sync') || this.jobs[0];
+    if (this.runOnStart && startJob) {
+      this.runTask({ id: startJob.job, job: startJob.job, stores: null });
+    } else {
+      this.logNextRuns();
+    }
+  }
+
+  /**
+   * Stop the schedule
+   */
+  stop() {
+    this.crons.forEach(cron => cron.stop());
+  }
+}
+
+export default Scheduler;
@@ -2,12 +2,116 @@ import logger from './logger.js';
 import fetch from 'node-fetch';
 import dotenv from 'dotenv';
 import { chromium } from 'playwright';
+import RequestScheduler from './requestScheduler.js';
+import BulkOperation from './bulkOperation.js';
+import CatalogIndex from './catalogIndex.js';
+import PricingRules from './pricingRules.js';
+import Money from './money.js';
+import TaxSettings from './taxSettings.js';
+import metrics from './metrics.js';
 
 // Load environment variables
 dotenv.config();
 
 const priceStock = parseFloat(process.env.PRICE_STOCK) || 0;
 
+// Document scrapes wait here for each other, so only one browser runs even when products
+// are created concurrently, by one client or by the clients of several stores
+let scrapeQueue = Promise.resolve();
+
+// Ownership marker for products managed by the EET sync
+const managedTag = process.env.MANAGED_TAG || 'eet-managed';
+const managedMetafieldKey = 'managed';
+
+// Product fields read by getProducts and getProductById
+const productFields = `
+  id
+  title
+  status
+  createdAt
+  tags
+  managed: metafield(namespace: "streamsupply", key: "${managedMetafieldKey}") {
+    value
+  }
+  mpn: metafield(namespace: "streamsupply", key: "mpn") {
+    value
+  }
+  variants(first: 10) {
+    nodes {
+      id
+      barcode
+      price
+      compareAtPrice
+      inventoryQuantity
+      inventoryItem {
+        id
+        sku
+        unitCost {
+          amount
+        }
+        inventoryLevels(first: 10) {
+          nodes {
+            location {
+              id
+            }
+          }
+        }
+      }
+    }
+  }
+`;
+
+// Bulk query equivalent of productFields (bulk queries use edges and no pagination arguments)
+const bulkProductQuery = `
+  {
+    products {
+      edges {
+        node {
+          id
+          title
+          status
+          createdAt
+          tags
+          managed: metafield(namespace: "streamsupply", key: "${managedMetafieldKey}") {
+            value
+          }
+          mpn: metafield(namespace: "streamsupply", key: "mpn") {
+            value
+          }
+          variants {
+            edges {
+              node {
+                id
+                barcode
+                price
+                compareAtPrice
+                inventoryQuantity
+                inventoryItem {
+                  id
+                  sku
+                  unitCost {
+                    amount
+                  }
+                  inventoryLevels {
+                    edges {
+                      node {
+                        id
+                        location {
+                          id
+                        }
+                      }
+                    }
+                  }
+                }
+              }
+            }
+          }
+        }
+      }
+    }
+  }
+`;
+
 // Check if logging is disabled
 const isLoggingEnabled = process.env.LOGGING !== 'false';
 
@@ -22,14 +126,40 @@ class ShopifyClient {
     this.apiVersion = config.apiVersion || '2025-10';
     this.apiUrl = `https://${this.shopDomain}/admin/api/${this.apiVersion}/graphql.json`;
     this.cachedChannelId = null; // Cache for online channel ID
+    this.dryRun = !!config.dryRun; // Record mutations in the plan instead of sending them
+    this.plan = config.plan || null;
+    this.journal = config.journal || null; // Checkpoint journal for resumable runs
+    this.changeLog = config.changeLog || null; // Before/after values of every mutation, for rollback
+    this.scheduler = config.scheduler || new RequestScheduler({
+      maxConcurrency: parseInt(process.env.SHOPIFY_CONCURRENCY) || 4,
+      labels: config.storeName ? { store: config.storeName } : {}
+    });
+    this.fetchMode = config.fetchMode || process.env.SHOPIFY_FETCH_MODE || 'paged'; // 'paged' or 'bulk'
+    this.catalog = new CatalogIndex(); // Built by getAllProducts, kept current by the mutations
+    this.priceMarkup = config.priceMarkup ?? priceStock; // Markup on the EET price, per store
+    this.pricing = new PricingRules(config.pricingFile, this.priceMarkup); // Sale prices from the pricing rules
+    this.tax = new TaxSettings({ mode: config.taxMode, country: config.country }); // Gross or net prices, VAT rate
+    this.marketPriceLists = new Map(); // market handle -> { priceListId, currency, fixedPrices }
   }
 
   /**
    * Scrape PDF document URLs from a product page using Playwright
+   * Scrapes run one at a time; the Shopify mutations around them stay concurrent
+   * @param {string} productUrl - URL of the product page to scrape
+   * @returns {Promise<Array>} Array of PDF URLs found on the page
+   */
+  scrapeProductDocuments(productUrl) {
+    const scrape = scrapeQueue.then(() => this.scrapeWithBrowser(productUrl));
+    scrapeQueue = scrape.catch(() => {});
+    return scrape;
+  }
+
+  /**
+   * Scrape PDF document URLs from a product page in a headless browser
    * @param {string} productUrl - URL of the product page to scrape
    * @returns {Promise<Array>} Array of PDF URLs found on the page
    */
-  async scrapeProductDocuments(productUrl) {
+  async scrapeWithBrowser(productUrl) {
     if (!productUrl) {
       console.log('❌ No product URL provided for document scraping');
       return [];
@@ -37,6 +167,7 @@ class ShopifyClient {
 
     console.log('🔍 Starting Playwright document scraping for URL:', productUrl);
 
+    const stopTimer = metrics.startTimer('scraper_duration_seconds');
     let browser;
     try {
       // Launch browser with stealth settings
@@ -198,10 +329,12 @@ class ShopifyClient {
       }
 
       console.log('📊 Final scraping results:', urls);
+      stopTimer({ result: urls.length > 0 ? 'found' : 'empty' });
       return urls;
 
     } catch (error) {
       console.log('❌ Error during Playwright scraping:', error.message);
+      stopTimer({ result: 'failure' });
       return [];
     } finally {
       if (browser) {
@@ -210,6 +343,70 @@ class ShopifyClient {
     }
   }
 
+  /**
+   * Scrape the title, description and category of a product from a localized EET product page
+   * @param {string} productUrl - EET product link (itemId?itemid=<sku>)
+   * @param {string} locale - EET site locale, e.g. "da-dk" or "sv-se"
+   * @returns {Promise<Object|null>} { title, body_html, product_type } or null when nothing was found
+   */
+  async scrapeProductContent(productUrl, locale) {
+    if (!productUrl || !productUrl.includes('itemId?itemid=')) {
+      return null;
+    }
+
+    const sku = productUrl.split('itemId?itemid=')[1];
+    const targetUrl = `https://www.eetgroup.com/${locale}/itemId?itemid=${sku}`;
+    console.log(`🌐 Scraping ${locale} content from:`, targetUrl);
+
+    const stopTimer = metrics.startTimer('scraper_duration_seconds');
+    let browser;
+    try {
+      browser = await chromium.launch({ headless: true });
+      const context = await browser.newContext({
+        viewport: { width: 1366, height: 768 },
+        locale,
+        userAgent: 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/124 Safari/537.36'
+      });
+      const page = await context.newPage();
+
+      await page.goto(targetUrl, { waitUntil: 'networkidle', timeout: 60000 });
+      await this.acceptCookies(page);
+      await page.waitForTimeout(2000);
+
+      const scraped = await page.evaluate(() => {
+        const text = element => element?.textContent?.replace(/\s+/g, ' ').trim() || '';
+        const crumbs = [...document.querySelectorAll('nav[aria-label*="readcrumb"] a, .breadcrumb a, [class*="breadcrumb"] a')]
+          .map(text)
+          .filter(Boolean);
+
+        return {
+          title: text(document.querySelector('h1')),
+          description: document.querySelector('meta[name="description"]')?.getAttribute('content')?.trim() || '',
+          // The product itself is not a link, so the last link is its category
+          category: crumbs.length > 1 ? crumbs[crumbs.length - 1] : ''
+        };
+      });
+
+      const escapeHtml = value => value.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+      const content = Object.fromEntries(Object.entries({
+        title: scraped.title,
+        body_html: scraped.description ? `<p>${escapeHtml(scraped.description)}</p>` : '',
+        product_type: scraped.category
+      }).filter(([, value]) => value));
+
+      stopTimer({ result: Object.keys(content).length > 0 ? 'found' : 'empty' });
+      return Object.keys(content).length > 0 ? content : null;
+    } catch (error) {
+      console.log(`❌ Error scraping ${locale} content:`, error.message);
+      stopTimer({ result: 'failure' });
+      return null;
+    } finally {
+      if (browser) {
+        await browser.close();
+      }
+    }
+  }
+
   /**
    * Helper method to accept cookies on the page
    * @param {Object} page - Playwright page object
@@ -235,6 +432,21 @@ class ShopifyClient {
     }
   }
 
+  /**
+   * Build the product description from the extra EET description columns
+   * @param {Object} eetProduct - EET product data
+   * @returns {string} Body HTML (empty when EET has no extra descriptions)
+   */
+  static formatBodyHtml(eetProduct) {
+    const descriptions = [];
+    if (eetProduct.beskrivelse_2) descriptions.push(eetProduct.beskrivelse_2);
+    if (eetProduct.beskrivelse_3) descriptions.push(eetProduct.beskrivelse_3);
+
+    return descriptions.length > 0
+      ? `<ul>${descriptions.map(desc => `<li>${desc}</li>`).join('')}</ul>`
+      : '';
+  }
+
   /**
    * Map EET product data to Shopify product structure
    * @param {Object} eetProduct - EET product data
@@ -248,13 +460,7 @@ class ShopifyClient {
       });
 
       // Combine descriptions for body HTML
-      const descriptions = [];
-      if (eetProduct.beskrivelse_2) descriptions.push(eetProduct.beskrivelse_2);
-      if (eetProduct.beskrivelse_3) descriptions.push(eetProduct.beskrivelse_3);
-      
-      const bodyHtml = descriptions.length > 0 
-        ? `<ul>${descriptions.map(desc => `<li>${desc}</li>`).join('')}</ul>`
-        : '';
+      const bodyHtml = ShopifyClient.formatBodyHtml(eetProduct);
 
       // Convert weight from kg to kg (keep original unit)
       let weightInKg = null;
@@ -269,13 +475,17 @@ class ShopifyClient {
         }
       }
 
-      // Parse price (remove commas and convert to cents)
-      let priceInCents = null;
-      if (eetProduct.pris) {
-        const priceStr = String(eetProduct.pris);
-        const cleanPrice = priceStr.replace(',', '.');
-        priceInCents = Math.round(parseFloat(cleanPrice) * 100);
-      }
+      // The file price is the EET cost without VAT; VAT is added like the update step does
+      // for the EET API price later, so both end up with the same sale price
+      const cost = Money.parse(eetProduct.pris, { vatIncluded: false });
+      const quote = cost && cost.minor > 0 ? this.pricing.getPrice({
+        sku: eetProduct.varenr,
+        brand: eetProduct.maerke_navn,
+        categoryId: eetProduct.web_category_id,
+        price: this.tax.getBasePrice(cost),
+        cost,
+        currentPrice: null
+      }) : null;
 
       // Parse stock quantity
       let stockQuantity = 0;
@@ -299,7 +509,7 @@ class ShopifyClient {
         ].filter(Boolean).join(','),
         variants: [{
           sku: eetProduct.varenr,
-          price: priceInCents ? (priceInCents / 100).toFixed(2) : '0.00',
+          price: quote ? quote.price.toString() : '0.00',
           weight: weightInKg,
           weightUnit: weightUnit,
           barcode: eetProduct.ean_upc || '',
@@ -350,6 +560,8 @@ class ShopifyClient {
         title: shopifyProduct.title,
         vendor: shopifyProduct.vendor,
         price: shopifyProduct.variants[0].price,
+        priceRule: quote?.rule,
+        priceExplanation: quote?.explanation,
         stock: shopifyProduct.variants[0].inventoryQuantity,
         metafieldsCount: shopifyProduct.metafields.length,
         hasImage: shopifyProduct.images.length > 0
@@ -366,55 +578,17 @@ class ShopifyClient {
   }
 
   /**
-   * Find product by SKU in existing products
+   * Find product by SKU in the catalog index
    * @param {string} sku - Product SKU to search for
-   * @param {Array} existingProducts - Array of existing Shopify products
    * @returns {Object|null} Found product or null
    */
-  findProductBySKU(sku, existingProducts) {
-    try {
-      if (isLoggingEnabled) {
-        logger.info('SHOPIFY_FIND', 'Searching for product by SKU', { sku });
-      }
-
-      // Search through products with the updated structure
-      for (const product of existingProducts) {
-        if (product.variants && product.variants.nodes) {
-          for (const variant of product.variants.nodes) {
-            // Check both variant.sku and variant.inventoryItem.sku for compatibility
-            if ((variant.inventoryItem && variant.inventoryItem.sku === sku)) {
-              if (isLoggingEnabled) {
-                logger.info('SHOPIFY_FIND', 'Product found by SKU', {
-                  sku,
-                  productId: product.id,
-                  title: product.title,
-                  variantPrice: variant.price,
-                  variantBarcode: variant.barcode
-                });
-              }
-              return product;
-            }
-          }
-        }
-      }
-
-      if (isLoggingEnabled) {
-        logger.info('SHOPIFY_FIND', 'Product not found by SKU', { sku });
-      }
-      return null;
-    } catch (error) {
-      if (isLoggingEnabled) {
-        logger.error('SHOPIFY_FIND', 'Failed to find product by SKU', {
-          sku,
-          error: error.message
-        });
-      }
-      throw error;
-    }
+  findProductBySKU(sku) {
+    return this.catalog.findBySku(sku);
   }
 
   /**
    * Run any GraphQL query/mutation
+   * Requests go through the cost-aware scheduler; THROTTLED errors and HTTP 429 are retried with backoff
    * @param {string} query - GraphQL query or mutation
    * @param {Object} variables - Variables for the query
    * @returns {Promise<Object>} GraphQL response
@@ -426,47 +600,56 @@ class ShopifyClient {
       //   variables
       // });
 
-      const response = await fetch(this.apiUrl, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'X-Shopify-Access-Token': this.accessToken
-        },
-        body: JSON.stringify({
-          query,
-          variables
-        })
-      });
+      const estimatedCost = this.scheduler.estimateCost(query);
 
-      if (!response.ok) {
-        throw new Error(`HTTP error! status: ${response.status}`);
-      }
+      for (let attempt = 0; ; attempt++) {
+        const response = await this.scheduler.schedule(() => fetch(this.apiUrl, {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json',
+            'X-Shopify-Access-Token': this.accessToken
+          },
+          body: JSON.stringify({
+            query,
+            variables
+          })
+        }), estimatedCost);
+
+        if (response.status === 429 && attempt < this.scheduler.maxRetries) {
+          await this.scheduler.backoff(attempt, estimatedCost);
+          continue;
+        }
 
-      const data = await response.json();
-      
-      if (data.errors) {
-        console.log(query);
-        logger.info('SHOPIFY_GRAPHQL', 'GraphQL errors', {
-          errors: data.errors,
-          query: query.substring(0, 100) + '...'
-        });
-        logger.error('SHOPIFY_GRAPHQL', 'GraphQL errors', {
-          errors: data.errors,
-          query: query.substring(0, 100) + '...'
-        });
-        throw new Error(`GraphQL errors: ${data.errors.map(e => e.message).join(', ')}`);
-      }
+        if (!response.ok) {
+          throw new Error(`HTTP error! status: ${response.status}`);
+        }
 
-      // wait until the API request limit is restored.
-      if (data.extensions.cost.currentlyAvailable < 1000) {
-        await new Promise(setTimeout(resolve, (data.extensions.cost.maximumAvailable - data.extensions.cost.currentlyAvailable) / data.extensions.cost.restoreRate * 1000));
-      }
+        const data = await response.json();
 
-      logger.info('SHOPIFY_GRAPHQL', 'GraphQL query executed successfully', {
-        hasData: !!data.data
-      });
+        // Keep the scheduler's view of the leaky bucket up to date
+        this.scheduler.updateFromCost(query, data.extensions?.cost);
+
+        const isThrottled = data.errors?.some(e => e.extensions?.code === 'THROTTLED');
+        if (isThrottled && attempt < this.scheduler.maxRetries) {
+          await this.scheduler.backoff(attempt, data.extensions?.cost?.requestedQueryCost || estimatedCost);
+          continue;
+        }
+
+        if (data.errors) {
+          console.log(query);
+          logger.error('SHOPIFY_GRAPHQL', 'GraphQL errors', {
+            errors: data.errors,
+            query: query.substring(0, 100) + '...'
+          });
+          throw new Error(`GraphQL errors: ${data.errors.map(e => e.message).join(', ')}`);
+        }
+
+        logger.info('SHOPIFY_GRAPHQL', 'GraphQL query executed successfully', {
+          hasData: !!data.data
+        });
 
-      return data;
+        return data;
+      }
     } catch (error) {
       logger.error('SHOPIFY_GRAPHQL', 'GraphQL execution failed', {
         error: error.message,
@@ -477,6 +660,15 @@ class ShopifyClient {
     }
   }
 
+  /**
+   * Run a worker for every item, several at a time within the rate limit
+   * @param {Array} items - Items to process
+   * @param {Function} worker - Async function called with (item, index)
+   */
+  async runConcurrently(items, worker) {
+    await this.scheduler.forEach(items, worker);
+  }
+
   /**
    * Get all products from Shopify
    * @param {number} limit - Number of products to fetch (default: 50, max: 250)
@@ -492,28 +684,7 @@ class ShopifyClient {
           products(first: $first, after: $after) {
             edges {
               node {
-                id
-                title
-                status
-                variants(first: 10) {
-                  nodes {
-                    id
-                    barcode
-                    price
-                    inventoryQuantity
-                    inventoryItem {
-                      id
-                      sku
-                      inventoryLevels(first: 10) {
-                        nodes {
-                          location {
-                            id
-                          }
-                        }
-                      }
-                    }
-                  }
-                }
+                ${productFields}
               }
               cursor
             }
@@ -558,13 +729,52 @@ class ShopifyClient {
     }
   }
 
+  /**
+   * Get a single product by ID with the same fields as getProducts
+   * @param {string} productId - Shopify product ID
+   * @returns {Promise<Object|null>} Product or null if it does not exist
+   */
+  async getProductById(productId) {
+    try {
+      const query = `
+        query getProduct($id: ID!) {
+          product(id: $id) {
+            ${productFields}
+          }
+        }
+      `;
+
+      const response = await this.runGraphQL(query, { id: productId });
+      return response.data.product;
+    } catch (error) {
+      logger.error('SHOPIFY', 'Failed to get product by ID', {
+        productId,
+        error: error.message
+      });
+      throw error;
+    }
+  }
+
   /**
    * Get ALL products from Shopify by repeatedly executing queries
-   * This will fetch all products regardless of total count
+   * This will fetch all products regardless of total count and rebuilds the catalog index
    * @param {number} batchSize - Number of products per batch (default: 250, max: 250)
    * @returns {Promise<Array>} Array of all products
    */
   async getAllProducts(batchSize = 250) {
+    if (this.fetchMode === 'bulk') {
+      try {
+        const products = await this.getAllProductsBulk();
+        this.catalog.build(products);
+        return products;
+      } catch (error) {
+        // Only one bulk query may run per shop; fall back to paging rather than failing the run
+        logger.warn('SHOPIFY', 'Bulk product fetch failed, falling back to paging', {
+          error: error.message
+        });
+      }
+    }
+
     try {
       logger.info('SHOPIFY', 'Starting complete product fetch', { batchSize });
 
@@ -592,11 +802,6 @@ class ShopifyClient {
           totalProducts: allProducts.length,
           hasNextPage
         });
-
-        // Add small delay to avoid rate limiting
-        if (hasNextPage) {
-          await new Promise(resolve => setTimeout(resolve, 100));
-        }
       }
 
       logger.info('SHOPIFY', 'Complete product fetch finished', {
@@ -604,6 +809,7 @@ class ShopifyClient {
         totalProducts: allProducts.length
       });
 
+      this.catalog.build(allProducts);
       return allProducts;
     } catch (error) {
       logger.error('SHOPIFY', 'Failed to get all products completely', {
@@ -614,6 +820,33 @@ class ShopifyClient {
     }
   }
 
+  /**
+   * Get ALL products from Shopify with a single bulk operation
+   * Faster than paging for large catalogs and does not use the rate-limit budget per page
+   * @returns {Promise<Array>} Array of all products in the getProducts shape
+   */
+  async getAllProductsBulk() {
+    try {
+      logger.info('SHOPIFY', 'Starting bulk product fetch');
+
+      const bulkOperation = new BulkOperation(this);
+      const lines = await bulkOperation.runQuery(bulkProductQuery);
+      const products = BulkOperation.rebuildProducts(lines);
+
+      logger.info('SHOPIFY', 'Bulk product fetch finished', {
+        totalLines: lines.length,
+        totalProducts: products.length
+      });
+
+      return products;
+    } catch (error) {
+      logger.error('SHOPIFY', 'Failed to get all products with bulk operation', {
+        error: error.message
+      });
+      throw error;
+    }
+  }
+
   /**
    * Create a new product in Shopify
    * @param {Object} productData - Shopify product data
@@ -621,6 +854,19 @@ class ShopifyClient {
    */
   async createProduct(productData) {
     try {
+      if (this.dryRun) {
+        this.plan?.addCreate(productData);
+        return {
+          id: null,
+          title: productData.title,
+          variants: { nodes: [] },
+          dryRun: true
+        };
+      }
+
+      const sku = productData.variants[0]?.sku || '';
+      this.journal?.record(sku, 'create', 'started', { title: productData.title });
+
       // Scrape document URLs just before creating the product
       let documentUrls = [];
       const productUrl = productData.metafields?.find(mf => mf.key === 'docs')?.value;
@@ -693,6 +939,7 @@ class ShopifyClient {
               title: "${title.replace(/"/g, '\\"')}",
               status: ACTIVE,
               vendor: "${vendor}",
+              tags: ["${managedTag}"],
               descriptionHtml: "${descriptionHtml.replace(/"/g, '\\"')}",
               ${metafields ? `metafields: [${metafields}]` : ''}
             }
@@ -704,6 +951,8 @@ class ShopifyClient {
             product {
               id
               title
+              status
+              tags
               variants(first: 50) {
                 nodes {
                   id
@@ -743,233 +992,693 @@ class ShopifyClient {
 
       const createdProduct = response.data.productCreate.product;
 
-      // Update variant with SKU, barcode, and price, product weight, product weight unit
-      if (createdProduct.variants.nodes.length > 0) {
-        const variant = createdProduct.variants.nodes[0];
-        const adjustedPrice = Number(productData.variants[0].price) * (1 + priceStock);
-        const barcode = productData.variants[0].barcode || '';
-        const sku = productData.variants[0].sku || '';
+      this.journal?.record(sku, 'create', 'product_created', { productId: createdProduct.id });
+      this.changeLog?.record({ type: 'create', sku, productId: createdProduct.id, title: productData.title });
 
-        const updateMutation = `
-          mutation {
-            productVariantsBulkUpdate(
-              productId: "${createdProduct.id}"
-              variants: {
-                price: "${adjustedPrice}",
-                id: "${variant.id}",
-                barcode: "${barcode}",
-                inventoryItem: {
-                  sku: "${sku}", 
-                  tracked: true,
-                  measurement: {
-                    weight: {
-                      value: ${productData.variants[0].weight ? productData.variants[0].weight : 0},
-                      unit: ${productData.variants[0].weightUnit ? productData.variants[0].weightUnit : 'KILOGRAMS'}
-                    }
-                  }
-                }
-              }
-            ) {
-              userErrors {
-                code
-                field
-                message
-              }
-              productVariants {
-                price
-                barcode
-                id
-              }
-            }
-          }
-        `;
+      await this.finishProductCreation(createdProduct, productData);
 
-        try {
-          const updateResponse = await this.runGraphQL(updateMutation);
-          console.log("Variant update response:", updateResponse.data.productVariantsBulkUpdate.userErrors);
+      if (isLoggingEnabled) {
+        logger.info('SHOPIFY_CREATE', 'Product created successfully', {
+          productId: createdProduct.id,
+          title: createdProduct.title,
+          variantsCount: createdProduct.variants.nodes.length
+        });
+      }
 
-          if (updateResponse.data.productVariantsBulkUpdate.userErrors.length > 0) {
-            const updateErrors = updateResponse.data.productVariantsBulkUpdate.userErrors;
-            if (isLoggingEnabled) {
-              logger.error('SHOPIFY_UPDATE', 'Variant update failed with user errors', {
-                productId: createdProduct.id,
-                sku: sku,
-                errors: updateErrors
-              });
-            }
-            console.log("Variant update errors:", updateErrors);
-          } else {
-            if (isLoggingEnabled) {
-              logger.info('SHOPIFY_UPDATE', 'Variant updated successfully', {
-                productId: createdProduct.id,
-                sku: sku,
-                price: adjustedPrice,
-                barcode: barcode
-              });
-            }
-          }
-        } catch (updateError) {
-          if (isLoggingEnabled) {
-            logger.error('SHOPIFY_UPDATE', 'Failed to update variant', {
-              productId: createdProduct.id,
-              sku: sku,
-              error: updateError.message
-            });
-          }
-          console.log("Variant update error:", updateError.message);
-        }
+      return createdProduct;
+    } catch (error) {
+      if (isLoggingEnabled) {
+        logger.error('SHOPIFY_CREATE', 'Failed to create product', {
+          title: productData.title,
+          error: error.message
+        });
       }
+      throw error;
+    }
+  }
 
-      // Update inventory quantity
-      if (createdProduct.variants.nodes.length > 0) {
-        const variant = createdProduct.variants.nodes[0];
-        const inventoryQuantity = productData.variants[0].inventoryQuantity || 0;
+  /**
+   * Find a half-created product: created by the sync but without the SKU on its variant
+   * This happens when productCreate succeeded but the variant update never ran
+   * @param {Object} productData - Mapped Shopify product data
+   * @param {Array} existingProducts - Array of existing Shopify products
+   * @returns {Object|null} Half-created product or null
+   */
+  findIncompleteProduct(productData, existingProducts) {
+    return existingProducts.find(product =>
+      this.isManagedProduct(product) &&
+      product.title === productData.title &&
+      product.variants?.nodes?.length > 0 &&
+      !product.variants.nodes[0].inventoryItem?.sku
+    ) || null;
+  }
 
-        if (variant.inventoryItem && variant.inventoryItem.inventoryLevels.nodes.length > 0) {
-          const inventoryItemId = variant.inventoryItem.id;
-          const locationId = variant.inventoryItem.inventoryLevels.nodes[0].location.id;
+  /**
+   * Finish a half-created product instead of creating it again
+   * @param {Object} product - Half-created Shopify product
+   * @param {Object} productData - Mapped Shopify product data
+   * @returns {Promise<Object>} Completed product
+   */
+  async completeProductCreation(product, productData) {
+    try {
+      if (this.dryRun) {
+        this.plan?.addCreate(productData);
+        return { ...product, dryRun: true };
+      }
 
-          const inventoryMutation = `
-            mutation {
-              inventoryAdjustQuantities(
-                input: {
-                  name: "available",
-                  changes: {
-                    delta: ${inventoryQuantity},
-                    inventoryItemId: "${inventoryItemId}",
-                    locationId: "${locationId}"
-                  },
-                  reason: "restock"
-                }
-              ) {
-                userErrors {
-                  code
-                  field
-                  message
-                }
-                inventoryAdjustmentGroup {
-                  id
-                }
-              }
-            }
-          `;
+      if (isLoggingEnabled) {
+        logger.info('SHOPIFY_CREATE', 'Completing half-created product', {
+          productId: product.id,
+          title: product.title,
+          sku: productData.variants[0]?.sku
+        });
+      }
 
-          try {
-            const inventoryResponse = await this.runGraphQL(inventoryMutation);
+      const result = await this.finishProductCreation(product, productData);
+      if (!result.success) {
+        throw new Error('Variant update failed while completing product');
+      }
 
-            if (inventoryResponse.data.inventoryAdjustQuantities.userErrors.length > 0) {
-              const inventoryErrors = inventoryResponse.data.inventoryAdjustQuantities.userErrors;
-              if (isLoggingEnabled) {
-                logger.error('SHOPIFY_INVENTORY', 'Inventory update failed with user errors', {
-                  productId: createdProduct.id,
-                  sku: productData.variants[0].sku,
-                  quantity: inventoryQuantity,
-                  errors: inventoryErrors
-                });
-              }
-            } else {
-              if (isLoggingEnabled) {
-                logger.info('SHOPIFY_INVENTORY', 'Inventory updated successfully', {
-                  productId: createdProduct.id,
-                  sku: productData.variants[0].sku,
-                  quantity: inventoryQuantity,
-                  adjustmentGroupId: inventoryResponse.data.inventoryAdjustQuantities.inventoryAdjustmentGroup.id
-                });
+      return product;
+    } catch (error) {
+      if (isLoggingEnabled) {
+        logger.error('SHOPIFY_CREATE', 'Failed to complete half-created product', {
+          productId: product.id,
+          title: productData.title,
+          error: error.message
+        });
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Run the steps that follow productCreate: variant SKU/price/barcode, inventory,
+   * stock object, brand tag and ownership metafield
+   * Every step is safe to repeat, so a half-created product can be finished later
+   * @param {Object} createdProduct - Product returned by productCreate or getProductById
+   * @param {Object} productData - Mapped Shopify product data
+   * @returns {Promise<Object>} Result with variantUpdated flag
+   */
+  async finishProductCreation(createdProduct, productData) {
+    const sku = productData.variants[0]?.sku || '';
+    let variantUpdated = false;
+
+    // Update variant with SKU, barcode, and price, product weight, product weight unit
+    if (createdProduct.variants.nodes.length > 0) {
+      const variant = createdProduct.variants.nodes[0];
+      const salePrice = productData.variants[0].price;
+      const barcode = productData.variants[0].barcode || '';
+
+      const updateMutation = `
+        mutation {
+          productVariantsBulkUpdate(
+            productId: "${createdProduct.id}"
+            variants: {
+              price: "${salePrice}",
+              id: "${variant.id}",
+              barcode: "${barcode}",
+              inventoryItem: {
+                sku: "${sku}", 
+                tracked: true,
+                measurement: {
+                  weight: {
+                    value: ${productData.variants[0].weight ? productData.variants[0].weight : 0},
+                    unit: ${productData.variants[0].weightUnit ? productData.variants[0].weightUnit : 'KILOGRAMS'}
+                  }
+                }
               }
             }
-          } catch (inventoryError) {
-            if (isLoggingEnabled) {
-              logger.error('SHOPIFY_INVENTORY', 'Failed to update inventory', {
-                productId: createdProduct.id,
-                sku: productData.variants[0].sku,
-                quantity: inventoryQuantity,
-                error: inventoryError.message
-              });
+          ) {
+            userErrors {
+              code
+              field
+              message
+            }
+            productVariants {
+              price
+              barcode
+              id
             }
-            console.log("Inventory update error:", inventoryError.message);
           }
+        }
+      `;
+
+      try {
+        const updateResponse = await this.runGraphQL(updateMutation);
+        console.log("Variant update response:", updateResponse.data.productVariantsBulkUpdate.userErrors);
+
+        if (updateResponse.data.productVariantsBulkUpdate.userErrors.length > 0) {
+          const updateErrors = updateResponse.data.productVariantsBulkUpdate.userErrors;
+          if (isLoggingEnabled) {
+            logger.error('SHOPIFY_UPDATE', 'Variant update failed with user errors', {
+              productId: createdProduct.id,
+              sku: sku,
+              errors: updateErrors
+            });
+          }
+          console.log("Variant update errors:", updateErrors);
         } else {
+          variantUpdated = true;
           if (isLoggingEnabled) {
-            logger.warn('SHOPIFY_INVENTORY', 'No inventory item or location found for variant', {
+            logger.info('SHOPIFY_UPDATE', 'Variant updated successfully', {
               productId: createdProduct.id,
-              sku: productData.variants[0].sku,
-              hasInventoryItem: !!variant.inventoryItem,
-              hasInventoryLevels: variant.inventoryItem ? variant.inventoryItem.inventoryLevels.nodes.length > 0 : false
+              sku: sku,
+              price: salePrice,
+              barcode: barcode
             });
           }
         }
+      } catch (updateError) {
+        if (isLoggingEnabled) {
+          logger.error('SHOPIFY_UPDATE', 'Failed to update variant', {
+            productId: createdProduct.id,
+            sku: sku,
+            error: updateError.message
+          });
+        }
+        console.log("Variant update error:", updateError.message);
       }
+    }
 
-      // Update stock object immediately after product creation
-      if (createdProduct.variants.nodes.length > 0) {
-        const sku = productData.variants[0].sku || '';
-        const stockObject = {
-          sku: sku,
-          quantity: productData.variants[0].inventoryQuantity || 0,
-          price: Number(productData.variants[0].price) * (1 + priceStock),
-          barcode: productData.variants[0].barcode || '',
-          weight: productData.variants[0].weight,
-          weightUnit: productData.variants[0].weightUnit
-        };
+    // Update inventory quantity
+    if (createdProduct.variants.nodes.length > 0) {
+      const variant = createdProduct.variants.nodes[0];
+      const inventoryQuantity = productData.variants[0].inventoryQuantity || 0;
+      // A resumed product may already hold part of its stock
+      const inventoryDelta = inventoryQuantity - (variant.inventoryQuantity || 0);
+
+      if (inventoryDelta !== 0 && variant.inventoryItem && variant.inventoryItem.inventoryLevels.nodes.length > 0) {
+        const inventoryItemId = variant.inventoryItem.id;
+        const locationId = variant.inventoryItem.inventoryLevels.nodes[0].location.id;
+
+        const inventoryMutation = `
+          mutation {
+            inventoryAdjustQuantities(
+              input: {
+                name: "available",
+                changes: {
+                  delta: ${inventoryDelta},
+                  inventoryItemId: "${inventoryItemId}",
+                  locationId: "${locationId}"
+                },
+                reason: "restock"
+              }
+            ) {
+              userErrors {
+                code
+                field
+                message
+              }
+              inventoryAdjustmentGroup {
+                id
+              }
+            }
+          }
+        `;
 
         try {
-          console.log('📦 Updating stock object for product:', createdProduct.title);
-          const stockUpdateResult = await this.updateStockObject(sku, stockObject, createdProduct);
-          
-          if (stockUpdateResult.success) {
-            console.log('✅ Stock object updated successfully for SKU:', sku);
+          const inventoryResponse = await this.runGraphQL(inventoryMutation);
+
+          if (inventoryResponse.data.inventoryAdjustQuantities.userErrors.length > 0) {
+            const inventoryErrors = inventoryResponse.data.inventoryAdjustQuantities.userErrors;
+            if (isLoggingEnabled) {
+              logger.error('SHOPIFY_INVENTORY', 'Inventory update failed with user errors', {
+                productId: createdProduct.id,
+                sku: productData.variants[0].sku,
+                quantity: inventoryQuantity,
+                errors: inventoryErrors
+              });
+            }
           } else {
-            console.log('❌ Stock object update failed for SKU:', sku, stockUpdateResult.error);
+            if (isLoggingEnabled) {
+              logger.info('SHOPIFY_INVENTORY', 'Inventory updated successfully', {
+                productId: createdProduct.id,
+                sku: productData.variants[0].sku,
+                quantity: inventoryQuantity,
+                adjustmentGroupId: inventoryResponse.data.inventoryAdjustQuantities.inventoryAdjustmentGroup.id
+              });
+            }
           }
-        } catch (stockError) {
-          console.log('❌ Error updating stock object for SKU:', sku, stockError.message);
+        } catch (inventoryError) {
           if (isLoggingEnabled) {
-            logger.error('SHOPIFY_STOCK_OBJECT', 'Failed to update stock object', {
+            logger.error('SHOPIFY_INVENTORY', 'Failed to update inventory', {
               productId: createdProduct.id,
-              sku: sku,
-              error: stockError.message
+              sku: productData.variants[0].sku,
+              quantity: inventoryQuantity,
+              error: inventoryError.message
             });
           }
+          console.log("Inventory update error:", inventoryError.message);
+        }
+      } else if (inventoryDelta !== 0) {
+        if (isLoggingEnabled) {
+          logger.warn('SHOPIFY_INVENTORY', 'No inventory item or location found for variant', {
+            productId: createdProduct.id,
+            sku: productData.variants[0].sku,
+            hasInventoryItem: !!variant.inventoryItem,
+            hasInventoryLevels: variant.inventoryItem ? variant.inventoryItem.inventoryLevels.nodes.length > 0 : false
+          });
         }
       }
-      
-      // Add brand tag to the product
-      const brandName = productData.vendor || '';
-      if (brandName) {
-        try {
-          await this.addProductTags(createdProduct.id, [brandName]);
-        } catch (tagError) {
-          // Log but don't fail product creation if tag addition fails
-          if (isLoggingEnabled) {
-            logger.warn('SHOPIFY_CREATE', 'Failed to add brand tag', {
-              productId: createdProduct.id,
-              brandName,
-              error: tagError.message
-            });
-          }
+    }
+
+    // Update stock object immediately after product creation
+    if (createdProduct.variants.nodes.length > 0) {
+      const stockObject = {
+        sku: sku,
+        quantity: productData.variants[0].inventoryQuantity || 0,
+        price: Number(productData.variants[0].price),
+        barcode: productData.variants[0].barcode || '',
+        weight: productData.variants[0].weight,
+        weightUnit: productData.variants[0].weightUnit
+      };
+
+      try {
+        console.log('📦 Updating stock object for product:', createdProduct.title);
+        const stockUpdateResult = await this.updateStockObject(sku, stockObject, createdProduct);
+        
+        if (stockUpdateResult.success) {
+          console.log('✅ Stock object updated successfully for SKU:', sku);
+        } else {
+          console.log('❌ Stock object update failed for SKU:', sku, stockUpdateResult.error);
+        }
+      } catch (stockError) {
+        console.log('❌ Error updating stock object for SKU:', sku, stockError.message);
+        if (isLoggingEnabled) {
+          logger.error('SHOPIFY_STOCK_OBJECT', 'Failed to update stock object', {
+            productId: createdProduct.id,
+            sku: sku,
+            error: stockError.message
+          });
         }
       }
+    }
+    
+    // Add brand tag to the product
+    const brandName = productData.vendor || '';
+    if (brandName) {
+      try {
+        await this.addProductTags(createdProduct.id, [brandName]);
+      } catch (tagError) {
+        // Log but don't fail product creation if tag addition fails
+        if (isLoggingEnabled) {
+          logger.warn('SHOPIFY_CREATE', 'Failed to add brand tag', {
+            productId: createdProduct.id,
+            brandName,
+            error: tagError.message
+          });
+        }
+      }
+    }
+
+    // Set the ownership metafield (the managed tag was already set on creation)
+    const managedResult = await this.setManagedMetafield(createdProduct.id);
+    if (!managedResult.success && isLoggingEnabled) {
+      logger.warn('SHOPIFY_CREATE', 'Failed to set managed metafield', {
+        productId: createdProduct.id,
+        error: managedResult.error
+      });
+    }
+
+    if (variantUpdated) {
+      this.journal?.record(sku, 'create', 'completed', { productId: createdProduct.id });
+      await this.refreshCatalogProduct(createdProduct.id);
+    } else {
+      // Without the SKU on the variant the product cannot be matched, so keep it resumable
+      this.journal?.record(sku, 'create', 'variant_failed', { productId: createdProduct.id });
+    }
+
+    return { success: variantUpdated, productId: createdProduct.id };
+  }
+
+  /**
+   * Record a sent price change in the change log and the catalog index
+   * @param {string} sku - Product SKU
+   * @param {Object} product - Shopify product
+   * @param {Object} variant - Updated variant (still holding the old values)
+   * @param {string} price - New price
+   * @param {string} cost - New cost
+   * @param {string|null|undefined} compareAtPrice - New compare-at price (undefined when not sent)
+   */
+  trackPriceChange(sku, product, variant, price, cost, compareAtPrice = undefined) {
+    const before = { price: variant.price, cost: variant.inventoryItem?.unitCost?.amount ?? null };
+    const after = { price, cost };
+    const catalogValues = { price, inventoryItem: { ...variant.inventoryItem, unitCost: { amount: cost } } };
+    if (compareAtPrice !== undefined) {
+      before.compareAtPrice = variant.compareAtPrice ?? null;
+      after.compareAtPrice = compareAtPrice;
+      catalogValues.compareAtPrice = compareAtPrice;
+    }
+
+    this.changeLog?.record({
+      type: 'price',
+      sku,
+      productId: product.id,
+      variantId: variant.id,
+      before,
+      after
+    });
+    this.catalog.updateVariant(product.id, variant.id, catalogValues);
+  }
 
+  /**
+   * Record a sent quantity change in the change log and the catalog index
+   * @param {string} sku - Product SKU
+   * @param {Object} product - Shopify product
+   * @param {Object} variant - Updated variant (still holding the old values)
+   * @param {number} quantity - New available quantity
+   * @param {string} locationId - Location of the change (first inventory level if omitted)
+   */
+  trackQuantityChange(sku, product, variant, quantity, locationId = null) {
+    this.changeLog?.record({
+      type: 'quantity',
+      sku,
+      productId: product.id,
+      variantId: variant.id,
+      inventoryItemId: variant.inventoryItem?.id,
+      locationId: locationId || variant.inventoryItem?.inventoryLevels?.nodes?.[0]?.location?.id,
+      before: variant.inventoryQuantity,
+      after: quantity
+    });
+    this.catalog.updateVariant(product.id, variant.id, { inventoryQuantity: quantity });
+  }
+
+  /**
+   * Record a sent status change in the change log and the catalog index
+   * @param {string} sku - First SKU of the product
+   * @param {Object} product - Shopify product (still holding the old status)
+   * @param {string} status - New status
+   */
+  trackStatusChange(sku, product, status) {
+    this.changeLog?.record({ type: 'status', sku, productId: product.id, before: product.status, after: status });
+    this.catalog.update(product.id, { status });
+  }
+
+  /**
+   * Record added tags in the change log and the catalog index
+   * Only tags the product did not have yet are recorded, so a rollback never removes older tags
+   * @param {string} productId - Shopify product ID
+   * @param {Array<string>} tags - Tags sent to tagsAdd
+   */
+  trackTagsAdded(productId, tags) {
+    const indexedProduct = this.catalog.findById(productId);
+    const existingTags = indexedProduct?.tags || [];
+    const added = tags.filter(tag => !existingTags.includes(tag));
+
+    if (added.length > 0) {
+      this.changeLog?.record({ type: 'tags', productId, added });
+    }
+    if (indexedProduct) {
+      this.catalog.update(productId, { tags: [...existingTags, ...added] });
+    }
+  }
+
+  /**
+   * Re-read a product from Shopify and put it in the catalog index
+   * Used after creation, when the product only gets its SKU, price and stock in later steps
+   * @param {string} productId - Shopify product ID
+   */
+  async refreshCatalogProduct(productId) {
+    try {
+      const product = await this.getProductById(productId);
+      if (product) {
+        this.catalog.add(product);
+      }
+    } catch (error) {
+      // The product still exists in Shopify; it is picked up by the next getAllProducts
       if (isLoggingEnabled) {
-        logger.info('SHOPIFY_CREATE', 'Product created successfully', {
-          productId: createdProduct.id,
-          title: createdProduct.title,
-          variantsCount: createdProduct.variants.nodes.length
+        logger.warn('CATALOG_INDEX', 'Failed to refresh product in catalog index', {
+          productId,
+          error: error.message
         });
       }
+    }
+  }
 
-      return createdProduct;
+  /**
+   * Check whether a product is owned by the EET sync
+   * A product is managed when it carries the managed tag or the streamsupply.managed metafield
+   * @param {Object} product - Shopify product
+   * @returns {boolean} True if the sync may modify the product
+   */
+  isManagedProduct(product) {
+    if (!product) {
+      return false;
+    }
+    const hasTag = Array.isArray(product.tags) && product.tags.includes(managedTag);
+    const hasMetafield = product.managed?.value === 'true';
+    return hasTag || hasMetafield;
+  }
+
+  /**
+   * Set the streamsupply.managed ownership metafield on a product
+   * @param {string} productId - Shopify product ID
+   * @returns {Promise<Object>} Result with success/error info
+   */
+  async setManagedMetafield(productId) {
+    try {
+      if (this.dryRun) {
+        return { success: true, dryRun: true };
+      }
+
+      const mutation = `
+        mutation metafieldsSet($metafields: [MetafieldsSetInput!]!) {
+          metafieldsSet(metafields: $metafields) {
+            metafields {
+              id
+            }
+            userErrors {
+              field
+              message
+            }
+          }
+        }
+      `;
+
+      const variables = {
+        metafields: [{
+          ownerId: productId,
+          namespace: 'streamsupply',
+          key: managedMetafieldKey,
+          type: 'boolean',
+          value: 'true'
+        }]
+      };
+
+      const response = await this.runGraphQL(mutation, variables);
+      const errors = response.data.metafieldsSet.userErrors;
+
+      if (errors && errors.length > 0) {
+        return { success: false, error: `Managed metafield failed: ${errors.map(e => e.message).join(', ')}` };
+      }
+
+      return { success: true };
     } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Set the streamsupply.documents metafield with scraped document URLs
+   * @param {string} productId - Shopify product ID
+   * @param {Array<string>} documentUrls - Document URLs
+   * @returns {Promise<Object>} Result with success/error info
+   */
+  async setDocumentsMetafield(productId, documentUrls) {
+    try {
+      if (this.dryRun) {
+        return { success: true, dryRun: true };
+      }
+
+      const mutation = `
+        mutation metafieldsSet($metafields: [MetafieldsSetInput!]!) {
+          metafieldsSet(metafields: $metafields) {
+            metafields {
+              id
+            }
+            userErrors {
+              field
+              message
+            }
+          }
+        }
+      `;
+
+      const variables = {
+        metafields: [{
+          ownerId: productId,
+          namespace: 'streamsupply',
+          key: 'documents',
+          type: 'json',
+          value: JSON.stringify(documentUrls)
+        }]
+      };
+
+      const response = await this.runGraphQL(mutation, variables);
+      const errors = response.data.metafieldsSet.userErrors;
+
+      if (errors && errors.length > 0) {
+        return { success: false, error: `Documents metafield failed: ${errors.map(e => e.message).join(', ')}` };
+      }
+
+      return { success: true };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Check whether the shop's prices include tax
+   * @returns {Promise<boolean|null>} Shopify shop.taxesIncluded, null if it could not be read
+   */
+  async getTaxesIncluded() {
+    const query = `
+      query {
+        shop {
+          taxesIncluded
+        }
+      }
+    `;
+
+    const response = await this.runGraphQL(query);
+    return response.data?.shop?.taxesIncluded ?? null;
+  }
+
+  /**
+   * Get the languages of the shop
+   * @returns {Promise<Array<Object>>} [{ locale, primary, published }]
+   */
+  async getShopLocales() {
+    const query = `
+      query {
+        shopLocales {
+          locale
+          primary
+          published
+        }
+      }
+    `;
+
+    const response = await this.runGraphQL(query);
+    return response.data?.shopLocales || [];
+  }
+
+  /**
+   * Register translated content of a product for one shop language (translationsRegister)
+   * Shopify only accepts a translation together with the digest of the primary content it
+   * translates, so the digests are read first
+   * @param {string} sku - Product SKU
+   * @param {Object} product - Shopify product
+   * @param {string} locale - Shop locale, e.g. "da" or "sv"
+   * @param {Object} content - Translated values per key: { title, body_html, product_type }
+   * @returns {Promise<Object>} Result with success/error info and the registered keys
+   */
+  async registerTranslations(sku, product, locale, content) {
+    try {
+      if (this.dryRun) {
+        this.plan?.addTranslation({ sku, productId: product.id, locale, content });
+        return { success: true, dryRun: true, keys: Object.keys(content) };
+      }
+
+      const resourceQuery = `
+        query translatableResource($resourceId: ID!) {
+          translatableResource(resourceId: $resourceId) {
+            translatableContent {
+              key
+              digest
+            }
+          }
+        }
+      `;
+      const resourceResponse = await this.runGraphQL(resourceQuery, { resourceId: product.id });
+      const digests = new Map((resourceResponse.data?.translatableResource?.translatableContent || [])
+        .map(item => [item.key, item.digest]));
+
+      const translations = Object.entries(content)
+        .filter(([key, value]) => value && digests.get(key))
+        .map(([key, value]) => ({ locale, key, value, translatableContentDigest: digests.get(key) }));
+
+      if (translations.length === 0) {
+        return { success: true, keys: [] };
+      }
+
+      const mutation = `
+        mutation translationsRegister($resourceId: ID!, $translations: [TranslationInput!]!) {
+          translationsRegister(resourceId: $resourceId, translations: $translations) {
+            translations {
+              key
+              locale
+            }
+            userErrors {
+              field
+              message
+            }
+          }
+        }
+      `;
+
+      const response = await this.runGraphQL(mutation, { resourceId: product.id, translations });
+      const errors = response.data.translationsRegister.userErrors;
+
+      if (errors && errors.length > 0) {
+        return { success: false, error: `Translations failed: ${errors.map(e => e.message).join(', ')}` };
+      }
+
       if (isLoggingEnabled) {
-        logger.error('SHOPIFY_CREATE', 'Failed to create product', {
-          title: productData.title,
-          error: error.message
+        logger.info('SHOPIFY_TRANSLATE', 'Translations registered', {
+          sku,
+          productId: product.id,
+          locale,
+          keys: translations.map(t => t.key)
         });
       }
-      throw error;
+
+      return { success: true, keys: translations.map(t => t.key) };
+    } catch (error) {
+      return { success: false, error: error.message };
     }
   }
 
+  /**
+   * Adopt an existing Shopify product so the sync starts managing it
+   * Adds the managed tag and the streamsupply.managed metafield
+   * @param {Object} product - Shopify product to adopt
+   * @returns {Promise<Object>} Adoption result with success/error info
+   */
+  async adoptProduct(product) {
+    const firstSku = product.variants?.nodes?.[0]?.inventoryItem?.sku || 'unknown';
+
+    if (this.isManagedProduct(product)) {
+      return { success: true, sku: firstSku, productId: product.id, alreadyManaged: true };
+    }
+
+    if (isLoggingEnabled) {
+      logger.info('SHOPIFY_ADOPT', 'Adopting product into EET sync', {
+        sku: firstSku,
+        title: product.title,
+        productId: product.id
+      });
+    }
+
+    const tagResult = await this.addProductTags(product.id, [managedTag]);
+    if (!tagResult.success) {
+      return { success: false, sku: firstSku, productId: product.id, error: tagResult.error };
+    }
+
+    const metafieldResult = await this.setManagedMetafield(product.id);
+    if (!metafieldResult.success) {
+      return { success: false, sku: firstSku, productId: product.id, error: metafieldResult.error };
+    }
+
+    // Keep the in-memory product in line with Shopify
+    this.catalog.update(product.id, { managed: { value: 'true' } });
+    product.tags = [...new Set([...(product.tags || []), managedTag])];
+    product.managed = { value: 'true' };
+
+    return { success: true, sku: firstSku, productId: product.id };
+  }
+
   /**
    * Add tags to a product using tagsAdd mutation
    * @param {string} productId - Shopify product ID
@@ -989,6 +1698,11 @@ class ShopifyClient {
         return { success: true, message: 'No valid tags to add' };
       }
 
+      if (this.dryRun) {
+        this.plan?.addTags({ productId, tags: validTags });
+        return { success: true, tags: validTags, dryRun: true };
+      }
+
       if (isLoggingEnabled) {
         logger.info('SHOPIFY_TAGS', 'Adding tags to product', {
           productId,
@@ -1036,6 +1750,8 @@ class ShopifyClient {
             tags: validTags
           });
         }
+
+        this.trackTagsAdded(productId, validTags);
         
         return { success: true, tags: validTags };
       }
@@ -1058,7 +1774,20 @@ class ShopifyClient {
    */
   async makeProductDraft(product) {
     try {
-      const firstSku = product.variants.nodes[0]?.sku || 'unknown';
+      const firstSku = product.variants.nodes[0]?.inventoryItem?.sku || 'unknown';
+
+      if (this.dryRun) {
+        if (product.status !== 'DRAFT') {
+          this.plan?.addStatusChange({
+            sku: firstSku,
+            productId: product.id,
+            title: product.title,
+            from: product.status,
+            to: 'DRAFT'
+          });
+        }
+        return { success: true, sku: firstSku, title: product.title, productId: product.id, dryRun: true };
+      }
       
       if (isLoggingEnabled) {
         logger.info('SHOPIFY_DRAFT', 'Making product draft', {
@@ -1115,6 +1844,8 @@ class ShopifyClient {
           });
         }
 
+        this.trackStatusChange(firstSku, product, 'DRAFT');
+
         return {
           success: true,
           sku: firstSku,
@@ -1124,7 +1855,7 @@ class ShopifyClient {
       }
 
     } catch (error) {
-      const firstSku = product.variants.nodes[0]?.sku || 'unknown';
+      const firstSku = product.variants.nodes[0]?.inventoryItem?.sku || 'unknown';
       
       if (isLoggingEnabled) {
         logger.error('SHOPIFY_DRAFT', 'Failed to make product draft', {
@@ -1150,7 +1881,20 @@ class ShopifyClient {
    */
   async makeProductActive(product) {
     try {
-      const firstSku = product.variants.nodes[0]?.sku || 'unknown';
+      const firstSku = product.variants.nodes[0]?.inventoryItem?.sku || 'unknown';
+
+      if (this.dryRun) {
+        if (product.status !== 'ACTIVE') {
+          this.plan?.addStatusChange({
+            sku: firstSku,
+            productId: product.id,
+            title: product.title,
+            from: product.status,
+            to: 'ACTIVE'
+          });
+        }
+        return { success: true, sku: firstSku, title: product.title, productId: product.id, dryRun: true };
+      }
       
       if (isLoggingEnabled) {
         logger.info('SHOPIFY_ACTIVE', 'Making product active', {
@@ -1207,6 +1951,8 @@ class ShopifyClient {
           });
         }
 
+        this.trackStatusChange(firstSku, product, 'ACTIVE');
+
         // Publish product to online channel after making it active
         await this.publishProductToChannel(product);
 
@@ -1219,7 +1965,7 @@ class ShopifyClient {
       }
 
     } catch (error) {
-      const firstSku = product.variants.nodes[0]?.sku || 'unknown';
+      const firstSku = product.variants.nodes[0]?.inventoryItem?.sku || 'unknown';
       
       if (isLoggingEnabled) {
         logger.error('SHOPIFY_ACTIVE', 'Failed to make product active', {
@@ -1246,7 +1992,7 @@ class ShopifyClient {
    */
   async publishProductToChannel(product, channelId = null) {
     try {
-      const firstSku = product.variants.nodes[0]?.sku || 'unknown';
+      const firstSku = product.variants.nodes[0]?.inventoryItem?.sku || 'unknown';
       
       // Get channel ID if not provided (use cache if available)
       let targetChannelId = channelId;
@@ -1339,7 +2085,7 @@ class ShopifyClient {
       }
 
     } catch (error) {
-      const firstSku = product.variants.nodes[0]?.sku || 'unknown';
+      const firstSku = product.variants.nodes[0]?.inventoryItem?.sku || 'unknown';
       
       if (isLoggingEnabled) {
         logger.error('SHOPIFY_PUBLISH', 'Failed to publish product', {
@@ -1349,13 +2095,64 @@ class ShopifyClient {
         });
       }
 
-      return {
-        success: false,
-        sku: firstSku,
-        title: product.title,
-        error: error.message
-      };
-    }
+      return {
+        success: false,
+        sku: firstSku,
+        title: product.title,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Find managed, non-draft Shopify products the update step drafts for having no EET stock
+   * Does not send any mutation, so the result can be checked before drafting
+   * @param {Array} eetItems - EET price and stock items
+   * @returns {Array} Products that would be drafted
+   */
+  findOutOfStockProducts(eetItems) {
+    return eetItems
+      .filter(eetItem => (eetItem.Stock || []).length === 0)
+      .map(eetItem => this.findProductBySKU(eetItem.ItemId))
+      .filter(product => product && product.status !== 'DRAFT' && this.isManagedProduct(product));
+  }
+
+  /**
+   * Find managed, non-draft Shopify products that are not in the EET list
+   * Does not send any mutation, so the result can be checked before drafting
+   * @param {Array} shopifyProducts - Array of all Shopify products
+   * @param {Array} eetProducts - Array of EET products
+   * @returns {Object} { orphanedProducts, alreadyDraftCount, unmanagedCount }
+   */
+  findOrphanedProducts(shopifyProducts, eetProducts) {
+    // Create EET SKU set for fast lookup
+    const eetSkus = new Set(eetProducts.map(p => p.varenr));
+    
+    // Find Shopify products not in EET list (excluding already draft products)
+    let alreadyDraftCount = 0;
+    let unmanagedCount = 0;
+    const orphanedProducts = shopifyProducts.filter(shopifyProduct => {
+      // Skip if product is already in draft status
+      if (shopifyProduct.status === 'DRAFT') {
+        alreadyDraftCount++;
+        return false;
+      }
+
+      // Never touch products the sync does not own
+      if (!this.isManagedProduct(shopifyProduct)) {
+        unmanagedCount++;
+        return false;
+      }
+      
+      if (shopifyProduct.variants && shopifyProduct.variants.nodes) {
+        return shopifyProduct.variants.nodes.some(variant => 
+          variant.inventoryItem && variant.inventoryItem.sku && !eetSkus.has(variant.inventoryItem.sku)
+        );
+      }
+      return false;
+    });
+
+    return { orphanedProducts, alreadyDraftCount, unmanagedCount };
   }
 
   /**
@@ -1370,25 +2167,11 @@ class ShopifyClient {
         logger.info('SHOPIFY_DRAFT', 'Starting to identify orphaned products');
       }
 
-      // Create EET SKU set for fast lookup
-      const eetSkus = new Set(eetProducts.map(p => p.varenr));
-      
-      // Find Shopify products not in EET list (excluding already draft products)
-      let alreadyDraftCount = 0;
-      const shopifyProductsNotInEET = shopifyProducts.filter(shopifyProduct => {
-        // Skip if product is already in draft status
-        if (shopifyProduct.status === 'DRAFT') {
-          alreadyDraftCount++;
-          return false;
-        }
-        
-        if (shopifyProduct.variants && shopifyProduct.variants.nodes) {
-          return shopifyProduct.variants.nodes.some(variant => 
-            variant.inventoryItem && variant.inventoryItem.sku && !eetSkus.has(variant.inventoryItem.sku)
-          );
-        }
-        return false;
-      });
+      const {
+        orphanedProducts: shopifyProductsNotInEET,
+        alreadyDraftCount,
+        unmanagedCount
+      } = this.findOrphanedProducts(shopifyProducts, eetProducts);
 
       if (isLoggingEnabled) {
         if (alreadyDraftCount > 0) {
@@ -1396,6 +2179,11 @@ class ShopifyClient {
             count: alreadyDraftCount
           });
         }
+        if (unmanagedCount > 0) {
+          logger.info('SHOPIFY_DRAFT', 'Skipped products not managed by the EET sync', {
+            count: unmanagedCount
+          });
+        }
       }
 
       if (shopifyProductsNotInEET.length === 0) {
@@ -1403,7 +2191,8 @@ class ShopifyClient {
           totalProducts: 0,
           successCount: 0,
           errorCount: 0,
-          errors: []
+          errors: [],
+          draftedSkus: []
         };
       }
       
@@ -1416,12 +2205,14 @@ class ShopifyClient {
       let draftSuccessCount = 0;
       let draftErrorCount = 0;
       const draftErrors = [];
+      const draftedSkus = [];
 
-      for (const product of shopifyProductsNotInEET) {
+      await this.runConcurrently(shopifyProductsNotInEET, async (product) => {
         const result = await this.makeProductDraft(product);
 
         if (result.success) {
           draftSuccessCount++;
+          draftedSkus.push(result.sku);
         } else {
           draftErrorCount++;
           draftErrors.push({
@@ -1431,9 +2222,7 @@ class ShopifyClient {
           });
           console.log(`❌ Failed to make draft: ${result.title} - ${result.error}`);
         }
-
-        await new Promise(resolve => setTimeout(resolve, 200));
-      }
+      });
 
       if (isLoggingEnabled) {
         logger.info('SHOPIFY_DRAFT', 'Draft process completed', {
@@ -1449,7 +2238,8 @@ class ShopifyClient {
         totalProducts: shopifyProductsNotInEET.length,
         successCount: draftSuccessCount,
         errorCount: draftErrorCount,
-        errors: draftErrors
+        errors: draftErrors,
+        draftedSkus
       };
 
     } catch (error) {
@@ -1496,6 +2286,11 @@ class ShopifyClient {
         return { success: false, error };
       }
 
+      // Nothing to send when Shopify already has the requested quantity
+      if (newQuantity !== null && newQuantity !== undefined && variant.inventoryQuantity === newQuantity) {
+        return { success: true, sku, productId: product.id, quantity: newQuantity, unchanged: true };
+      }
+
       // Update inventory if provided
       if (newQuantity !== null && newQuantity !== undefined && variant.inventoryItem && variant.inventoryQuantity !== newQuantity) {
         try {
@@ -1504,6 +2299,11 @@ class ShopifyClient {
             const oldQuantity = variant.inventoryQuantity;
             const inventoryQuantity = newQuantity - oldQuantity;
 
+            if (this.dryRun) {
+              this.plan?.addInventoryChange({ sku, productId: product.id, oldQuantity, newQuantity });
+              return { success: true, sku, productId: product.id, quantity: newQuantity, dryRun: true };
+            }
+
             const inventoryMutation = `
               mutation {
                 inventoryAdjustQuantities(
@@ -1554,6 +2354,8 @@ class ShopifyClient {
                   adjustmentGroupId: inventoryResponse.data.inventoryAdjustQuantities.inventoryAdjustmentGroup.id
                 });
               }
+
+              this.trackQuantityChange(sku, product, variant, newQuantity);
               
               return {
                 success: true,
@@ -1619,14 +2421,405 @@ class ShopifyClient {
     }
   }
 
+  /**
+   * Convert the price passed to updateProductPrice into the variant price sent to Shopify
+   * Shared by the per-SKU and the bulk path so both send identical prices
+   * @param {Money} newPrice - Sale price from the pricing rules
+   * @returns {string} Variant price with two decimals
+   */
+  formatVariantPrice(newPrice) {
+    return newPrice.toString();
+  }
+
+  /**
+   * Convert the cost passed to updateProductPrice into the inventory item cost sent to Shopify
+   * @param {Money} cost - EET cost excluding VAT
+   * @returns {string} Cost with two decimals
+   */
+  formatVariantCost(cost) {
+    return cost.toString();
+  }
+
+  /**
+   * Convert the compare-at price passed to updateProductPrice into the value sent to Shopify
+   * @param {Money|string|null|undefined} compareAtPrice - Compare-at price, null to clear it, undefined to leave it
+   * @returns {string|null|undefined} Compare-at price with two decimals, null or undefined
+   */
+  formatCompareAtPrice(compareAtPrice) {
+    if (compareAtPrice === null || compareAtPrice === undefined) {
+      return compareAtPrice;
+    }
+    return compareAtPrice.toString();
+  }
+
+  /**
+   * Check whether a Shopify variant compare-at price differs from a new one
+   * @param {string|null} variantCompareAt - Current variant compare-at price
+   * @param {string|null|undefined} compareAtPrice - Formatted new compare-at price (undefined when not sent)
+   * @returns {boolean} True if the compare-at price changes
+   */
+  isCompareAtChanged(variantCompareAt, compareAtPrice) {
+    if (compareAtPrice === undefined) {
+      return false;
+    }
+    const current = Money.parse(variantCompareAt);
+    const next = Money.parse(compareAtPrice);
+    return (current?.minor ?? null) !== (next?.minor ?? null);
+  }
+
+  /**
+   * Get the compare-at fields of a planned price change
+   * @param {Object} variant - Variant holding the current compare-at price
+   * @param {string|null|undefined} compareAtPrice - Formatted new compare-at price (undefined when not sent)
+   * @returns {Object} { oldCompareAt, newCompareAt }, empty when the compare-at price is not sent
+   */
+  describeCompareAtChange(variant, compareAtPrice) {
+    if (compareAtPrice === undefined) {
+      return {};
+    }
+    return { oldCompareAt: variant.compareAtPrice ?? null, newCompareAt: compareAtPrice };
+  }
+
+  /**
+   * Check whether a Shopify variant price differs from a new price
+   * Compared in minor units, as Shopify returns prices as strings such as "1249.9"
+   * @param {string} variantPrice - Current variant price
+   * @param {Money} newPrice - New price
+   * @returns {boolean} True if the prices differ
+   */
+  isPriceChanged(variantPrice, newPrice) {
+    return Money.parse(variantPrice, newPrice)?.minor !== newPrice.minor;
+  }
+
+  /**
+   * Split changes into ones that can be sent and failures for missing products/variants
+   * @param {Array} changes - Changes with sku and product
+   * @returns {Object} { valid, failed } where valid changes carry their first variant
+   */
+  partitionBulkChanges(changes) {
+    const valid = [];
+    const failed = [];
+
+    for (const change of changes) {
+      const variant = change.product?.variants?.nodes?.[0];
+      if (!change.product) {
+        failed.push({ sku: change.sku, success: false, error: `Product with SKU ${change.sku} not found` });
+      } else if (!variant) {
+        failed.push({ sku: change.sku, success: false, error: `No variants found for product ${change.sku}` });
+      } else {
+        valid.push({ ...change, variant });
+      }
+    }
+
+    return { valid, failed };
+  }
+
+  /**
+   * Turn one bulk mutation result line into a per-SKU result
+   * @param {Object} change - Change the line was built from
+   * @param {Object|null} payload - Mutation payload from the result line
+   * @param {Object} extra - Extra fields for successful results
+   * @returns {Object} Result with success/error info
+   */
+  toBulkResult(change, payload, extra = {}) {
+    if (!payload) {
+      return { sku: change.sku, success: false, error: 'No result returned for this line' };
+    }
+    if (payload.userErrors && payload.userErrors.length > 0) {
+      return { sku: change.sku, success: false, error: payload.userErrors.map(e => e.message).join(', ') };
+    }
+    return { sku: change.sku, success: true, productId: change.product.id, ...extra };
+  }
+
+  /**
+   * Update variant prices and costs for many SKUs with one bulk mutation
+   * @param {Array} changes - [{ sku, product, price, cost, rule, compareAtPrice }] with the same units as updateProductPrice
+   * @returns {Promise<Array>} Per-SKU results
+   */
+  async bulkUpdateVariantPrices(changes) {
+    const { valid, failed } = this.partitionBulkChanges(changes);
+    const lines = valid.map(change => ({
+      ...change,
+      newPrice: this.formatVariantPrice(change.price),
+      newCost: this.formatVariantCost(change.cost),
+      newCompareAt: this.formatCompareAtPrice(change.compareAtPrice)
+    }));
+
+    if (this.dryRun) {
+      lines.forEach(line => {
+        if (this.isPriceChanged(line.variant.price, line.price) ||
+            this.isCompareAtChanged(line.variant.compareAtPrice, line.newCompareAt)) {
+          this.plan?.addPriceChange({
+            sku: line.sku,
+            productId: line.product.id,
+            oldPrice: line.variant.price,
+            newPrice: line.newPrice,
+            cost: line.newCost,
+            rule: line.rule,
+            ...this.describeCompareAtChange(line.variant, line.newCompareAt)
+          });
+        }
+      });
+      return [...failed, ...lines.map(line => ({ sku: line.sku, success: true, dryRun: true }))];
+    }
+
+    const mutation = `
+      mutation productVariantsBulkUpdate($productId: ID!, $variants: [ProductVariantsBulkInput!]!) {
+        productVariantsBulkUpdate(productId: $productId, variants: $variants) {
+          productVariants {
+            id
+            price
+          }
+          userErrors {
+            field
+            message
+          }
+        }
+      }
+    `;
+
+    try {
+      const variablesList = lines.map(line => ({
+        productId: line.product.id,
+        variants: [{
+          id: line.variant.id,
+          price: line.newPrice,
+          ...(line.newCompareAt !== undefined ? { compareAtPrice: line.newCompareAt } : {}),
+          inventoryItem: { cost: line.newCost }
+        }]
+      }));
+
+      const responses = await new BulkOperation(this).runMutation(mutation, variablesList);
+      const results = lines.map((line, i) => this.toBulkResult(line, responses[i]?.productVariantsBulkUpdate, {
+        oldPrice: line.variant.price,
+        newPrice: line.newPrice
+      }));
+
+      results.forEach((result, i) => {
+        if (result.success) {
+          this.trackPriceChange(lines[i].sku, lines[i].product, lines[i].variant, lines[i].newPrice, lines[i].newCost, lines[i].newCompareAt);
+        }
+      });
+
+      if (isLoggingEnabled) {
+        logger.info('SHOPIFY_BULK_PRICE', 'Bulk price update completed', {
+          lineCount: lines.length,
+          successCount: results.filter(r => r.success).length,
+          errorCount: results.filter(r => !r.success).length + failed.length
+        });
+      }
+
+      return [...failed, ...results];
+    } catch (error) {
+      if (isLoggingEnabled) {
+        logger.error('SHOPIFY_BULK_PRICE', 'Bulk price update failed', {
+          lineCount: lines.length,
+          error: error.message
+        });
+      }
+      return [...failed, ...lines.map(line => ({ sku: line.sku, success: false, error: error.message }))];
+    }
+  }
+
+  /**
+   * Write the stock object metafield for many SKUs with one bulk mutation
+   * @param {Array} changes - [{ sku, product, stockObject }]
+   * @returns {Promise<Array>} Per-SKU results
+   */
+  async bulkUpdateStockObjects(changes) {
+    const { valid, failed } = this.partitionBulkChanges(changes);
+
+    if (this.dryRun) {
+      return [...failed, ...valid.map(change => ({ sku: change.sku, success: true, dryRun: true }))];
+    }
+
+    const mutation = `
+      mutation metafieldsSet($metafields: [MetafieldsSetInput!]!) {
+        metafieldsSet(metafields: $metafields) {
+          metafields {
+            id
+          }
+          userErrors {
+            field
+            message
+          }
+        }
+      }
+    `;
+
+    try {
+      const variablesList = valid.map(change => ({
+        metafields: [{
+          ownerId: change.product.id,
+          namespace: 'streamsupply',
+          key: 'stock_object',
+          type: 'json',
+          value: JSON.stringify(change.stockObject)
+        }]
+      }));
+
+      const responses = await new BulkOperation(this).runMutation(mutation, variablesList);
+      const results = valid.map((change, i) => this.toBulkResult(change, responses[i]?.metafieldsSet));
+
+      if (isLoggingEnabled) {
+        logger.info('SHOPIFY_BULK_STOCK_OBJECT', 'Bulk stock object update completed', {
+          lineCount: valid.length,
+          successCount: results.filter(r => r.success).length,
+          errorCount: results.filter(r => !r.success).length + failed.length
+        });
+      }
+
+      return [...failed, ...results];
+    } catch (error) {
+      if (isLoggingEnabled) {
+        logger.error('SHOPIFY_BULK_STOCK_OBJECT', 'Bulk stock object update failed', {
+          lineCount: valid.length,
+          error: error.message
+        });
+      }
+      return [...failed, ...valid.map(change => ({ sku: change.sku, success: false, error: error.message }))];
+    }
+  }
+
+  /**
+   * Set available quantities for many SKUs with multi-change inventorySetQuantities calls
+   * @param {Array} changes - [{ sku, product, quantity }]
+   * @param {number} batchSize - Quantities per call
+   * @returns {Promise<Array>} Per-SKU results
+   */
+  async setInventoryQuantities(changes, batchSize = 250) {
+    const { valid, failed } = this.partitionBulkChanges(changes);
+    const results = [...failed];
+    const pending = [];
+
+    for (const change of valid) {
+      const location = change.variant.inventoryItem?.inventoryLevels?.nodes?.[0]?.location;
+      if (!change.variant.inventoryItem || !location) {
+        results.push({ sku: change.sku, success: false, error: 'No inventory location found for product' });
+      } else if (change.variant.inventoryQuantity === change.quantity) {
+        results.push({ sku: change.sku, success: true, productId: change.product.id, quantity: change.quantity, unchanged: true });
+      } else {
+        pending.push({ ...change, inventoryItemId: change.variant.inventoryItem.id, locationId: location.id });
+      }
+    }
+
+    if (this.dryRun) {
+      pending.forEach(change => {
+        this.plan?.addInventoryChange({
+          sku: change.sku,
+          productId: change.product.id,
+          oldQuantity: change.variant.inventoryQuantity,
+          newQuantity: change.quantity
+        });
+        results.push({ sku: change.sku, success: true, dryRun: true });
+      });
+      return results;
+    }
+
+    const mutation = `
+      mutation inventorySetQuantities($input: InventorySetQuantitiesInput!) {
+        inventorySetQuantities(input: $input) {
+          inventoryAdjustmentGroup {
+            id
+          }
+          userErrors {
+            field
+            message
+          }
+        }
+      }
+    `;
+
+    const sendBatch = async (batch) => {
+      const response = await this.runGraphQL(mutation, {
+        input: {
+          name: 'available',
+          reason: 'correction',
+          ignoreCompareQuantity: true,
+          quantities: batch.map(change => ({
+            inventoryItemId: change.inventoryItemId,
+            locationId: change.locationId,
+            quantity: change.quantity
+          }))
+        }
+      });
+      return response.data.inventorySetQuantities;
+    };
+
+    for (let i = 0; i < pending.length; i += batchSize) {
+      let batch = pending.slice(i, i + batchSize);
+
+      try {
+        let payload = await sendBatch(batch);
+
+        // The call is all-or-nothing: drop the rejected quantities and retry the rest once
+        if (payload.userErrors.length > 0) {
+          const rejected = new Map();
+          for (const userError of payload.userErrors) {
+            const index = parseInt(userError.field?.[2]);
+            if (!Number.isNaN(index) && batch[index]) {
+              rejected.set(index, userError.message);
+            }
+          }
+
+          if (rejected.size === 0) {
+            throw new Error(payload.userErrors.map(e => e.message).join(', '));
+          }
+
+          rejected.forEach((message, index) => {
+            results.push({ sku: batch[index].sku, success: false, error: `Inventory update failed: ${message}` });
+          });
+          batch = batch.filter((change, index) => !rejected.has(index));
+
+          payload = batch.length > 0 ? await sendBatch(batch) : { userErrors: [] };
+          if (payload.userErrors.length > 0) {
+            throw new Error(payload.userErrors.map(e => e.message).join(', '));
+          }
+        }
+
+        batch.forEach(change => {
+          this.trackQuantityChange(change.sku, change.product, change.variant, change.quantity, change.locationId);
+          results.push({
+            sku: change.sku,
+            success: true,
+            productId: change.product.id,
+            quantity: change.quantity,
+            adjustmentGroupId: payload.inventoryAdjustmentGroup?.id
+          });
+        });
+      } catch (error) {
+        if (isLoggingEnabled) {
+          logger.error('SHOPIFY_UPDATE_INVENTORY', 'Inventory batch update failed', {
+            batchSize: batch.length,
+            error: error.message
+          });
+        }
+        batch.forEach(change => results.push({ sku: change.sku, success: false, error: `Inventory update error: ${error.message}` }));
+      }
+    }
+
+    if (isLoggingEnabled) {
+      logger.info('SHOPIFY_UPDATE_INVENTORY', 'Batched inventory update completed', {
+        totalChanges: changes.length,
+        successCount: results.filter(r => r.success).length,
+        errorCount: results.filter(r => !r.success).length
+      });
+    }
+
+    return results;
+  }
+
   /**
    * Update product price only
    * @param {string} sku - Product SKU to update
-   * @param {number} newPrice - New price in cents (will be converted to decimal)
-   * @param {Array} shopifyProducts - Array of all Shopify products
+   * @param {Money} newPrice - Sale price from the pricing rules
+   * @param {Object} product - Shopify product
+   * @param {Money} cost - EET cost excluding VAT
+   * @param {string} rule - Pricing rule that set the price, shown in the plan
+   * @param {Money|null|undefined} compareAtPrice - Compare-at price, null to clear it, undefined to leave it
    * @returns {Promise<Object>} Update result
    */
-  async updateProductPrice(sku, newPrice, product, cost) {
+  async updateProductPrice(sku, newPrice, product, cost, rule = null, compareAtPrice = undefined) {
     try {
       if (isLoggingEnabled) {
         logger.info('SHOPIFY_UPDATE_PRICE', 'Starting price update', {
@@ -1654,9 +2847,25 @@ class ShopifyClient {
       }
 
       // Update price if provided
-      if (newPrice !== null && newPrice !== undefined && variant.price !== newPrice) {
+      if (newPrice !== null && newPrice !== undefined) {
         try {
-          const priceInDecimal = (newPrice / 100 * (1 + priceStock)).toFixed(2);
+          const priceInDecimal = this.formatVariantPrice(newPrice);
+          const compareAtInDecimal = this.formatCompareAtPrice(compareAtPrice);
+
+          if (this.dryRun) {
+            if (this.isPriceChanged(variant.price, newPrice) || this.isCompareAtChanged(variant.compareAtPrice, compareAtInDecimal)) {
+              this.plan?.addPriceChange({
+                sku,
+                productId: product.id,
+                oldPrice: variant.price,
+                newPrice: priceInDecimal,
+                cost: this.formatVariantCost(cost),
+                rule,
+                ...this.describeCompareAtChange(variant, compareAtInDecimal)
+              });
+            }
+            return { success: true, sku, productId: product.id, oldPrice: variant.price, newPrice: priceInDecimal, dryRun: true };
+          }
           
           const priceUpdateMutation = `
             mutation {
@@ -1664,9 +2873,10 @@ class ShopifyClient {
                 productId: "${product.id}"
                 variants: {
                   id: "${variant.id}",
-                  price: "${priceInDecimal}",
+                  price: "${priceInDecimal}",${compareAtInDecimal === undefined ? '' : `
+                  compareAtPrice: ${compareAtInDecimal === null ? 'null' : `"${compareAtInDecimal}"`},`}
                   inventoryItem: {
-                    cost: "${(cost / 100).toFixed(2)}"
+                    cost: "${this.formatVariantCost(cost)}"
                   }
                 }
               ) {
@@ -1707,12 +2917,15 @@ class ShopifyClient {
                 newPrice: priceInDecimal
               });
             }
+
+            const oldPrice = variant.price;
+            this.trackPriceChange(sku, product, variant, priceInDecimal, this.formatVariantCost(cost), compareAtInDecimal);
             
             return {
               success: true,
               sku,
               productId: product.id,
-              oldPrice: variant.price,
+              oldPrice,
               newPrice: priceInDecimal
             };
           }
@@ -1759,6 +2972,244 @@ class ShopifyClient {
     }
   }
 
+  /**
+   * Find the price lists of the configured markets and read their current fixed prices
+   * A market without a price list, or whose price list has another currency than configured,
+   * is left out
+   * @param {Object} markets - market handle -> settings with currency, from MarketPricing
+   * @returns {Promise<Array<string>>} Handles of the markets whose prices can be synced
+   */
+  async loadMarketPriceLists(markets) {
+    const query = `
+      query {
+        markets(first: 50) {
+          nodes {
+            handle
+            name
+            priceList {
+              id
+              currency
+            }
+          }
+        }
+      }
+    `;
+
+    const response = await this.runGraphQL(query);
+    const shopMarkets = new Map((response.data?.markets?.nodes || []).map(market => [market.handle, market]));
+
+    for (const [handle, settings] of Object.entries(markets)) {
+      const market = shopMarkets.get(handle);
+      let problem = null;
+      if (!market) {
+        problem = 'market not found';
+      } else if (!market.priceList) {
+        problem = 'market has no price list';
+      } else if (market.priceList.currency !== settings.currency) {
+        problem = `price list currency is ${market.priceList.currency}, configured ${settings.currency}`;
+      }
+
+      if (problem) {
+        console.log(`⚠️  Skipping market ${handle}: ${problem}`);
+        if (isLoggingEnabled) {
+          logger.warn('MARKET_PRICE', 'Market skipped', { market: handle, problem });
+        }
+        continue;
+      }
+
+      this.marketPriceLists.set(handle, {
+        priceListId: market.priceList.id,
+        currency: market.priceList.currency,
+        fixedPrices: await this.getFixedPrices(market.priceList.id)
+      });
+    }
+
+    if (isLoggingEnabled) {
+      logger.info('MARKET_PRICE', 'Market price lists loaded', {
+        markets: [...this.marketPriceLists.entries()].map(([handle, priceList]) => ({
+          handle,
+          priceListId: priceList.priceListId,
+          currency: priceList.currency,
+          fixedPriceCount: priceList.fixedPrices.size
+        }))
+      });
+    }
+
+    return [...this.marketPriceLists.keys()];
+  }
+
+  /**
+   * Read the fixed prices of a price list
+   * @param {string} priceListId - Price list ID
+   * @returns {Promise<Map>} variant ID -> price amount
+   */
+  async getFixedPrices(priceListId) {
+    const query = `
+      query getFixedPrices($id: ID!, $cursor: String) {
+        priceList(id: $id) {
+          prices(first: 250, after: $cursor, originType: FIXED) {
+            nodes {
+              variant {
+                id
+              }
+              price {
+                amount
+              }
+            }
+            pageInfo {
+              hasNextPage
+              endCursor
+            }
+          }
+        }
+      }
+    `;
+
+    const fixedPrices = new Map();
+    let cursor = null;
+    do {
+      const response = await this.runGraphQL(query, { id: priceListId, cursor });
+      const prices = response.data?.priceList?.prices;
+      (prices?.nodes || []).forEach(node => fixedPrices.set(node.variant.id, node.price.amount));
+      cursor = prices?.pageInfo?.hasNextPage ? prices.pageInfo.endCursor : null;
+    } while (cursor);
+
+    return fixedPrices;
+  }
+
+  /**
+   * Record a sent market price change in the change log and the price list cache
+   * @param {string} sku - Product SKU
+   * @param {Object} product - Shopify product
+   * @param {Object} line - Market price line: { market, priceListId, variantId, oldPrice, amount, currencyCode }
+   */
+  trackMarketPriceChange(sku, product, line) {
+    this.changeLog?.record({
+      type: 'market_price',
+      sku,
+      productId: product.id,
+      variantId: line.variantId,
+      market: line.market,
+      priceListId: line.priceListId,
+      currencyCode: line.currencyCode,
+      before: line.oldPrice,
+      after: line.amount
+    });
+    this.marketPriceLists.get(line.market)?.fixedPrices.set(line.variantId, line.amount);
+  }
+
+  /**
+   * Set the fixed prices of products on the market price lists (priceListFixedPricesAdd)
+   * Prices equal to the current fixed price are not sent again
+   * @param {Array} changes - [{ sku, product, prices: [{ market, amount, currencyCode }] }] from MarketPricing
+   * @param {number} batchSize - Prices per mutation (Shopify accepts up to 250)
+   * @returns {Promise<Array>} Per-SKU results
+   */
+  async updateMarketPrices(changes, batchSize = 250) {
+    const { valid, failed } = this.partitionBulkChanges(changes);
+    const errorsBySku = new Map();
+    const linesByPriceList = new Map();
+
+    for (const change of valid) {
+      for (const price of change.prices) {
+        const priceList = this.marketPriceLists.get(price.market);
+        if (!priceList) {
+          errorsBySku.set(change.sku, `Price list of market ${price.market} not loaded`);
+          continue;
+        }
+
+        const oldPrice = priceList.fixedPrices.get(change.variant.id) ?? null;
+        if (oldPrice !== null && Money.parse(oldPrice)?.minor === Money.parse(price.amount).minor) {
+          continue;
+        }
+
+        const lines = linesByPriceList.get(priceList.priceListId) || [];
+        lines.push({ ...price, change, oldPrice, priceListId: priceList.priceListId, variantId: change.variant.id });
+        linesByPriceList.set(priceList.priceListId, lines);
+      }
+    }
+
+    if (this.dryRun) {
+      linesByPriceList.forEach(lines => lines.forEach(line => {
+        this.plan?.addMarketPriceChange({
+          sku: line.change.sku,
+          productId: line.change.product.id,
+          market: line.market,
+          oldPrice: line.oldPrice,
+          newPrice: line.amount,
+          currencyCode: line.currencyCode
+        });
+      }));
+    } else {
+      const mutation = `
+        mutation priceListFixedPricesAdd($priceListId: ID!, $prices: [PriceListPriceInput!]!) {
+          priceListFixedPricesAdd(priceListId: $priceListId, prices: $prices) {
+            prices {
+              variant {
+                id
+              }
+            }
+            userErrors {
+              field
+              code
+              message
+            }
+          }
+        }
+      `;
+
+      for (const [priceListId, lines] of linesByPriceList) {
+        for (let i = 0; i < lines.length; i += batchSize) {
+          const batch = lines.slice(i, i + batchSize);
+
+          try {
+            const response = await this.runGraphQL(mutation, {
+              priceListId,
+              prices: batch.map(line => ({
+                variantId: line.variantId,
+                price: { amount: line.amount, currencyCode: line.currencyCode }
+              }))
+            });
+            const userErrors = response.data.priceListFixedPricesAdd.userErrors;
+
+            // A user error points at its price by index (["prices", "3", "price"]); without one it fails the batch
+            const failedLines = new Map();
+            userErrors.forEach(userError => {
+              const index = parseInt(userError.field?.[1]);
+              const targets = isNaN(index) ? batch : [batch[index]];
+              targets.forEach(line => failedLines.set(line, userError.message));
+            });
+
+            batch.forEach(line => {
+              if (failedLines.has(line)) {
+                errorsBySku.set(line.change.sku, `Market price update failed for ${line.market}: ${failedLines.get(line)}`);
+              } else {
+                this.trackMarketPriceChange(line.change.sku, line.change.product, line);
+              }
+            });
+          } catch (error) {
+            batch.forEach(line => errorsBySku.set(line.change.sku, `Market price update error for ${line.market}: ${error.message}`));
+          }
+        }
+      }
+    }
+
+    const results = valid.map(change => (errorsBySku.has(change.sku)
+      ? { sku: change.sku, success: false, error: errorsBySku.get(change.sku) }
+      : { sku: change.sku, success: true, productId: change.product.id, ...(this.dryRun ? { dryRun: true } : {}) }));
+
+    if (isLoggingEnabled) {
+      logger.info('MARKET_PRICE', 'Market prices updated', {
+        productCount: changes.length,
+        priceCount: [...linesByPriceList.values()].reduce((sum, lines) => sum + lines.length, 0),
+        errorCount: results.filter(r => !r.success).length + failed.length,
+        dryRun: this.dryRun
+      });
+    }
+
+    return [...failed, ...results];
+  }
+
   /**
    * Get the online channel ID from Shopify
    * @returns {Promise<string|null>} Online channel ID or null if not found
@@ -1851,6 +3302,10 @@ class ShopifyClient {
         return { success: false, error };
       }
 
+      if (this.dryRun) {
+        return { success: true, sku, dryRun: true };
+      }
+
       const stockObjectMutation = `
         mutation productUpdate {
           productUpdate(
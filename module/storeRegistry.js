@@ -0,0 +1,174 @@
+import fs from 'fs';
+import path from 'path';
+import logger from './logger.js';
+
+// Check if logging is disabled
+const isLoggingEnabled = process.env.LOGGING !== 'false';
+
+// The stores configured in .env when there is no config/stores.json
+const envStores = ['development', 'production'];
+
+/**
+ * Store registry
+ * The Shopify stores fed from the one EET file, read from config/stores.json. Each store has
+ * its own domain, token, API version, filter file, pricing, tax mode, markets and schedule, and keeps its
+ * state (journal, change logs, snapshot, safety state) in tmp_data/stores/<name>.
+ * Without config/stores.json the single store from .env is used, selected by PRODUCTION
+ */
+class StoreRegistry {
+  /**
+   * @param {string} configPath - Registry file
+   */
+  constructor(configPath = 'config/stores.json') {
+    this.configPath = configPath;
+    this.config = this.loadConfig();
+  }
+
+  /**
+   * Load the store registry from config/stores.json
+   * @returns {Object} Registry configuration ({} when there is no registry)
+   */
+  loadConfig() {
+    // The registry is optional; without it the sync works on the single store from .env
+    if (!fs.existsSync(this.configPath)) {
+      return {};
+    }
+
+    try {
+      const configData = fs.readFileSync(this.configPath, 'utf8');
+      return JSON.parse(configData);
+    } catch (error) {
+      console.error('Error loading stores config:', error.message);
+      return {};
+    }
+  }
+
+  /**
+   * Check whether config/stores.json defines any store
+   * @returns {boolean} True when the registry is in use
+   */
+  hasRegistry() {
+    return Object.keys(this.config.stores || {}).length > 0;
+  }
+
+  /**
+   * Get the stores a run works on
+   * @param {Array<string>} names - Store names from --store (all stores when empty)
+   * @returns {Array<Object>} Stores, see fromConfig
+   * @throws {Error} When a name is not in the registry
+   */
+  getStores(names = []) {
+    if (!this.hasRegistry()) {
+      const envNames = names.length > 0 ? names : [process.env.PRODUCTION || 'development'];
+      return envNames.map(name => StoreRegistry.fromEnvironment(name));
+    }
+
+    const stores = this.config.stores;
+    const unknown = names.filter(name => !stores[name]);
+    if (unknown.length > 0) {
+      throw new Error(`Unknown store "${unknown.join('", "')}", expected one of: ${Object.keys(stores).join(', ')}`);
+    }
+
+    return (names.length > 0 ? names : Object.keys(stores))
+      .map(name => StoreRegistry.fromConfig(name, stores[name]));
+  }
+
+  /**
+   * Build a store from its registry entry
+   * The access token is read from the environment variable named in token_env, so no
+   * token is kept in the config file
+   * @param {string} name - Store name
+   * @param {Object} entry - Registry entry
+   * @returns {Object} { name, registered, shopDomain, accessToken, apiVersion, filterFile, priceMarkup, pricingFile, taxMode, country, marketsFile, language, schedule, dataDir }
+   */
+  static fromConfig(name, entry = {}) {
+    return {
+      name,
+      registered: true,
+      shopDomain: entry.domain,
+      accessToken: entry.token_env ? process.env[entry.token_env] : undefined,
+      apiVersion: entry.api_version || '2024-01',
+      filterFile: entry.filter_file || 'config/product-filter.json',
+      priceMarkup: entry.price_markup ?? (parseFloat(process.env.PRICE_STOCK) || 0),
+      pricingFile: entry.pricing_file || 'config/pricing-rules.json',
+      taxMode: entry.tax_mode || null,
+      country: entry.country || null,
+      marketsFile: entry.markets_file || 'config/markets.json',
+      language: entry.language || process.env.LANGUAGE || 'EN',
+      schedule: entry.schedule || {},
+      dataDir: path.join('tmp_data', 'stores', name)
+    };
+  }
+
+  /**
+   * Build the single store configured in .env
+   * development uses the SHOPIFY_TEST_STORE_* variables, production the SHOPIFY_PRODUCTION_STORE_* ones
+   * @param {string} name - development or production
+   * @returns {Object} Store, see fromConfig
+   * @throws {Error} For any other name, so a typo never reaches the production store
+   */
+  static fromEnvironment(name) {
+    if (!envStores.includes(name)) {
+      throw new Error(`Unknown store "${name}", expected one of: ${envStores.join(', ')}`);
+    }
+    const isDevelopment = name === 'development';
+
+    return {
+      name,
+      registered: false,
+      shopDomain: isDevelopment
+        ? process.env.SHOPIFY_TEST_STORE_ADMIN_URL
+        : process.env.SHOPIFY_PRODUCTION_STORE_ADMIN_URL,
+      accessToken: isDevelopment
+        ? process.env.SHOPIFY_TEST_STORE_ADMIN_API
+        : process.env.SHOPIFY_PRODUCTION_STORE_ADMIN_API,
+      apiVersion: '2024-01',
+      filterFile: 'config/product-filter.json',
+      priceMarkup: parseFloat(process.env.PRICE_STOCK) || 0,
+      pricingFile: 'config/pricing-rules.json',
+      taxMode: null,
+      country: null,
+      marketsFile: 'config/markets.json',
+      language: process.env.LANGUAGE || 'EN',
+      schedule: {},
+      dataDir: 'tmp_data'
+    };
+  }
+
+  /**
+   * Get the Shopify client settings of a store
+   * @param {Object} store - Store from getStores
+   * @returns {Object} { shopDomain, accessToken, apiVersion, priceMarkup, pricingFile, taxMode, country, storeName }
+   * @throws {Error} When the domain or token is missing
+   */
+  static getShopifyConfig(store) {
+    if (!store.shopDomain || !store.accessToken) {
+      if (isLoggingEnabled) {
+        logger.error('CONFIG', 'Failed to load Shopify config', { store: store.name });
+      }
+      throw new Error(`Shopify configuration error: Missing Shopify configuration for ${store.name} ${store.registered ? 'store' : 'environment'}`);
+    }
+
+    if (isLoggingEnabled) {
+      logger.info('CONFIG', 'Shopify configuration loaded', {
+        store: store.name,
+        shopDomain: store.shopDomain.replace(/\.myshopify\.com$/, ''),
+        apiVersion: store.apiVersion,
+        hasAccessToken: true
+      });
+    }
+
+    return {
+      shopDomain: store.shopDomain,
+      accessToken: store.accessToken,
+      apiVersion: store.apiVersion,
+      priceMarkup: store.priceMarkup,
+      pricingFile: store.pricingFile,
+      taxMode: store.taxMode,
+      country: store.country,
+      storeName: store.name
+    };
+  }
+}
+
+export default StoreRegistry;
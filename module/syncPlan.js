@@ -0,0 +1,235 @@
+import fs from 'fs';
+import path from 'path';
+
+/**
+ * Sync plan for dry-run mode
+ * Collects every mutation the sync would send to Shopify instead of executing it
+ */
+class SyncPlan {
+  constructor() {
+    this.createdAt = new Date().toISOString();
+    this.creates = [];
+    this.priceChanges = [];
+    this.marketPriceChanges = [];
+    this.inventoryChanges = [];
+    this.statusChanges = [];
+    this.tagAdditions = [];
+    this.translations = [];
+  }
+
+  /**
+   * Record a product that would be created
+   * @param {Object} productData - Mapped Shopify product data
+   */
+  addCreate(productData) {
+    const variant = productData.variants?.[0] || {};
+    this.creates.push({
+      sku: variant.sku || '',
+      title: productData.title,
+      vendor: productData.vendor,
+      productType: productData.productType,
+      price: variant.price,
+      inventoryQuantity: variant.inventoryQuantity || 0
+    });
+  }
+
+  /**
+   * Record a variant price change
+   * @param {Object} change - { sku, productId, oldPrice, newPrice, cost, rule }, plus
+   *   oldCompareAt and newCompareAt when the compare-at price is sent
+   */
+  addPriceChange(change) {
+    this.priceChanges.push(change);
+  }
+
+  /**
+   * Record a fixed price change on a market's price list
+   * @param {Object} change - { sku, productId, market, oldPrice, newPrice, currencyCode }
+   */
+  addMarketPriceChange(change) {
+    this.marketPriceChanges.push(change);
+  }
+
+  /**
+   * Record an inventory change
+   * @param {Object} change - { sku, productId, oldQuantity, newQuantity }
+   */
+  addInventoryChange(change) {
+    this.inventoryChanges.push({
+      ...change,
+      delta: change.newQuantity - change.oldQuantity
+    });
+  }
+
+  /**
+   * Record a product status transition (ACTIVE/DRAFT)
+   * @param {Object} change - { sku, productId, title, from, to }
+   */
+  addStatusChange(change) {
+    this.statusChanges.push(change);
+  }
+
+  /**
+   * Record tags that would be added to a product
+   * @param {Object} change - { productId, tags }
+   */
+  addTags(change) {
+    this.tagAdditions.push(change);
+  }
+
+  /**
+   * Record translations that would be registered for a product
+   * @param {Object} change - { sku, productId, locale, content }
+   */
+  addTranslation(change) {
+    this.translations.push(change);
+  }
+
+  /**
+   * Get summary counts for the plan
+   * @returns {Object} Counts per change type
+   */
+  getSummary() {
+    return {
+      creates: this.creates.length,
+      priceChanges: this.priceChanges.length,
+      marketPriceChanges: this.marketPriceChanges.length,
+      inventoryChanges: this.inventoryChanges.length,
+      statusChanges: this.statusChanges.length,
+      tagAdditions: this.tagAdditions.length,
+      translations: this.translations.length
+    };
+  }
+
+  /**
+   * Get the plan as a plain JSON object
+   * @returns {Object} Plan data
+   */
+  toJSON() {
+    return {
+      metadata: {
+        createdAt: this.createdAt,
+        summary: this.getSummary()
+      },
+      creates: this.creates,
+      priceChanges: this.priceChanges,
+      marketPriceChanges: this.marketPriceChanges,
+      inventoryChanges: this.inventoryChanges,
+      statusChanges: this.statusChanges,
+      tagAdditions: this.tagAdditions,
+      translations: this.translations
+    };
+  }
+
+  /**
+   * Format the plan as a readable text table
+   * @returns {string} Plan table
+   */
+  toTable() {
+    const lines = [];
+    const section = (title, count) => {
+      lines.push('');
+      lines.push(`${title} (${count})`);
+      lines.push('─'.repeat(100));
+    };
+    const cut = (value, length) => {
+      const str = value === null || value === undefined ? '' : String(value);
+      return str.length > length - 2 ? str.substring(0, length - 5) + '...' : str;
+    };
+
+    lines.push(`📋 Sync plan created at ${this.createdAt}`);
+    lines.push('═'.repeat(100));
+
+    section('Products to create', this.creates.length);
+    this.creates.forEach(c => {
+      lines.push(
+        cut(c.sku, 20).padEnd(20) +
+        cut(c.vendor, 15).padEnd(15) +
+        cut(c.title, 45).padEnd(45) +
+        String(c.price).padEnd(10) +
+        String(c.inventoryQuantity)
+      );
+    });
+
+    section('Price changes (old → new, cost, pricing rule)', this.priceChanges.length);
+    this.priceChanges.forEach(c => {
+      lines.push(
+        cut(c.sku, 20).padEnd(20) +
+        `${c.oldPrice} → ${c.newPrice}`.padEnd(30) +
+        `cost ${c.cost}`.padEnd(20) +
+        cut(c.rule, 30) +
+        ('newCompareAt' in c ? `  compare-at ${c.oldCompareAt ?? '-'} → ${c.newCompareAt ?? '-'}` : '')
+      );
+    });
+
+    section('Market price changes (old → new)', this.marketPriceChanges.length);
+    this.marketPriceChanges.forEach(c => {
+      lines.push(
+        cut(c.sku, 20).padEnd(20) +
+        cut(c.market, 10).padEnd(10) +
+        `${c.oldPrice ?? '-'} → ${c.newPrice} ${c.currencyCode}`
+      );
+    });
+
+    section('Inventory changes (old → new, delta)', this.inventoryChanges.length);
+    this.inventoryChanges.forEach(c => {
+      const delta = c.delta > 0 ? `+${c.delta}` : String(c.delta);
+      lines.push(
+        cut(c.sku, 20).padEnd(20) +
+        `${c.oldQuantity} → ${c.newQuantity}`.padEnd(30) +
+        delta
+      );
+    });
+
+    section('Status transitions', this.statusChanges.length);
+    this.statusChanges.forEach(c => {
+      lines.push(
+        cut(c.sku, 20).padEnd(20) +
+        `${c.from} → ${c.to}`.padEnd(30) +
+        cut(c.title, 50)
+      );
+    });
+
+    section('Tags to add', this.tagAdditions.length);
+    this.tagAdditions.forEach(c => {
+      lines.push(
+        cut(c.sku || c.productId, 40).padEnd(40) +
+        c.tags.join(', ')
+      );
+    });
+
+    section('Translations to register', this.translations.length);
+    this.translations.forEach(c => {
+      lines.push(
+        cut(c.sku, 20).padEnd(20) +
+        c.locale.padEnd(10) +
+        cut(c.content.title || Object.keys(c.content).join(', '), 70)
+      );
+    });
+
+    lines.push('═'.repeat(100));
+    return lines.join('\n');
+  }
+
+  /**
+   * Save the plan as JSON and as a text table
+   * @param {string} dir - Output directory
+   * @returns {Object} Paths of the written files
+   */
+  saveToFile(dir = 'tmp_data') {
+    if (!fs.existsSync(dir)) {
+      fs.mkdirSync(dir, { recursive: true });
+    }
+
+    const stamp = this.createdAt.replace(/[:.]/g, '-');
+    const jsonFile = path.join(dir, `sync-plan-${stamp}.json`);
+    const tableFile = path.join(dir, `sync-plan-${stamp}.txt`);
+
+    fs.writeFileSync(jsonFile, JSON.stringify(this.toJSON(), null, 2));
+    fs.writeFileSync(tableFile, this.toTable() + '\n');
+
+    return { jsonFile, tableFile };
+  }
+}
+
+export default SyncPlan;
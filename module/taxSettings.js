@@ -0,0 +1,120 @@
+import fs from 'fs';
+import Money from './money.js';
+import logger from './logger.js';
+
+// Check if logging is disabled
+const isLoggingEnabled = process.env.LOGGING !== 'false';
+
+// gross: prices include VAT (retail shops), net: prices exclude VAT (B2B shops)
+const taxModes = ['gross', 'net'];
+
+/**
+ * Tax settings of a store
+ * Decides whether sale prices include VAT and at which rate, from config/tax.json,
+ * TAX_MODE and the store's own tax_mode and country
+ */
+class TaxSettings {
+  /**
+   * @param {Object} options - Store settings
+   * @param {string} options.mode - gross or net (read from TAX_MODE or config/tax.json if omitted)
+   * @param {string} options.country - Country whose VAT rate applies (read from config/tax.json if omitted)
+   */
+  constructor(options = {}) {
+    this.config = this.loadConfig();
+    this.mode = options.mode || process.env.TAX_MODE || this.config.tax_mode || 'gross';
+    this.country = options.country || this.config.country || null;
+    this.vatRates = this.config.vat_rates || {};
+
+    if (!taxModes.includes(this.mode)) {
+      throw new Error(`Unknown tax mode "${this.mode}", expected one of: ${taxModes.join(', ')}`);
+    }
+  }
+
+  /**
+   * Load tax settings from config/tax.json
+   * @returns {Object} Tax configuration
+   */
+  loadConfig() {
+    try {
+      const configData = fs.readFileSync('config/tax.json', 'utf8');
+      return JSON.parse(configData);
+    } catch (error) {
+      console.error('Error loading tax config:', error.message);
+      return {};
+    }
+  }
+
+  /**
+   * Check whether sale prices include VAT
+   * @returns {boolean} True in gross mode
+   */
+  isGross() {
+    return this.mode === 'gross';
+  }
+
+  /**
+   * Get the VAT rate configured for a country
+   * @param {string} country - Country code, the store's country if omitted
+   * @returns {number|null} VAT rate, or null when the country has no override
+   */
+  getVatRate(country = this.country) {
+    return this.vatRates[country] ?? null;
+  }
+
+  /**
+   * Turn an EET cost into the price the pricing rules start from
+   * Net shops use the cost as is. Gross shops add the VAT rate of the store's country, or else
+   * VAT_RATE. The VAT amount EET returns is not used, so the EET file and the EET API give
+   * the same price
+   * @param {Money} cost - EET cost excluding VAT
+   * @returns {Money} Price including VAT (gross) or excluding VAT (net)
+   */
+  getBasePrice(cost) {
+    if (!this.isGross()) {
+      return cost;
+    }
+    return cost.withVat(this.getVatRate() ?? Money.defaultVatRate);
+  }
+
+  /**
+   * Get the base price and the cost from an EET price and stock item
+   * @param {Object} eetItem - EET price and stock item
+   * @returns {Object} { price, cost } as Money, the price including VAT in gross mode and
+   *   excluding it in net mode; both null when EET returned no price
+   */
+  getEETPrice(eetItem) {
+    const cost = eetItem.Price ? Money.parse(eetItem.Price.Price, { vatIncluded: false }) : null;
+    if (!cost) {
+      return { price: null, cost: null };
+    }
+    return { price: this.getBasePrice(cost), cost };
+  }
+
+  /**
+   * Compare the tax mode with the shop's "prices include tax" setting
+   * @param {boolean} taxesIncluded - Shopify shop.taxesIncluded
+   * @param {string} storeName - Store name for the warning
+   * @returns {string|null} Warning, or null when they agree
+   */
+  checkShop(taxesIncluded, storeName) {
+    if (taxesIncluded === null || taxesIncluded === undefined || taxesIncluded === this.isGross()) {
+      return null;
+    }
+
+    const warning = this.isGross()
+      ? `Tax mode is gross, but store ${storeName} does not include tax in its prices, so customers pay VAT twice`
+      : `Tax mode is net, but store ${storeName} includes tax in its prices, so VAT is taken out of the net prices`;
+
+    console.log(`⚠️  ${warning}`);
+    if (isLoggingEnabled) {
+      logger.warn('TAX', 'Tax mode does not match the shop', {
+        store: storeName,
+        taxMode: this.mode,
+        taxesIncluded
+      });
+    }
+    return warning;
+  }
+}
+
+export default TaxSettings;
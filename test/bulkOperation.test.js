@@ -0,0 +1,66 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import BulkOperation from '../module/bulkOperation.js';
+
+test('rebuilds nested products from flat bulk query lines', () => {
+  const lines = [
+    { id: 'gid://shopify/Product/1', title: 'Cable', status: 'ACTIVE' },
+    {
+      id: 'gid://shopify/ProductVariant/11',
+      price: '99.95',
+      inventoryItem: { id: 'gid://shopify/InventoryItem/111', sku: 'A1' },
+      __parentId: 'gid://shopify/Product/1'
+    },
+    { id: 'gid://shopify/InventoryLevel/1111', location: { id: 'gid://shopify/Location/1' }, __parentId: 'gid://shopify/ProductVariant/11' },
+    { id: 'gid://shopify/InventoryLevel/1112', location: { id: 'gid://shopify/Location/2' }, __parentId: 'gid://shopify/InventoryItem/111' },
+    { id: 'gid://shopify/Product/2', title: 'Mouse', status: 'DRAFT' }
+  ];
+
+  const products = BulkOperation.rebuildProducts(lines);
+
+  assert.equal(products.length, 2);
+  const variant = products[0].variants.nodes[0];
+  assert.equal(variant.inventoryItem.sku, 'A1');
+  assert.equal('__parentId' in variant, false);
+  assert.deepEqual(variant.inventoryItem.inventoryLevels.nodes.map(level => level.location.id), [
+    'gid://shopify/Location/1',
+    'gid://shopify/Location/2'
+  ]);
+  assert.deepEqual(products[1].variants.nodes, []);
+});
+
+test('waits until the bulk operation completes and fails on a final error status', async () => {
+  const statuses = ['CREATED', 'RUNNING', 'COMPLETED'];
+  const client = {
+    runGraphQL: async () => ({ data: { node: { id: 'op', status: statuses.shift(), url: null } } })
+  };
+
+  const operation = await new BulkOperation(client, { pollInterval: 1 }).waitForCompletion('op');
+  assert.equal(operation.status, 'COMPLETED');
+
+  const failing = { runGraphQL: async () => ({ data: { node: { id: 'op', status: 'FAILED', errorCode: 'TIMEOUT' } } }) };
+  await assert.rejects(
+    new BulkOperation(failing, { pollInterval: 1 }).waitForCompletion('op'),
+    /Bulk operation failed: TIMEOUT/
+  );
+});
+
+test('maps bulk mutation results back to their input lines', async () => {
+  const client = {
+    runGraphQL: async () => ({
+      data: { bulkOperationRunMutation: { bulkOperation: { id: 'op', status: 'CREATED' }, userErrors: [] } }
+    })
+  };
+  const bulk = new BulkOperation(client);
+  bulk.uploadVariables = async () => 'tmp/bulk_op_vars.jsonl';
+  bulk.waitForCompletion = async () => ({ status: 'COMPLETED', url: 'https://example.com/result.jsonl' });
+  bulk.downloadResults = async () => [
+    { data: { updated: 'third' }, __lineNumber: 2 },
+    { data: { updated: 'first' }, __lineNumber: 0 }
+  ];
+
+  const results = await bulk.runMutation('mutation', [{ a: 1 }, { a: 2 }, { a: 3 }]);
+
+  assert.deepEqual(results, [{ updated: 'first' }, null, { updated: 'third' }]);
+  assert.deepEqual(await bulk.runMutation('mutation', []), []);
+});
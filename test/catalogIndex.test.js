@@ -0,0 +1,58 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import CatalogIndex from '../module/catalogIndex.js';
+
+function product(id, sku, { barcode = null, mpn = null, status = 'ACTIVE' } = {}) {
+  return {
+    id: `gid://shopify/Product/${id}`,
+    status,
+    mpn: mpn ? { value: mpn } : null,
+    variants: { nodes: [{ id: `gid://shopify/ProductVariant/${id}`, barcode, inventoryItem: { sku } }] }
+  };
+}
+
+test('finds products by SKU, barcode, MPN and ID', () => {
+  const index = new CatalogIndex([
+    product(1, 'A1', { barcode: '5701234567890', mpn: 'MPN-1' }),
+    product(2, 'B1')
+  ]);
+
+  assert.equal(index.size, 2);
+  assert.equal(index.findBySku('A1').id, 'gid://shopify/Product/1');
+  assert.equal(index.findByBarcode('5701234567890').id, 'gid://shopify/Product/1');
+  assert.equal(index.findByMpn('MPN-1').id, 'gid://shopify/Product/1');
+  assert.equal(index.findById('gid://shopify/Product/2').variants.nodes[0].inventoryItem.sku, 'B1');
+  assert.equal(index.findBySku('C1'), null);
+});
+
+test('lists duplicate SKUs and keeps the first indexed product for lookups', () => {
+  const index = new CatalogIndex([product(1, 'A1'), product(2, 'A1'), product(3, 'B1')]);
+
+  assert.deepEqual(index.getDuplicateSkus(), [
+    { sku: 'A1', productIds: ['gid://shopify/Product/1', 'gid://shopify/Product/2'] }
+  ]);
+  assert.equal(index.findBySku('A1').id, 'gid://shopify/Product/1');
+
+  // A status change keeps the lookup order
+  index.update('gid://shopify/Product/1', { status: 'DRAFT' });
+  assert.equal(index.findBySku('A1').id, 'gid://shopify/Product/1');
+  assert.equal(index.findBySku('A1').status, 'DRAFT');
+});
+
+test('re-indexes a product when its SKU or barcode changes', () => {
+  const index = new CatalogIndex([product(1, 'A1', { barcode: '111' })]);
+
+  index.updateVariant('gid://shopify/Product/1', 'gid://shopify/ProductVariant/1', {
+    barcode: '222',
+    inventoryItem: { sku: 'A2' }
+  });
+
+  assert.equal(index.findBySku('A1'), null);
+  assert.equal(index.findByBarcode('111'), null);
+  assert.equal(index.findBySku('A2').id, 'gid://shopify/Product/1');
+  assert.equal(index.findByBarcode('222').id, 'gid://shopify/Product/1');
+
+  index.remove('gid://shopify/Product/1');
+  assert.equal(index.size, 0);
+  assert.equal(index.findBySku('A2'), null);
+});
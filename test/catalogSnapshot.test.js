@@ -0,0 +1,42 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import CatalogSnapshot from '../module/catalogSnapshot.js';
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'eet-snapshot-'));
+after(() => fs.rmSync(tmpDir, { recursive: true, force: true }));
+
+test('only values that differ from the last push count as changed', () => {
+  const snapshot = new CatalogSnapshot('a.myshopify.com', path.join(tmpDir, 'changes.json'));
+  snapshot.set('A1', { price: '99.95', quantity: 4, tags: ['eet-managed'] });
+
+  assert.equal(snapshot.hasChanged('A1', 'price', '99.95'), false);
+  assert.equal(snapshot.hasChanged('A1', 'tags', ['eet-managed']), false);
+  assert.equal(snapshot.hasChanged('A1', 'quantity', 5), true);
+  assert.equal(snapshot.hasChanged('A1', 'status', 'ACTIVE'), true);
+  assert.equal(snapshot.hasChanged('B1', 'price', '99.95'), true);
+
+  snapshot.remove('A1');
+  assert.equal(snapshot.get('A1'), null);
+});
+
+test('a saved snapshot loads back for the same store only', () => {
+  const filePath = path.join(tmpDir, 'stores.json');
+  const snapshot = new CatalogSnapshot('a.myshopify.com', filePath);
+  snapshot.set('A1', { price: '99.95' });
+  snapshot.save();
+
+  assert.equal(new CatalogSnapshot('a.myshopify.com', filePath).load().get('A1').price, '99.95');
+  assert.equal(new CatalogSnapshot('b.myshopify.com', filePath).load().get('A1'), null);
+});
+
+test('an unreadable snapshot starts empty', () => {
+  const filePath = path.join(tmpDir, 'broken.json');
+  fs.writeFileSync(filePath, '{ not json');
+
+  const snapshot = new CatalogSnapshot('a.myshopify.com', filePath).load();
+
+  assert.deepEqual(snapshot.entries, {});
+});
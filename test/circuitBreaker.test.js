@@ -0,0 +1,68 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import CircuitBreaker from '../module/circuitBreaker.js';
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'eet-safety-'));
+after(() => fs.rmSync(tmpDir, { recursive: true, force: true }));
+
+/**
+ * Create a breaker with fixed thresholds and its own state file
+ * @param {Object} options - Breaker options
+ * @returns {CircuitBreaker} Breaker
+ */
+function createBreaker(options = {}) {
+  const breaker = new CircuitBreaker({ statePath: path.join(tmpDir, 'state.json'), ...options });
+  breaker.config = { max_draft_percent: 20, max_price_change_percent: 50, min_csv_rows_percent: 80 };
+  return breaker;
+}
+
+test('changes within the thresholds pass', async () => {
+  const breaker = createBreaker();
+  breaker.checkDraftRatio(2, 10);
+  breaker.checkPriceChanges([{ sku: 'A1', oldPrice: 100, newPrice: 149 }]);
+  breaker.checkCsvRowCount(10);
+
+  assert.deepEqual(breaker.trips, []);
+  await breaker.enforce();
+});
+
+test('too many drafts, large price changes and a short EET file trip their breakers', async () => {
+  const statePath = path.join(tmpDir, 'short.json');
+  createBreaker({ statePath }).saveState({ csvRowCount: 1000 });
+  const breaker = createBreaker({ statePath });
+
+  breaker.checkDraftRatio(3, 10);
+  breaker.checkPriceChanges([
+    { sku: 'A1', oldPrice: 100, newPrice: 1 },
+    { sku: 'A2', oldPrice: 100, newPrice: 120 },
+    { sku: 'A3', oldPrice: 0, newPrice: 120 }
+  ]);
+  breaker.checkCsvRowCount(500);
+
+  assert.deepEqual(breaker.trips.map(trip => trip.breaker), [
+    'max_draft_percent',
+    'max_price_change_percent',
+    'min_csv_rows_percent'
+  ]);
+  assert.deepEqual(breaker.trips[1].skus.map(change => change.sku), ['A1']);
+  await assert.rejects(breaker.enforce(), /Run aborted by circuit breaker: max_draft_percent/);
+});
+
+test('--force continues past a tripped breaker', async () => {
+  const breaker = createBreaker({ force: true });
+  breaker.checkDraftRatio(10, 10);
+
+  assert.equal(breaker.trips.length, 1);
+  await breaker.enforce();
+});
+
+test('a threshold of 0 turns its breaker off', () => {
+  const breaker = createBreaker();
+  breaker.config.max_draft_percent = 0;
+  breaker.checkDraftRatio(10, 10);
+
+  assert.deepEqual(breaker.trips, []);
+});
@@ -0,0 +1,55 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import CommandLine from '../module/commandLine.js';
+
+test('runs the full sync without a command', () => {
+  const { command, args, steps, options } = CommandLine.parse([]);
+
+  assert.equal(command, 'sync');
+  assert.deepEqual(args, []);
+  assert.equal(steps.create, true);
+  assert.equal(options.limit, null);
+  assert.equal(options.dryRun, false);
+});
+
+test('parses a command with its steps and options', () => {
+  const { command, steps, options } = CommandLine.parse([
+    'prices', '--sku', 'A1,A2', '--sku', ' A3 ', '--brand', 'Acme', '--limit', '25', '--dry-run', '--force'
+  ]);
+
+  assert.equal(command, 'prices');
+  assert.deepEqual(steps, { catalog: false, create: false, drafts: false, fields: ['price', 'cost', 'compareAtPrice', 'marketPrices'] });
+  assert.deepEqual(options.skus, ['A1', 'A2', 'A3']);
+  assert.deepEqual(options.brands, ['Acme']);
+  assert.equal(options.limit, 25);
+  assert.equal(options.dryRun, true);
+  assert.equal(options.force, true);
+});
+
+test('keeps the older --rollback form and --help working', () => {
+  const rollback = CommandLine.parse(['--rollback', 'run-1', '--archive-created']);
+  assert.equal(rollback.command, 'rollback');
+  assert.deepEqual(rollback.args, ['run-1']);
+  assert.equal(rollback.options.archiveCreated, true);
+  assert.equal(rollback.steps, null);
+
+  assert.equal(CommandLine.parse(['stock', '-h']).command, 'help');
+});
+
+test('rejects unknown commands and options', () => {
+  assert.throws(() => CommandLine.parse(['publish']), /Unknown command "publish"/);
+  assert.throws(() => CommandLine.parse(['--colour']), /Unknown option/);
+});
+
+test('--limit takes a positive whole number only', () => {
+  for (const value of ['abc', '5abc', '0', '2.5', '']) {
+    assert.throws(() => CommandLine.parse(['--limit', value]), /--limit must be a positive number/, value);
+  }
+  assert.throws(() => CommandLine.parse(['--limit=-3']), /--limit must be a positive number/);
+  assert.equal(CommandLine.parse(['--limit', '007']).options.limit, 7);
+});
+
+test('only the pipeline commands are sync commands', () => {
+  assert.equal(CommandLine.isSyncCommand('drafts'), true);
+  assert.equal(CommandLine.isSyncCommand('rollback'), false);
+});
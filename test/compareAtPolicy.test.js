@@ -0,0 +1,100 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import CompareAtPolicy from '../module/compareAtPolicy.js';
+import Money from '../module/money.js';
+
+const now = new Date('2026-03-10T12:00:00Z');
+
+beforeEach(() => {
+  delete process.env.COMPARE_AT_REFERENCE;
+});
+
+/**
+ * Create a policy with the given settings, whatever config/compare-at.json holds
+ */
+function createPolicy(reference, settings = {}) {
+  process.env.COMPARE_AT_REFERENCE = reference;
+  const policy = new CompareAtPolicy();
+  return Object.assign(policy, { minDiscount: 0, maxDays: 0, ...settings });
+}
+
+test('a price drop starts a sale at the previous price', () => {
+  const policy = createPolicy('previous', { minDiscount: 0.05 });
+
+  assert.deepEqual(policy.evaluate({ price: Money.parse('80'), currentPrice: '100.00', sale: null }, now), {
+    sale: { price: '100.00', since: '2026-03-10' },
+    reason: 'price dropped from 100.00 to 80.00'
+  });
+  assert.equal(policy.evaluate({ price: Money.parse('97'), currentPrice: '100.00', sale: null }, now), null);
+  assert.equal(policy.evaluate({ price: Money.parse('100'), currentPrice: '100.00', sale: null }, now), null);
+});
+
+test('a running sale keeps its price until the price is back up', () => {
+  const policy = createPolicy('previous');
+  const sale = { price: '100.00', since: '2026-03-01' };
+
+  assert.equal(policy.evaluate({ price: Money.parse('80'), currentPrice: '80.00', sale }, now), null);
+
+  const ended = policy.evaluate({ price: Money.parse('100'), currentPrice: '80.00', sale }, now);
+  assert.equal(ended.sale, null);
+  assert.match(ended.reason, /sale ended/);
+});
+
+test('a sale past max_days loses its strike-through but keeps its start date', () => {
+  const policy = createPolicy('previous', { maxDays: 7 });
+  const sale = { price: '100.00', since: '2026-03-01' };
+
+  assert.deepEqual(policy.evaluate({ price: Money.parse('80'), currentPrice: '80.00', sale }, now), {
+    sale: { price: null, since: '2026-03-01' },
+    reason: 'sale ran for 9 days'
+  });
+});
+
+test('an expired sale at the previous price waits for the price to go back up', () => {
+  const policy = createPolicy('previous', { maxDays: 7 });
+  const sale = { price: null, since: '2026-03-01' };
+
+  assert.equal(policy.evaluate({ price: Money.parse('80'), currentPrice: '80.00', sale }, now), null);
+  // A further drop does not start a new sale while the old one is expired
+  assert.equal(policy.evaluate({ price: Money.parse('70'), currentPrice: '80.00', sale }, now), null);
+
+  assert.deepEqual(policy.evaluate({ price: Money.parse('90'), currentPrice: '80.00', sale }, now), {
+    sale: null,
+    reason: 'sale ended, price went back up to 90.00'
+  });
+});
+
+test('the recommended price is the reference with rrp', () => {
+  const policy = createPolicy('rrp');
+  const rrp = Money.parse('120');
+
+  const started = policy.evaluate({ price: Money.parse('100'), currentPrice: '100.00', recommendedPrice: rrp, sale: null }, now);
+  assert.deepEqual(started.sale, { price: '120.00', since: '2026-03-10' });
+
+  const sale = { price: '120.00', since: '2026-03-01' };
+  assert.deepEqual(
+    policy.evaluate({ price: Money.parse('100'), currentPrice: '100.00', recommendedPrice: Money.parse('130'), sale }, now),
+    { sale: { price: '130.00', since: '2026-03-01' }, reason: 'recommended price is now 130.00' }
+  );
+
+  const expired = { price: null, since: '2026-03-01' };
+  assert.equal(policy.evaluate({ price: Money.parse('100'), currentPrice: '100.00', recommendedPrice: rrp, sale: expired }, now), null);
+
+  assert.deepEqual(policy.evaluate({ price: Money.parse('100'), currentPrice: '100.00', recommendedPrice: null, sale }, now), {
+    sale: null,
+    reason: 'sale ended, no recommended price'
+  });
+});
+
+test('the recommended price is read from the configured EET field', () => {
+  const policy = createPolicy('rrp');
+
+  const rrp = policy.getRecommendedPrice({ Price: { Price: '80.00', RecommendedRetailPrice: '119,95' } });
+  assert.equal(rrp.toString(), '119.95');
+  assert.equal(rrp.vatIncluded, false);
+  assert.equal(policy.getRecommendedPrice({ Price: { RecommendedRetailPrice: '0' } }), null);
+  assert.equal(policy.getRecommendedPrice({}), null);
+
+  process.env.COMPARE_AT_REFERENCE = 'msrp';
+  assert.throws(() => new CompareAtPolicy(), /Unknown compare-at reference "msrp"/);
+});
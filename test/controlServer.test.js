@@ -0,0 +1,82 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import ControlServer from '../module/controlServer.js';
+
+const triggered = [];
+const server = new ControlServer({
+  port: 0,
+  token: 'secret',
+  getStatus: () => ({ running: false }),
+  getRun: runId => (runId === 'run-1' ? { runId, status: 'finished' } : null),
+  getMetrics: () => 'sync_runs_total 1\n',
+  trigger: request => {
+    triggered.push(request);
+    return { accepted: true, runId: 'run-2', command: request.command || 'sync' };
+  }
+});
+let baseUrl;
+
+before(async () => {
+  await server.start();
+  baseUrl = `http://127.0.0.1:${server.server.address().port}`;
+});
+after(() => server.stop());
+
+/**
+ * Send a request to the control server
+ * @param {string} path - Request path
+ * @param {Object} options - fetch options
+ * @returns {Promise<Object>} { status, body }
+ */
+async function request(path, options = {}) {
+  const response = await fetch(baseUrl + path, options);
+  return { status: response.status, body: await response.json() };
+}
+
+const auth = { Authorization: 'Bearer secret' };
+
+test('a server without a token does not start', () => {
+  assert.throws(() => new ControlServer({ port: 0 }).start(), /CONTROL_TOKEN must be set/);
+});
+
+test('health is open, everything else needs the token', async () => {
+  assert.equal((await request('/health')).status, 200);
+  assert.equal((await request('/status')).status, 401);
+  assert.equal((await request('/status', { headers: { Authorization: 'Bearer wrong' } })).status, 401);
+  assert.deepEqual((await request('/status', { headers: { 'X-Control-Token': 'secret' } })).body, { running: false });
+});
+
+test('serves run reports by ID', async () => {
+  assert.equal((await request('/runs/run-1', { headers: auth })).body.status, 'finished');
+  assert.equal((await request('/runs/run-9', { headers: auth })).status, 404);
+  assert.equal((await request('/nothing', { headers: auth })).status, 404);
+});
+
+test('serves the metrics as Prometheus text', async () => {
+  const response = await fetch(`${baseUrl}/metrics`, { headers: auth });
+
+  assert.equal(response.status, 200);
+  assert.match(response.headers.get('content-type'), /^text\/plain/);
+  assert.equal(await response.text(), 'sync_runs_total 1\n');
+  assert.equal((await fetch(`${baseUrl}/metrics`)).status, 401);
+});
+
+test('triggers a run with a JSON object body', async () => {
+  const result = await request('/trigger', { method: 'POST', headers: auth, body: JSON.stringify({ command: 'stock' }) });
+  const empty = await request('/trigger', { method: 'POST', headers: auth });
+
+  assert.equal(result.status, 202);
+  assert.equal(result.body.command, 'stock');
+  assert.equal(empty.status, 202);
+  assert.deepEqual(triggered.slice(-2), [{ command: 'stock' }, {}]);
+});
+
+test('refuses trigger bodies that are not a JSON object', async () => {
+  const count = triggered.length;
+
+  for (const body of ['null', '42', '"sync"', '["stock"]', '{ not json']) {
+    const result = await request('/trigger', { method: 'POST', headers: auth, body });
+    assert.equal(result.status, 400, body);
+  }
+  assert.equal(triggered.length, count);
+});
@@ -0,0 +1,30 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import ShopifyClient from '../module/shopify.js';
+
+test('document scrapes run one at a time when products are created concurrently', async () => {
+  const clients = [1, 2].map(() => new ShopifyClient({ shopDomain: 'test.myshopify.com', accessToken: 'test' }));
+  let running = 0;
+  let mostRunning = 0;
+
+  // Stands in for the browser so the test does not need Playwright's browsers
+  for (const client of clients) {
+    client.scrapeWithBrowser = async (url) => {
+      running++;
+      mostRunning = Math.max(mostRunning, running);
+      await new Promise(resolve => setTimeout(resolve, 5));
+      running--;
+      if (url.endsWith('/fail')) {
+        throw new Error('page not found');
+      }
+      return [`${url}/manual.pdf`];
+    };
+  }
+
+  const urls = ['https://eet.example/1', 'https://eet.example/fail', 'https://eet.example/2', 'https://eet.example/3'];
+  const results = await Promise.allSettled(urls.map((url, i) => clients[i % 2].scrapeProductDocuments(url)));
+
+  assert.equal(mostRunning, 1);
+  assert.deepEqual(results.map(result => result.status), ['fulfilled', 'rejected', 'fulfilled', 'fulfilled']);
+  assert.deepEqual(results[3].value, ['https://eet.example/3/manual.pdf']);
+});
@@ -0,0 +1,79 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import CatalogIndex from '../module/catalogIndex.js';
+import DuplicateDetector from '../module/duplicateDetector.js';
+
+function product(id, sku, createdAt, { managed = true, status = 'ACTIVE', barcode = null } = {}) {
+  return {
+    id: `gid://shopify/Product/${id}`,
+    status,
+    createdAt,
+    tags: managed ? ['eet-managed'] : [],
+    variants: { nodes: [{ id: `gid://shopify/ProductVariant/${id}`, barcode, inventoryItem: { sku } }] }
+  };
+}
+
+function createClient(products) {
+  const drafted = [];
+  return {
+    drafted,
+    catalog: new CatalogIndex(products),
+    isManagedProduct: product => product.tags.includes('eet-managed'),
+    makeProductDraft: async product => {
+      drafted.push(product.id);
+      return { success: true };
+    }
+  };
+}
+
+test('keeps the first EET row of a duplicated SKU and flags shared EANs', () => {
+  const detector = new DuplicateDetector('newest');
+
+  const products = detector.resolveEET([
+    { varenr: 'A1', ean_upc: '111', pris: '1' },
+    { varenr: 'A1', ean_upc: '111', pris: '2' },
+    { varenr: 'B1', ean_upc: '111' }
+  ]);
+
+  assert.deepEqual(products.map(p => p.varenr), ['A1', 'B1']);
+  assert.equal(products[0].pris, '1');
+  assert.deepEqual(detector.eetConflicts.map(c => c.resolution), ['kept_first_row', 'flagged']);
+  assert.equal(detector.isSkipped('A1'), false);
+});
+
+test('the skip policy leaves every SKU of a conflict out of the sync', async () => {
+  const detector = new DuplicateDetector('skip');
+  detector.resolveEET([{ varenr: 'A1', ean_upc: '111' }, { varenr: 'B1', ean_upc: '111' }]);
+  await detector.resolveShopify(createClient([product(1, 'C1', '2026-01-01'), product(2, 'C1', '2026-02-01')]));
+
+  assert.deepEqual([...detector.skippedSkus].sort(), ['A1', 'B1', 'C1']);
+});
+
+test('the draft policy keeps the newest product and drafts the other managed copies', async () => {
+  const client = createClient([
+    product(1, 'A1', '2026-01-01'),
+    product(2, 'A1', '2026-03-01'),
+    product(3, 'A1', '2026-02-01', { managed: false })
+  ]);
+
+  const result = await new DuplicateDetector('draft').resolveShopify(client);
+
+  assert.equal(result.drafted, 1);
+  assert.deepEqual(client.drafted, ['gid://shopify/Product/1']);
+  assert.equal(client.catalog.findBySku('A1').id, 'gid://shopify/Product/2');
+});
+
+test('a newer product the sync does not own never replaces the managed copy', async () => {
+  const client = createClient([
+    product(1, 'A1', '2026-01-01'),
+    product(2, 'A1', '2026-03-01', { managed: false })
+  ]);
+  const detector = new DuplicateDetector('draft');
+
+  const result = await detector.resolveShopify(client);
+
+  assert.equal(result.drafted, 0);
+  assert.deepEqual(client.drafted, []);
+  assert.equal(detector.shopifyConflicts[0].keptProductId, 'gid://shopify/Product/1');
+  assert.equal(client.catalog.findBySku('A1').id, 'gid://shopify/Product/1');
+});
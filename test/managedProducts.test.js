@@ -0,0 +1,54 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import ShopifyClient from '../module/shopify.js';
+import SyncPlan from '../module/syncPlan.js';
+
+function createClient() {
+  return new ShopifyClient({ shopDomain: 'test.myshopify.com', accessToken: 'token', dryRun: true, plan: new SyncPlan() });
+}
+
+function product(id, sku, { status = 'ACTIVE', tags = [], managed = null } = {}) {
+  return {
+    id: `gid://shopify/Product/${id}`,
+    title: `Product ${sku}`,
+    status,
+    tags,
+    managed,
+    variants: { nodes: [{ sku, inventoryItem: { sku } }] }
+  };
+}
+
+test('a product is managed by its tag or its metafield', () => {
+  const client = createClient();
+
+  assert.equal(client.isManagedProduct(product(1, 'A1', { tags: ['eet-managed'] })), true);
+  assert.equal(client.isManagedProduct(product(2, 'A2', { managed: { value: 'true' } })), true);
+  assert.equal(client.isManagedProduct(product(3, 'A3', { tags: ['sale'] })), false);
+  assert.equal(client.isManagedProduct(null), false);
+});
+
+test('only managed products missing from the EET file are drafted', async () => {
+  const client = createClient();
+  const products = [
+    product(1, 'KEEP', { tags: ['eet-managed'] }),
+    product(2, 'GONE', { tags: ['eet-managed'] }),
+    product(3, 'OWN', { tags: ['sale'] }),
+    product(4, 'OLD', { status: 'DRAFT', tags: ['eet-managed'] })
+  ];
+
+  const result = await client.makeOrphanedProductsDraft(products, [{ varenr: 'KEEP' }]);
+
+  assert.equal(result.totalProducts, 1);
+  assert.deepEqual(client.plan.statusChanges.map(c => c.sku), ['GONE']);
+});
+
+test('adopting a product marks it as managed', async () => {
+  const client = createClient();
+  const own = product(1, 'OWN', { tags: ['sale'] });
+
+  const result = await client.adoptProduct(own);
+
+  assert.equal(result.success, true);
+  assert.equal(client.isManagedProduct(own), true);
+  assert.equal((await client.adoptProduct(own)).alreadyManaged, true);
+});
@@ -0,0 +1,49 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import MarketPricing from '../module/marketPricing.js';
+import Money from '../module/money.js';
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'eet-markets-'));
+after(() => fs.rmSync(tmpDir, { recursive: true, force: true }));
+
+/**
+ * Write a markets file and load it
+ */
+function createPricing(markets) {
+  const configPath = path.join(tmpDir, `markets-${Math.random()}.json`);
+  fs.writeFileSync(configPath, JSON.stringify({ markets }));
+  return new MarketPricing(configPath);
+}
+
+test('each market gets its own price in local currency', () => {
+  const pricing = createPricing({
+    se: { currency: 'SEK', exchange_rate: 1.5, markup: 0.2, vat_rate: 0.25, rounding: { to: 10, ending: 9 } },
+    de: { currency: 'EUR', exchange_rate: 0.134, vat_rate: 0.19 }
+  });
+
+  assert.deepEqual(pricing.getPrices(Money.parse('100', { vatIncluded: false })), [
+    { market: 'se', amount: '229.00', currencyCode: 'SEK' },
+    { market: 'de', amount: '15.95', currencyCode: 'EUR' }
+  ]);
+  assert.deepEqual(pricing.getPrices(null), []);
+});
+
+test('only markets with a price list are kept', () => {
+  const pricing = createPricing({ se: { currency: 'SEK' }, no: { currency: 'NOK' } });
+  assert.equal(pricing.isEnabled(), true);
+
+  pricing.limitTo(['se']);
+  assert.deepEqual(Object.keys(pricing.markets), ['se']);
+
+  pricing.limitTo([]);
+  assert.equal(pricing.isEnabled(), false);
+});
+
+test('without a markets file only the base price is synced', () => {
+  const pricing = new MarketPricing(path.join(tmpDir, 'missing.json'));
+  assert.equal(pricing.isEnabled(), false);
+  assert.deepEqual(pricing.getPrices(Money.parse('100', { vatIncluded: false })), []);
+});
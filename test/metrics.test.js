@@ -0,0 +1,53 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import metrics from '../module/metrics.js';
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'eet-metrics-'));
+after(() => fs.rmSync(tmpDir, { recursive: true, force: true }));
+
+test('renders counters and gauges per label set', () => {
+  metrics.inc('sync_runs_total', { command: 'sync', status: 'finished' });
+  metrics.inc('sync_runs_total', { status: 'finished', command: 'sync' });
+  metrics.inc('sync_runs_total', { command: 'stock', status: 'failed' });
+  metrics.set('sync_run_duration_seconds', { command: 'sync' }, 42.5);
+
+  const text = metrics.render();
+
+  assert.match(text, /# TYPE sync_runs_total counter/);
+  assert.match(text, /^sync_runs_total\{command="sync",status="finished"\} 2$/m);
+  assert.match(text, /^sync_runs_total\{command="stock",status="failed"\} 1$/m);
+  assert.match(text, /^sync_run_duration_seconds\{command="sync"\} 42.5$/m);
+});
+
+test('renders histograms with cumulative buckets', () => {
+  metrics.observe('scraper_duration_seconds', {}, 0.3);
+  metrics.observe('scraper_duration_seconds', {}, 7);
+  metrics.observe('scraper_duration_seconds', {}, 500);
+
+  const text = metrics.render();
+
+  assert.match(text, /^scraper_duration_seconds_bucket\{le="0.25"\} 0$/m);
+  assert.match(text, /^scraper_duration_seconds_bucket\{le="0.5"\} 1$/m);
+  assert.match(text, /^scraper_duration_seconds_bucket\{le="10"\} 2$/m);
+  assert.match(text, /^scraper_duration_seconds_bucket\{le="\+Inf"\} 3$/m);
+  assert.match(text, /^scraper_duration_seconds_sum 507.3$/m);
+  assert.match(text, /^scraper_duration_seconds_count 3$/m);
+});
+
+test('escapes label values and refuses unknown metrics', () => {
+  metrics.inc('sync_products_total', { action: 'say "hi"\\\n' });
+
+  assert.match(metrics.render(), /sync_products_total\{action="say \\"hi\\"\\\\\\n"\} 1/);
+  assert.throws(() => metrics.inc('no_such_metric'), /Unknown metric: no_such_metric/);
+});
+
+test('writes the metrics file for the textfile collector', () => {
+  const filePath = path.join(tmpDir, 'nested', 'eet.prom');
+  metrics.writeToFile(filePath);
+
+  assert.equal(fs.readFileSync(filePath, 'utf8'), metrics.render());
+  assert.equal(fs.existsSync(`${filePath}.tmp`), false);
+});
@@ -0,0 +1,76 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import Money from '../module/money.js';
+
+test('amounts are parsed digit by digit into minor units', () => {
+  assert.equal(Money.parse('1249,95').minor, 124995);
+  assert.equal(Money.parse('1249.95').minor, 124995);
+  assert.equal(Money.parse(' 0.01 ').minor, 1);
+  assert.equal(Money.parse('.5').minor, 50);
+  assert.equal(Money.parse('-3.10').minor, -310);
+  assert.equal(Money.parse(1249.95).minor, 124995);
+
+  // Half a minor unit rounds away from zero
+  assert.equal(Money.parse('0.125').minor, 13);
+  assert.equal(Money.parse('0.124').minor, 12);
+  assert.equal(Money.parse('-0.125').minor, -13);
+
+  assert.equal(Money.parse(''), null);
+  assert.equal(Money.parse(null), null);
+  assert.equal(Money.parse('abc'), null);
+  assert.equal(Money.parse('.'), null);
+});
+
+test('a parsed amount takes the kind of another value', () => {
+  const cost = Money.parse('100', { currency: 'SEK', vatIncluded: false });
+  const copy = Money.parse('5', cost);
+
+  assert.equal(copy.currency, 'SEK');
+  assert.equal(copy.vatIncluded, false);
+  assert.throws(() => new Money(1.5), /whole number of minor units/);
+});
+
+test('arithmetic stays in whole minor units', () => {
+  const price = Money.parse('999.96');
+
+  assert.equal(price.multiply(1.25).toString(), '1249.95');
+  assert.equal(price.add(Money.parse('0.04')).toString(), '1000.00');
+  assert.equal(Money.parse('0.10').multiply(3).toString(), '0.30');
+  assert.equal(Money.parse('1.00').convert(7.46, 'DKK').toString(), '7.46');
+  assert.equal(Money.parse('200').ratio(Money.parse('100')), 2);
+});
+
+test('VAT is added once, at VAT_RATE by default', () => {
+  const cost = Money.parse('100', { vatIncluded: false });
+
+  assert.equal(cost.withVat().toString(), '125.00');
+  assert.equal(cost.withVat(0.19).toString(), '119.00');
+  assert.equal(cost.withVat().vatIncluded, true);
+
+  const gross = cost.withVat();
+  assert.equal(gross.withVat(), gross);
+});
+
+test('values of another currency or VAT treatment are not combined', () => {
+  const gross = Money.parse('100');
+  const net = Money.parse('100', { vatIncluded: false });
+  const euro = Money.parse('100', { currency: 'EUR' });
+
+  assert.throws(() => gross.add(net), /including VAT with one excluding VAT/);
+  assert.throws(() => gross.compare(euro), /Cannot combine/);
+  assert.throws(() => gross.ratio(euro), /Cannot compare/);
+  assert.equal(gross.equals(net), false);
+  assert.equal(gross.equals(null), false);
+  assert.equal(gross.equals(Money.parse('100.00')), true);
+});
+
+test('min and max pick by amount, and values print as Shopify decimals', () => {
+  const low = Money.parse('9.5');
+  const high = Money.parse('10');
+
+  assert.equal(Money.max(low, high), high);
+  assert.equal(Money.min(low, high), low);
+  assert.equal(Money.parse('-0.05').toString(), '-0.05');
+  assert.equal(JSON.stringify({ price: low }), '{"price":"9.50"}');
+  assert.equal(low.amount, 9.5);
+});
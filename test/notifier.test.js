@@ -0,0 +1,80 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import Notifier from '../module/notifier.js';
+
+const report = {
+  runId: 'run-1',
+  command: 'sync',
+  dryRun: false,
+  durationMs: 61500,
+  counts: { created: 1, updated: 2, failed: 1 },
+  skus: [
+    { sku: 'A1', errors: [{ step: 'price', error: 'Variant not found' }] },
+    { sku: 'B1', errors: [] }
+  ]
+};
+
+/**
+ * Create a notifier with its own routing and stubbed channels
+ * @param {Object} config - Notification configuration
+ * @returns {Notifier} Notifier recording what it sent
+ */
+function createNotifier(config) {
+  const notifier = new Notifier();
+  notifier.config = config;
+  notifier.sent = [];
+  notifier.sendEmail = async (event) => {
+    notifier.sent.push(`email:${event}`);
+    return { success: true };
+  };
+  notifier.sendWebhook = async (event) => {
+    notifier.sent.push(`webhook:${event}`);
+    return { success: true };
+  };
+  return notifier;
+}
+
+beforeEach(() => {
+  delete process.env.SMTP_HOST;
+  delete process.env.NOTIFY_WEBHOOK_URL;
+  delete process.env.ALERT_WEBHOOK_URL;
+});
+
+test('summarizes the run with its counts and errors', () => {
+  const text = Notifier.formatText('run_failed', { message: 'EET file missing', report, reportFile: 'logs/app.report.html' });
+
+  assert.equal(text, [
+    'Sync run failed',
+    'EET file missing',
+    '',
+    'Run: run-1 (sync)',
+    'Duration: 62 s',
+    'created: 1, updated: 2, failed: 1',
+    '',
+    'Errors (1):',
+    '- A1 price: Variant not found',
+    '',
+    'Report: logs/app.report.html'
+  ].join('\n'));
+});
+
+test('sends an event only to the channels routed and set up for it', async () => {
+  process.env.SMTP_HOST = 'smtp.example.com';
+  process.env.NOTIFY_WEBHOOK_URL = 'https://hooks.example.com/eet';
+  const notifier = createNotifier({ email: { to: ['ops@example.com'] }, events: { run_completed: ['webhook'] } });
+
+  await notifier.notify('run_completed', { report });
+  await notifier.notify('run_failed', { report });
+
+  assert.deepEqual(notifier.sent, ['webhook:run_completed', 'email:run_failed', 'webhook:run_failed']);
+});
+
+test('skips channels that are not set up', async () => {
+  process.env.ALERT_WEBHOOK_URL = 'https://hooks.example.com/old';
+  const notifier = createNotifier({ email: { to: [] } });
+
+  const results = await notifier.notify('breaker_tripped', { message: 'Too many drafts' });
+
+  assert.deepEqual(Object.keys(results), ['webhook']);
+  assert.deepEqual(notifier.sent, ['webhook:breaker_tripped']);
+});
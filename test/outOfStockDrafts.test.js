@@ -0,0 +1,43 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import ShopifyClient from '../module/shopify.js';
+
+/**
+ * Build a Shopify product with one variant
+ * @param {string} sku - Variant SKU
+ * @param {Object} fields - Other product fields
+ * @returns {Object} Product
+ */
+function product(sku, fields = {}) {
+  return {
+    id: `gid://shopify/Product/${sku}`,
+    status: 'ACTIVE',
+    tags: ['eet-managed'],
+    variants: { nodes: [{ id: `gid://shopify/ProductVariant/${sku}`, price: '100.00', inventoryItem: { sku } }] },
+    ...fields
+  };
+}
+
+test('products without EET stock count as drafts for the draft ratio breaker', () => {
+  const client = new ShopifyClient({ shopDomain: 'test.myshopify.com', accessToken: 'test' });
+  client.catalog.build([
+    product('S1'),
+    product('S2'),
+    product('S3', { status: 'DRAFT' }),
+    product('S4', { tags: [] }),
+    product('S5')
+  ]);
+
+  const eetItems = [
+    { ItemId: 'S1', Stock: [] },
+    { ItemId: 'S2', Stock: [{ StockTypeName: 'Local', Quantity: 0 }] },
+    { ItemId: 'S3' },
+    { ItemId: 'S4' },
+    { ItemId: 'S5' },
+    { ItemId: 'NOT_IN_SHOPIFY' }
+  ];
+
+  const drafts = client.findOutOfStockProducts(eetItems).map(p => p.variants.nodes[0].inventoryItem.sku);
+  // S3 is already draft and S4 is not managed by the sync
+  assert.deepEqual(drafts, ['S1', 'S5']);
+});
@@ -0,0 +1,121 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import ShopifyClient from '../module/shopify.js';
+import TaxSettings from '../module/taxSettings.js';
+
+// A product is created from the EET file (pris, cost without VAT) and later updated from
+// the EET API (Price.Price plus VatAmount); both must give the same sale price
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'eet-pricing-'));
+after(() => fs.rmSync(tmpDir, { recursive: true, force: true }));
+
+/**
+ * Create a client with the given pricing rules and tax settings
+ * @param {Object} rules - Pricing rules, written to a temporary rules file
+ * @param {Object} tax - { mode, country, vatRates }
+ * @returns {ShopifyClient} Client
+ */
+function createClient(rules = {}, tax = {}) {
+  const rulesFile = path.join(fs.mkdtempSync(path.join(tmpDir, 'rules-')), 'pricing-rules.json');
+  fs.writeFileSync(rulesFile, JSON.stringify(rules));
+
+  const client = new ShopifyClient({
+    shopDomain: 'test.myshopify.com',
+    accessToken: 'test',
+    priceMarkup: 0.2,
+    pricingFile: rulesFile,
+    taxMode: tax.mode,
+    country: tax.country
+  });
+  client.tax.vatRates = tax.vatRates || {};
+  return client;
+}
+
+/**
+ * Price a product the way the CSV create path does
+ * @param {ShopifyClient} client - Client
+ * @param {Object} item - { sku, cost, brand, category }
+ * @returns {Promise<string>} Variant price
+ */
+async function csvPrice(client, item) {
+  const product = await client.mapEETToShopifyProduct({
+    varenr: item.sku,
+    beskrivelse: 'Test product',
+    maerke_navn: item.brand,
+    web_category_id: item.category,
+    pris: item.cost.replace('.', ',')
+  });
+  return product.variants[0].price;
+}
+
+/**
+ * Price a product the way the API update path does
+ * @param {ShopifyClient} client - Client
+ * @param {Object} item - { sku, cost, vatAmount, brand, category }
+ * @returns {Money} Sale price
+ */
+function apiPrice(client, item) {
+  const eetItem = { ItemId: item.sku, Price: { Price: item.cost, VatAmount: item.vatAmount } };
+  const { price, cost } = client.tax.getEETPrice(eetItem);
+  return client.pricing.getPrice({
+    sku: item.sku,
+    brand: item.brand,
+    categoryId: item.category,
+    price,
+    cost,
+    currentPrice: null
+  }).price;
+}
+
+const items = [
+  { sku: 'A1', cost: '999.96', vatAmount: '249.99' },
+  { sku: 'A2', cost: '0.01', vatAmount: '0.00' },
+  { sku: 'A3', cost: '1249.95', vatAmount: '312.49', brand: 'Logitech' },
+  { sku: 'A4', cost: '33.33', vatAmount: '8.33', category: '42' },
+  // EET sends a VAT amount that does not match VAT_RATE
+  { sku: 'A5', cost: '100.00', vatAmount: '12.00' }
+];
+
+const rules = {
+  markups: { brand: { Logitech: 0.35 }, category: { 42: 0.5 } },
+  min_margin: 50,
+  rounding: { to: 1, ending: 0.95 }
+};
+
+const setups = [
+  ['default markup, gross', {}, {}],
+  ['pricing rules, gross', rules, {}],
+  ['pricing rules, gross with a country rate', rules, { country: 'SE', vatRates: { SE: 0.25 } }],
+  ['pricing rules, net', rules, { mode: 'net' }]
+];
+
+for (const [name, rulesConfig, tax] of setups) {
+  test(`CSV-created and API-updated products get the same price (${name})`, async () => {
+    const client = createClient(rulesConfig, tax);
+
+    for (const item of items) {
+      const fromApi = apiPrice(client, item);
+      assert.equal(await csvPrice(client, item), fromApi.toString(), `price of ${item.sku}`);
+    }
+  });
+}
+
+test('gross prices add VAT_RATE, net prices do not', () => {
+  const eetItem = { ItemId: 'B1', Price: { Price: '100.00', VatAmount: '12.00' } };
+
+  const gross = new TaxSettings({ mode: 'gross', country: 'XX' }).getEETPrice(eetItem);
+  assert.equal(gross.price.toString(), '125.00');
+  assert.equal(gross.price.vatIncluded, true);
+  assert.equal(gross.cost.toString(), '100.00');
+
+  const net = new TaxSettings({ mode: 'net', country: 'XX' }).getEETPrice(eetItem);
+  assert.equal(net.price.toString(), '100.00');
+  assert.equal(net.price.vatIncluded, false);
+});
+
+test('an EET item without a price has no price and no cost', () => {
+  assert.deepEqual(new TaxSettings().getEETPrice({ ItemId: 'B2' }), { price: null, cost: null });
+});
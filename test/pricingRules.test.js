@@ -0,0 +1,94 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import os from 'os';
+import path from 'path';
+import PricingRules from '../module/pricingRules.js';
+import Money from '../module/money.js';
+
+/**
+ * Create pricing rules without a rules file
+ * @param {Object} config - Rules as in config/pricing-rules.json
+ * @returns {PricingRules} Pricing rules
+ */
+function createRules(config) {
+  const rules = new PricingRules(path.join(os.tmpdir(), 'no-such-pricing-rules.json'), config.markup);
+  Object.assign(rules, {
+    minMargin: config.min_margin || 0,
+    rounding: config.rounding || null,
+    maxChange: config.max_change || 0
+  });
+  return rules;
+}
+
+const rounding = { to: 1, ending: 0.95 };
+
+test('prices round up to the configured ending', () => {
+  assert.equal(PricingRules.roundPrice(Money.parse('143.20')).toString(), '143.20');
+  assert.equal(PricingRules.roundPrice(Money.parse('143.20'), { to: 1, ending: 0.95 }).toString(), '143.95');
+  assert.equal(PricingRules.roundPrice(Money.parse('143.20'), { to: 10, ending: 9 }).toString(), '149.00');
+  assert.equal(PricingRules.roundPrice(Money.parse('149'), { to: 10, ending: 9 }).toString(), '149.00');
+  assert.equal(PricingRules.roundPrice(Money.parse('143.20'), { to: 1, ending: 0.95 }, true).toString(), '142.95');
+  assert.equal(PricingRules.roundPrice(Money.parse(0.1 * 3), { to: 0.1 }).toString(), '0.30');
+});
+
+test('a price capped from above is rounded down within the cap', () => {
+  const rules = createRules({ markup: 1, rounding, max_change: 0.1 });
+  const { price } = rules.getPrice({ sku: 'C1', price: Money.parse('1000'), cost: null, currentPrice: '1122.34' });
+  // Capped at 1234.57, the next price with the ending below it
+  assert.equal(price.toString(), '1233.95');
+});
+
+test('a price capped from below is rounded up within the cap', () => {
+  const rules = createRules({ markup: 0, rounding, max_change: 0.1 });
+  const { price } = rules.getPrice({ sku: 'C2', price: Money.parse('500'), cost: null, currentPrice: '1122.34' });
+  // Capped at 1010.11
+  assert.equal(price.toString(), '1010.95');
+});
+
+test('the price is not rounded when no price with the ending lies within the cap', () => {
+  const rules = createRules({ markup: 1, rounding: { to: 10, ending: 9 }, max_change: 0.001 });
+  const { price } = rules.getPrice({ sku: 'C3', price: Money.parse('1000'), cost: null, currentPrice: '1003.00' });
+  assert.equal(price.toString(), '1004.00');
+});
+
+test('prices without a cap are rounded up', () => {
+  const rules = createRules({ markup: 0.2, rounding });
+  const { price } = rules.getPrice({ sku: 'C4', price: Money.parse('119.34'), cost: null, currentPrice: null });
+  assert.equal(price.toString(), '143.95');
+});
+
+test('the most specific markup wins, and fixed prices skip every rule', () => {
+  const rules = createRules({ markup: 0.25 });
+  Object.assign(rules, {
+    markups: {
+      sku: { A1: 0.1 },
+      category: { 1234: 0.35 },
+      brand: { Axis: 0.3 },
+      price_bands: [{ max: 500, markup: 0.4 }, { markup: 0.15 }]
+    },
+    fixedPrices: { F1: 1999 }
+  });
+
+  assert.equal(rules.getMarkup({ sku: 'A1', categoryId: '1234', brand: 'Axis', price: 100 }).rule, 'sku A1');
+  assert.equal(rules.getMarkup({ sku: 'B1', categoryId: '1234', brand: 'Axis', price: 100 }).rule, 'category 1234');
+  assert.equal(rules.getMarkup({ sku: 'B1', brand: 'Axis', price: 100 }).rule, 'brand Axis');
+  assert.deepEqual(rules.getMarkup({ sku: 'B1', price: 100 }), { markup: 0.4, rule: 'price band up to 500' });
+  assert.deepEqual(rules.getMarkup({ sku: 'B1', price: 900 }), { markup: 0.15, rule: 'price band (no max)' });
+
+  const fixed = rules.getPrice({ sku: 'F1', price: Money.parse('10'), cost: null, currentPrice: '50' });
+  assert.equal(fixed.price.toString(), '1999.00');
+  assert.equal(fixed.rule, 'fixed');
+});
+
+test('a price below the minimum margin is raised to it, even past the cap', () => {
+  const rules = createRules({ markup: 0, min_margin: 50, max_change: 0.1 });
+  // Cost 100 without VAT is 125 with VAT, so the floor is 150 * 1.25
+  const { price, explanation } = rules.getPrice({
+    sku: 'M1',
+    price: Money.parse('125'),
+    cost: Money.parse('100', { vatIncluded: false }),
+    currentPrice: '100'
+  });
+  assert.equal(price.toString(), '187.50');
+  assert.deepEqual(explanation.slice(1), ['raised to the minimum margin of 50.00 over cost 100.00']);
+});
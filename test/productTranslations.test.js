@@ -0,0 +1,90 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import ProductTranslations from '../module/productTranslations.js';
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'eet-translations-'));
+after(() => fs.rmSync(tmpDir, { recursive: true, force: true }));
+
+const feedProduct = {
+  varenr: 'A1',
+  beskrivelse: 'Cable',
+  beskrivelse_2: 'Two metres',
+  beskrivelse_3: '',
+  web_category_name: 'Cables',
+  item_product_link: 'https://www.eetgroup.com/en-gb/a1'
+};
+
+/**
+ * Translations with the given sources, without reading config/translations.json
+ */
+function createTranslations(sources, feedLanguage = 'en') {
+  const translations = new ProductTranslations(path.join(tmpDir, `cache-${Math.random()}.json`));
+  translations.sources = sources;
+  translations.feedLanguage = feedLanguage;
+  return translations;
+}
+
+test('LANGUAGE maps EET country codes to shop locales', () => {
+  assert.equal(ProductTranslations.localeFromLanguage('DNK'), 'da');
+  assert.equal(ProductTranslations.localeFromLanguage('swe'), 'sv');
+  assert.equal(ProductTranslations.localeFromLanguage('nl'), 'nl');
+  assert.equal(ProductTranslations.localeFromLanguage(undefined), 'en');
+});
+
+test('only a second-language file replaces the primary content', () => {
+  const translations = createTranslations({ da: { file: 'eet-da.csv' } });
+  translations.rowsByLocale.set('da', new Map([
+    ['A1', { varenr: 'A1', beskrivelse: 'Kabel', beskrivelse_2: 'To meter', web_category_name: '' }]
+  ]));
+
+  const localized = translations.localize(feedProduct, 'da');
+  assert.equal(localized.beskrivelse, 'Kabel');
+  assert.equal(localized.beskrivelse_2, 'To meter');
+  assert.equal(localized.web_category_name, 'Cables');
+  assert.equal(feedProduct.beskrivelse, 'Cable');
+
+  assert.equal(translations.localize(feedProduct, 'en'), feedProduct);
+  assert.equal(translations.localize({ ...feedProduct, varenr: 'B1' }, 'da').beskrivelse, 'Cable');
+});
+
+test('content comes from the feed, a second-language file or nowhere', async () => {
+  const translations = createTranslations({ da: { file: 'eet-da.csv' } });
+  translations.rowsByLocale.set('da', new Map([['A1', { beskrivelse: 'Kabel', beskrivelse_2: '' }]]));
+
+  assert.deepEqual(await translations.getContent('en', feedProduct), {
+    title: 'Cable',
+    body_html: '<ul><li>Two metres</li></ul>',
+    product_type: 'Cables'
+  });
+  assert.deepEqual(await translations.getContent('da', feedProduct), { title: 'Kabel' });
+  assert.equal(await translations.getContent('da', { ...feedProduct, varenr: 'B1' }), null);
+  assert.equal(await translations.getContent('sv', feedProduct), null);
+});
+
+test('scraped content is cached, empty pages are tried again', async () => {
+  const translations = createTranslations({ de: { scrape: 'de-de' } });
+  const scraped = [];
+  const client = {
+    scrapeProductContent: async (link, locale) => {
+      scraped.push([link, locale]);
+      return link.endsWith('a1') ? { title: 'Kabel (DE)' } : null;
+    }
+  };
+
+  assert.deepEqual(await translations.getContent('de', feedProduct, client), { title: 'Kabel (DE)' });
+  assert.deepEqual(await translations.getContent('de', feedProduct, client), { title: 'Kabel (DE)' });
+
+  const emptyPage = { ...feedProduct, varenr: 'B1', item_product_link: 'https://www.eetgroup.com/en-gb/b1' };
+  assert.equal(await translations.getContent('de', emptyPage, client), null);
+  assert.equal(await translations.getContent('de', emptyPage, client), null);
+
+  assert.deepEqual(scraped.map(([link]) => link.slice(-2)), ['a1', 'b1', 'b1']);
+  assert.equal(scraped[0][1], 'de-de');
+
+  translations.saveCache();
+  const reloaded = new ProductTranslations(translations.cacheFile);
+  assert.deepEqual(reloaded.loadCache(), { 'de|A1': { title: 'Kabel (DE)' } });
+});
@@ -0,0 +1,59 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import RequestScheduler from '../module/requestScheduler.js';
+
+test('runs no more requests at once than maxConcurrency', async () => {
+  const scheduler = new RequestScheduler({ maxConcurrency: 2 });
+  let running = 0;
+  let mostRunning = 0;
+
+  await Promise.all([1, 2, 3, 4, 5].map(() => scheduler.schedule(async () => {
+    running++;
+    mostRunning = Math.max(mostRunning, running);
+    await new Promise(resolve => setTimeout(resolve, 5));
+    running--;
+  })));
+
+  assert.equal(mostRunning, 2);
+  assert.equal(scheduler.stats.requests, 5);
+  assert.equal(scheduler.active, 0);
+});
+
+test('takes the bucket and query cost from the response', () => {
+  const scheduler = new RequestScheduler();
+
+  scheduler.updateFromCost('query', {
+    requestedQueryCost: 42,
+    actualQueryCost: 12,
+    throttleStatus: { maximumAvailable: 2000, currentlyAvailable: 1500, restoreRate: 100 }
+  });
+
+  assert.equal(scheduler.estimateCost('query'), 42);
+  assert.equal(scheduler.estimateCost('other'), 10);
+  assert.equal(scheduler.maximumAvailable, 2000);
+  assert.equal(scheduler.restoreRate, 100);
+  assert.equal(scheduler.stats.actualCost, 12);
+  assert.ok(scheduler.available >= 1500);
+});
+
+test('backs off for the refill time, with exponential backoff as the floor', () => {
+  const scheduler = new RequestScheduler({ restoreRate: 50 });
+  scheduler.updateFromCost('query', { currentlyAvailable: 0 });
+
+  assert.ok(scheduler.getBackoffDelay(0, 100) >= 1900);
+  scheduler.updateFromCost('query', { currentlyAvailable: 1000 });
+  assert.equal(scheduler.getBackoffDelay(0, 100), 500);
+  assert.equal(scheduler.getBackoffDelay(3, 100), 4000);
+});
+
+test('forEach visits every item once', async () => {
+  const scheduler = new RequestScheduler({ maxConcurrency: 3 });
+  const seen = [];
+
+  await scheduler.forEach(['a', 'b', 'c', 'd'], async (item, index) => {
+    await new Promise(resolve => setTimeout(resolve, 1));
+    seen.push(`${index}:${item}`);
+  });
+
+  assert.deepEqual(seen.sort(), ['0:a', '1:b', '2:c', '3:d']);
+});
@@ -0,0 +1,41 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import RunJournal from '../module/runJournal.js';
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'eet-journal-'));
+after(() => fs.rmSync(tmpDir, { recursive: true, force: true }));
+
+test('recorded steps load back with their merged data', () => {
+  const dir = path.join(tmpDir, 'steps');
+  const journal = new RunJournal('run-1', dir);
+  journal.start();
+  journal.record('A1', 'create', 'product_created', { productId: 'gid://shopify/Product/1' });
+  journal.record('A1', 'create', 'completed');
+  journal.record('B1', 'update', 'started');
+  fs.appendFileSync(journal.filePath, '{"sku":"C1","st');
+
+  const loaded = new RunJournal('run-1', dir).load();
+
+  assert.equal(loaded.finished, false);
+  assert.equal(loaded.isCompleted('A1', 'create'), true);
+  assert.equal(loaded.getStep('A1', 'create').data.productId, 'gid://shopify/Product/1');
+  assert.equal(loaded.isCompleted('B1', 'update'), false);
+  assert.equal(loaded.getStep('C1', 'update'), null);
+});
+
+test('latest returns the newest run, finished or not', () => {
+  const dir = path.join(tmpDir, 'latest');
+  assert.equal(RunJournal.latest(dir), null);
+
+  new RunJournal('run-2026-01-01T00-00-00-000Z', dir).start();
+  const newest = new RunJournal('run-2026-01-02T00-00-00-000Z', dir);
+  newest.start();
+  newest.finish();
+
+  const latest = RunJournal.latest(dir);
+  assert.equal(latest.runId, 'run-2026-01-02T00-00-00-000Z');
+  assert.equal(latest.finished, true);
+});
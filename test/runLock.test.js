@@ -0,0 +1,38 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import RunLock from '../module/runLock.js';
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'eet-lock-'));
+after(() => fs.rmSync(tmpDir, { recursive: true, force: true }));
+
+test('a second lock in the same run is refused', () => {
+  const filePath = path.join(tmpDir, 'held.lock');
+  const lock = new RunLock(filePath);
+  assert.equal(lock.acquire(), true);
+  assert.equal(new RunLock(filePath).acquire(), false);
+  lock.release();
+  assert.equal(fs.existsSync(filePath), false);
+});
+
+test('a lock left by an earlier process with the same PID is taken over', () => {
+  const filePath = path.join(tmpDir, 'restarted.lock');
+  fs.writeFileSync(filePath, JSON.stringify({ pid: process.pid, startedAt: '2026-01-01T00:00:00.000Z' }));
+
+  const lock = new RunLock(filePath);
+  assert.equal(lock.acquire(), true);
+  assert.equal(lock.read().pid, process.pid);
+  lock.release();
+});
+
+test('a lock of a process that no longer runs is taken over', () => {
+  const filePath = path.join(tmpDir, 'crashed.lock');
+  // PIDs never get this high on Linux
+  fs.writeFileSync(filePath, JSON.stringify({ pid: 2 ** 22 + 1, token: 'other', startedAt: '2026-01-01T00:00:00.000Z' }));
+
+  const lock = new RunLock(filePath);
+  assert.equal(lock.acquire(), true);
+  lock.release();
+});
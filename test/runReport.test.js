@@ -0,0 +1,79 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import RunReport from '../module/runReport.js';
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'eet-report-'));
+after(() => fs.rmSync(tmpDir, { recursive: true, force: true }));
+
+test('counts each SKU once per action, and skipped only without an action', () => {
+  const report = new RunReport();
+  report.addAction('A1', 'updated', { fields: ['price'] });
+  report.addAction('A1', 'updated', { fields: ['quantity'] });
+  report.addAction('A1', 'drafted');
+  report.addAction('B1', 'created');
+  report.addError('B1', 'quantity', 'Location not found');
+  report.addSkip('C1', 'unchanged');
+  report.addSkip('D1', 'resumed');
+  report.addAction('D1', 'completed');
+  report.addAction('D1', 'translated', { fields: ['sv'] });
+
+  assert.deepEqual(report.getCounts(), {
+    created: 1,
+    completed: 1,
+    adopted: 0,
+    updated: 1,
+    activated: 0,
+    drafted: 1,
+    translated: 1,
+    skipped: 1,
+    failed: 1
+  });
+});
+
+test('times each phase and ends the last one when the run finishes', () => {
+  const report = new RunReport({ command: 'prices' });
+  report.startPhase('fetch');
+  report.startPhase('update');
+  report.finish('failed', new Error('EET login failed'));
+
+  const data = report.toJSON();
+  assert.deepEqual(data.phases.map(phase => phase.name), ['fetch', 'update']);
+  assert.equal(data.status, 'failed');
+  assert.equal(data.error, 'EET login failed');
+  assert.equal(data.command, 'prices');
+  assert.ok(data.durationMs >= 0);
+});
+
+test('writes JSON and escaped HTML next to the log file', () => {
+  const report = new RunReport({ runId: 'run-1' });
+  report.addError('<A1>', 'create', 'Title "x" & y');
+  report.finish();
+
+  const { jsonFile, htmlFile } = report.save(path.join(tmpDir, 'app-2026-01-01.log'));
+
+  assert.equal(path.basename(jsonFile), 'app-2026-01-01.run-1.report.json');
+  assert.equal(JSON.parse(fs.readFileSync(jsonFile, 'utf8')).counts.failed, 1);
+  const html = fs.readFileSync(htmlFile, 'utf8');
+  assert.match(html, /&lt;A1&gt;/);
+  assert.match(html, /create: Title &quot;x&quot; &amp; y/);
+
+  assert.equal(RunReport.load('run-1', tmpDir).counts.failed, 1);
+  assert.equal(RunReport.load('run-2', tmpDir), null);
+});
+
+test('shows the running phase and progress as status', () => {
+  const report = new RunReport({ runId: 'run-1', command: 'stock' });
+  report.startPhase('update');
+  report.addAction('A1', 'updated');
+
+  const status = report.toStatus();
+
+  assert.equal(status.runId, 'run-1');
+  assert.equal(status.command, 'stock');
+  assert.equal(status.phase, 'update');
+  assert.equal(status.processedSkus, 1);
+  assert.equal(status.counts.updated, 1);
+});
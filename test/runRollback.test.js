@@ -0,0 +1,82 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import ChangeLog from '../module/changeLog.js';
+import RunRollback from '../module/runRollback.js';
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'eet-rollback-'));
+after(() => fs.rmSync(tmpDir, { recursive: true, force: true }));
+
+const entries = [
+  { type: 'price', sku: 'A1', productId: 'P1', variantId: 'V1', before: { price: '10.00', cost: '8.00' }, after: { price: '12.00', cost: '9.00' } },
+  { type: 'price', sku: 'A1', productId: 'P1', variantId: 'V1', before: { price: '12.00', cost: '9.00' }, after: { price: '15.00', cost: '9.00' } },
+  { type: 'quantity', sku: 'A1', productId: 'P1', inventoryItemId: 'I1', locationId: 'L1', before: 5, after: 3 },
+  { type: 'quantity', sku: 'A1', productId: 'P1', inventoryItemId: 'I1', locationId: 'L2', before: 1, after: 0 },
+  { type: 'tags', sku: 'A1', productId: 'P1', added: ['Acme'] },
+  { type: 'tags', sku: 'A1', productId: 'P1', added: ['Acme', 'eet-managed'] },
+  { type: 'status', sku: 'B1', productId: 'P2', before: 'ACTIVE', after: 'DRAFT' },
+  { type: 'status', sku: 'B1', productId: 'P2', before: 'DRAFT', after: 'ACTIVE' },
+  { type: 'create', sku: 'C1', productId: 'P3' },
+  { type: 'status', sku: 'C1', productId: 'P3', before: 'ACTIVE', after: 'DRAFT' },
+  { type: 'unknown', sku: 'D1', productId: 'P4' }
+];
+
+/**
+ * Create a client stub that records the mutation variables
+ * @returns {Object} Client stub
+ */
+function createClient() {
+  const calls = [];
+  return {
+    calls,
+    runConcurrently: async (items, worker) => {
+      for (const item of items) {
+        await worker(item);
+      }
+    },
+    runGraphQL: async (mutation, variables) => {
+      calls.push(variables);
+      const payload = { userErrors: [] };
+      return { data: { productVariantsBulkUpdate: payload, inventorySetQuantities: payload, productUpdate: payload, tagsRemove: payload } };
+    }
+  };
+}
+
+test('collapse keeps the value from before the first change of each field', () => {
+  const actions = RunRollback.collapse(entries);
+
+  assert.deepEqual(actions.map(a => a.type), ['price', 'quantity', 'quantity', 'tags', 'status', 'create', 'status']);
+  assert.deepEqual(actions[0].before, { price: '10.00', cost: '8.00' });
+  assert.deepEqual(actions[3].added, ['Acme', 'eet-managed']);
+  assert.equal(actions[4].before, 'ACTIVE');
+});
+
+test('rollback restores changed fields and leaves created products alone unless archived', async () => {
+  const changeLog = new ChangeLog('run-1', tmpDir);
+  entries.forEach(entry => changeLog.record(entry));
+
+  const client = createClient();
+  const results = await new RunRollback(client, changeLog).run();
+
+  assert.deepEqual({ restored: results.restored, archived: results.archived, skipped: results.skipped, failed: results.failed },
+    { restored: 5, archived: 0, skipped: 2, failed: 0 });
+  assert.deepEqual(client.calls[0], {
+    productId: 'P1',
+    variants: [{ id: 'V1', price: '10.00', inventoryItem: { cost: '8.00' } }]
+  });
+  assert.deepEqual(client.calls[4], { input: { id: 'P2', status: 'ACTIVE' } });
+
+  const archiving = createClient();
+  const archived = await new RunRollback(archiving, changeLog, { archiveCreated: true }).run();
+  assert.equal(archived.archived, 1);
+  assert.deepEqual(archiving.calls.at(-1), { input: { id: 'P3', status: 'ARCHIVED' } });
+});
+
+test('a run without a change log cannot be rolled back', async () => {
+  await assert.rejects(
+    new RunRollback(createClient(), new ChangeLog('run-missing', tmpDir)).run(),
+    /No changes recorded for run run-missing/
+  );
+});
@@ -0,0 +1,88 @@
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import Scheduler from '../module/scheduler.js';
+
+afterEach(() => {
+  delete process.env.SCHEDULE_CRON;
+  delete process.env.SCHEDULE_STOCK_CRON;
+  delete process.env.SCHEDULE_PRICES_CRON;
+  delete process.env.SCHEDULE_TIMEZONE;
+  delete process.env.SCHEDULE_RUN_ON_START;
+});
+
+test('reads the jobs from config/schedule.json, overridden by .env', () => {
+  const fromConfig = new Scheduler(async () => {});
+  assert.deepEqual(fromConfig.jobs.map(entry => [entry.id, entry.cron]), [
+    ['sync', '0 5 * * *'],
+    ['stock', '15 * * * *'],
+    ['prices', '45 */4 * * *']
+  ]);
+  assert.equal(fromConfig.timezone, 'Europe/Copenhagen');
+  assert.equal(fromConfig.runOnStart, true);
+
+  process.env.SCHEDULE_CRON = '30 2 * * *';
+  process.env.SCHEDULE_PRICES_CRON = '';
+  process.env.SCHEDULE_TIMEZONE = 'UTC';
+  process.env.SCHEDULE_RUN_ON_START = 'false';
+  const fromEnv = new Scheduler(async () => {});
+  assert.deepEqual(fromEnv.jobs.map(entry => [entry.id, entry.cron]), [['sync', '30 2 * * *'], ['stock', '15 * * * *']]);
+  assert.equal(fromEnv.timezone, 'UTC');
+  assert.equal(fromEnv.runOnStart, false);
+});
+
+test('a single cron key schedules the full sync only', () => {
+  assert.deepEqual(Scheduler.getJobCrons({ cron: '0 6,18 * * *' }), { sync: '0 6,18 * * *' });
+  assert.deepEqual(Scheduler.getJobCrons({}), { sync: '0 */12 * * *' });
+});
+
+test('a store with its own schedule runs those jobs on its own', () => {
+  const stores = [
+    { name: 'dk', schedule: {} },
+    { name: 'se', schedule: { stock: '0 * * * *', prices: '' } }
+  ];
+
+  const jobs = Scheduler.getJobs({ sync: '0 5 * * *', stock: '15 * * * *', prices: '45 */4 * * *' }, stores);
+
+  assert.deepEqual(jobs, [
+    { id: 'sync', job: 'sync', cron: '0 5 * * *', stores: null },
+    { id: 'stock', job: 'stock', cron: '15 * * * *', stores: ['dk'] },
+    { id: 'prices', job: 'prices', cron: '45 */4 * * *', stores: ['dk'] },
+    { id: 'stock@se', job: 'stock', cron: '0 * * * *', stores: ['se'] }
+  ]);
+});
+
+test('plans the next runs of all jobs in time order', () => {
+  process.env.SCHEDULE_CRON = '0 6 * * *';
+  process.env.SCHEDULE_STOCK_CRON = '30 6 * * *';
+  process.env.SCHEDULE_PRICES_CRON = '';
+  process.env.SCHEDULE_TIMEZONE = 'UTC';
+  process.env.SCHEDULE_RUN_ON_START = 'false';
+  const scheduler = new Scheduler(async () => {});
+
+  assert.deepEqual(scheduler.getNextRuns(), []);
+  scheduler.start();
+  try {
+    const nextRuns = scheduler.getNextRuns(4);
+    assert.deepEqual(nextRuns.map(run => run.job), ['sync', 'stock', 'sync', 'stock']);
+    assert.deepEqual(nextRuns.map(run => run.time.toISOString().slice(11)), [
+      '06:00:00.000Z', '06:30:00.000Z', '06:00:00.000Z', '06:30:00.000Z'
+    ]);
+  } finally {
+    scheduler.stop();
+  }
+});
+
+test('a failing or locked-out run does not stop the schedule', async () => {
+  const jobs = [];
+  const scheduler = new Scheduler(async (job, stores) => {
+    jobs.push([job, stores]);
+    const error = new Error(job === 'stock' ? 'Another run is in progress' : 'EET file missing');
+    error.code = job === 'stock' ? 'RUN_LOCKED' : undefined;
+    throw error;
+  });
+
+  await scheduler.runTask({ id: 'sync', job: 'sync', stores: null });
+  await scheduler.runTask({ id: 'stock@se', job: 'stock', stores: ['se'] });
+
+  assert.deepEqual(jobs, [['sync', null], ['stock', ['se']]]);
+});
@@ -0,0 +1,16 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import StoreRegistry from '../module/storeRegistry.js';
+
+// Without config/stores.json only the two stores from .env exist
+const registry = new StoreRegistry('config/no-such-stores.json');
+
+test('development and production select the stores from .env', () => {
+  assert.deepEqual(registry.getStores(['development']).map(store => store.name), ['development']);
+  assert.deepEqual(registry.getStores(['production']).map(store => store.name), ['production']);
+});
+
+test('any other store name is refused instead of selecting production', () => {
+  assert.throws(() => registry.getStores(['dev']), /Unknown store "dev"/);
+  assert.throws(() => registry.getStores(['test']), /Unknown store "test"/);
+});
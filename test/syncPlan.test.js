@@ -0,0 +1,71 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import SyncPlan from '../module/syncPlan.js';
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'eet-plan-'));
+after(() => fs.rmSync(tmpDir, { recursive: true, force: true }));
+
+function createPlan() {
+  const plan = new SyncPlan();
+  plan.addCreate({
+    title: 'USB-C cable',
+    vendor: 'Acme',
+    productType: 'Cables',
+    variants: [{ sku: 'A1', price: '99.95', inventoryQuantity: 4 }]
+  });
+  plan.addPriceChange({ sku: 'B1', productId: 'gid://shopify/Product/1', oldPrice: '10.00', newPrice: '12.00', cost: '8.00' });
+  plan.addMarketPriceChange({ sku: 'B1', productId: 'gid://shopify/Product/1', market: 'se', oldPrice: null, newPrice: '149.00', currencyCode: 'SEK' });
+  plan.addInventoryChange({ sku: 'B1', productId: 'gid://shopify/Product/1', oldQuantity: 5, newQuantity: 2 });
+  plan.addStatusChange({ sku: 'C1', productId: 'gid://shopify/Product/2', title: 'Old mouse', from: 'ACTIVE', to: 'DRAFT' });
+  plan.addTags({ productId: 'gid://shopify/Product/3', tags: ['eet-managed'] });
+  plan.addTranslation({ sku: 'B1', productId: 'gid://shopify/Product/1', locale: 'sv', content: { title: 'USB-C-kabel' } });
+  return plan;
+}
+
+test('records every change type and counts them', () => {
+  const plan = createPlan();
+
+  assert.deepEqual(plan.getSummary(), {
+    creates: 1,
+    priceChanges: 1,
+    marketPriceChanges: 1,
+    inventoryChanges: 1,
+    statusChanges: 1,
+    tagAdditions: 1,
+    translations: 1
+  });
+  assert.deepEqual(plan.creates[0], {
+    sku: 'A1',
+    title: 'USB-C cable',
+    vendor: 'Acme',
+    productType: 'Cables',
+    price: '99.95',
+    inventoryQuantity: 4
+  });
+  assert.equal(plan.inventoryChanges[0].delta, -3);
+});
+
+test('table lists each section with its changes', () => {
+  const table = createPlan().toTable();
+
+  assert.match(table, /Products to create \(1\)/);
+  assert.match(table, /10\.00 → 12\.00\s+cost 8\.00/);
+  assert.match(table, /se\s+- → 149\.00 SEK/);
+  assert.match(table, /5 → 2\s+-3/);
+  assert.match(table, /ACTIVE → DRAFT/);
+  assert.match(table, /eet-managed/);
+  assert.match(table, /B1\s+sv\s+USB-C-kabel/);
+});
+
+test('saves the plan as JSON and as a table', () => {
+  const plan = createPlan();
+  const { jsonFile, tableFile } = plan.saveToFile(tmpDir);
+
+  const saved = JSON.parse(fs.readFileSync(jsonFile, 'utf8'));
+  assert.equal(saved.metadata.summary.creates, 1);
+  assert.equal(saved.creates[0].sku, 'A1');
+  assert.equal(fs.readFileSync(tableFile, 'utf8'), plan.toTable() + '\n');
+});
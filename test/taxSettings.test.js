@@ -0,0 +1,52 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import TaxSettings from '../module/taxSettings.js';
+import Money from '../module/money.js';
+
+beforeEach(() => {
+  delete process.env.TAX_MODE;
+});
+
+test('the store mode wins over TAX_MODE, which wins over config/tax.json', () => {
+  assert.equal(new TaxSettings().mode, 'gross');
+
+  process.env.TAX_MODE = 'net';
+  assert.equal(new TaxSettings().mode, 'net');
+  assert.equal(new TaxSettings({ mode: 'gross' }).mode, 'gross');
+
+  process.env.TAX_MODE = 'both';
+  assert.throws(() => new TaxSettings(), /Unknown tax mode "both"/);
+});
+
+test('gross prices add the country rate, or VAT_RATE without one', () => {
+  const cost = Money.parse('100', { vatIncluded: false });
+  const tax = new TaxSettings({ mode: 'gross', country: 'SE' });
+  tax.vatRates = { SE: 0.12 };
+
+  assert.equal(tax.getVatRate(), 0.12);
+  assert.equal(tax.getVatRate('NO'), null);
+  assert.equal(tax.getBasePrice(cost).toString(), '112.00');
+
+  tax.country = 'NO';
+  assert.equal(tax.getBasePrice(cost).toString(), '125.00');
+  assert.equal(tax.getBasePrice(cost).vatIncluded, true);
+});
+
+test('net prices are the EET cost as is', () => {
+  const cost = Money.parse('100', { vatIncluded: false });
+  const tax = new TaxSettings({ mode: 'net', country: 'SE' });
+  tax.vatRates = { SE: 0.12 };
+
+  assert.equal(tax.getBasePrice(cost), cost);
+});
+
+test('a shop whose taxesIncluded setting disagrees with the mode gets a warning', () => {
+  const gross = new TaxSettings({ mode: 'gross' });
+  const net = new TaxSettings({ mode: 'net' });
+
+  assert.equal(gross.checkShop(true, 'dk'), null);
+  assert.equal(net.checkShop(false, 'dk'), null);
+  assert.equal(gross.checkShop(undefined, 'dk'), null);
+  assert.match(gross.checkShop(false, 'dk'), /customers pay VAT twice/);
+  assert.match(net.checkShop(true, 'dk'), /VAT is taken out of the net prices/);
+});